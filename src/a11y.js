@@ -0,0 +1,118 @@
+/**
+ * AreaSelection Accessibility
+ * Labels, roles and live announcements for screen readers.
+ */
+
+/**
+ * Default labels. Templates are filled in with `{name}` placeholders.
+ * @property {String} container - The label of the container element.
+ * @property {String} region - The label of a region element. Receives
+ *      `{id}`, `{x}`, `{y}`, `{width}` and `{height}` in `getValue` units.
+ * @property {String} regionRole - The name of the role of a region element,
+ *      read out instead of the generic group role.
+ * @property {String} handle - The label of a handle element. Receives
+ *      `{direction}`, which is looked up in `directions`.
+ * @property {Object} directions - The names of the handle directions.
+ * @property {String} rotator - The label of the rotation handle.
+ * @property {String} announcement - The text announced when a move or resize
+ *      finishes. Receives the same placeholders as `region`.
+ */
+export const DEFAULT_LABELS = {
+  container: 'Area selection',
+  region: 'Selection: x {x}, y {y}, width {width}, height {height}',
+  regionRole: 'selection',
+  handle: 'Resize from {direction}',
+  directions: {
+    nw: 'top left corner',
+    n: 'top edge',
+    ne: 'top right corner',
+    e: 'right edge',
+    se: 'bottom right corner',
+    s: 'bottom edge',
+    sw: 'bottom left corner',
+    w: 'left edge'
+  },
+  rotator: 'Rotate selection',
+  announcement: 'Selection is {width} by {height}, at {x}, {y}'
+};
+
+/**
+ * Merges user labels with the default labels.
+ * @param {Object} [labels]
+ * @returns {Object}
+ */
+export function parseLabels(labels = {}) {
+  return Object.assign({}, DEFAULT_LABELS, labels, {
+    directions: Object.assign({}, DEFAULT_LABELS.directions, labels.directions)
+  });
+}
+
+/**
+ * Fills in the `{name}` placeholders of a label template.
+ * @param {String} template
+ * @param {Object} values
+ * @returns {String}
+ */
+export function formatLabel(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] === undefined ? match : String(values[key])
+  ));
+}
+
+/**
+ * Sets the role and label of the container element.
+ * @param {Element} element
+ * @param {Object} labels
+ */
+export function labelContainer(element, labels) {
+  element.setAttribute('role', 'group');
+  element.setAttribute('aria-label', labels.container);
+}
+
+/**
+ * Sets the role and label of a handle element from its direction.
+ * @param {Handle} handle
+ * @param {Object} labels
+ */
+export function labelHandle(handle, labels) {
+  const direction = labels.directions[handle.direction] || handle.direction;
+  handle.el.setAttribute('role', 'button');
+  handle.el.setAttribute('aria-label',
+    formatLabel(labels.handle, { direction }));
+}
+
+/**
+ * Sets the role and label of the rotation handle of a region.
+ * @param {Region} region
+ * @param {Object} labels
+ */
+export function labelRotator(region, labels) {
+  region.rotatorEl.setAttribute('role', 'button');
+  region.rotatorEl.setAttribute('aria-label', labels.rotator);
+}
+
+/**
+ * Sets the role and label of a region element from its value.
+ * @param {Region} region
+ * @param {Object} value The region value, as returned by `getValue`.
+ * @param {Object} labels
+ */
+export function labelRegion(region, value, labels) {
+  region.el.setAttribute('role', 'group');
+  region.el.setAttribute('aria-roledescription', labels.regionRole);
+  region.el.setAttribute('aria-label',
+    formatLabel(labels.region, Object.assign({ id: region.id }, value)));
+}
+
+/**
+ * Creates a visually hidden polite live region.
+ * @returns {Element}
+ */
+export function createLiveRegion() {
+  const element = document.createElement('div');
+  element.className = 'area-selection-live';
+  element.setAttribute('role', 'status');
+  element.setAttribute('aria-live', 'polite');
+  element.setAttribute('aria-atomic', 'true');
+  return element;
+}
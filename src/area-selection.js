@@ -1,4 +1,7 @@
 import Core from './core';
+import drawCrop from './canvas';
+import * as geometry from './geometry';
+import { normalizeRotation, rotateRect, flipRect } from './orientation';
 
 /**
  * This class is a wrapper for Core that merely implements the main
@@ -20,9 +23,95 @@ class AreaSelection extends Core {
    *      'raw'.
    */
   getValue(mode) {
+    this.assertInitialized();
     return super.getValue(mode);
   }
 
+  /**
+   * Gets the polygon as SVG path data, in the same coordinates as getValue.
+   * @param {String} [mode] Which mode of calculation to use: 'real', 'ratio' or
+   *      'raw'.
+   * @returns {String} The path, or null if there is no polygon.
+   */
+  getPolygonPath(mode) {
+    this.assertInitialized();
+    return super.getPolygonPath(mode);
+  }
+
+  /**
+   * Sets the value of the crop region, as returned by getValue. The value
+   * goes through the same constraints as dragging.
+   * @param {Object|Array} value The {x, y, width, height} value. With the
+   *      `multiple` option, an array of values (with optional region ids)
+   *      replaces all regions.
+   * @param {String} [mode] Which mode the value is in: 'real', 'ratio' or
+   *      'raw'. Defaults to the `returnMode` option.
+   */
+  setValue(value, mode) {
+    this.assertInitialized();
+    this.applyValue(value, mode);
+    this.redraw();
+    this.commitHistory();
+
+    // Call the callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+    return this;
+  }
+
+  /**
+   * Changes the aspect ratio, keeping the crop regions and adjusting them
+   * around their centers.
+   * @param {Number|String|Array} ratio A number, a 'width:height' string, a
+   *      [width, height] array, or null to remove the ratio.
+   */
+  setAspectRatio(ratio) {
+    this.assertInitialized();
+    this.applyAspectRatio(ratio);
+    this.redraw();
+    this.commitHistory();
+
+    // Call the callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+    return this;
+  }
+
+  /**
+   * Adds a listener to an event: 'change', 'beforechange', 'movestart',
+   * 'resize', 'init' or 'destroy'.
+   * @param {String} type The event name.
+   * @param {Function} listener Called with the event object. The event data
+   *      is in `event.detail`.
+   */
+  on(type, listener) {
+    this.emitter.on(type, listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener from an event.
+   * @param {String} [type] The event name. Removes all listeners if omitted.
+   * @param {Function} [listener] Removes all listeners of the event if
+   *      omitted.
+   */
+  off(type, listener) {
+    this.emitter.off(type, listener);
+    return this;
+  }
+
+  /**
+   * Adds a listener to an event that is removed after it is called once.
+   * @param {String} type The event name.
+   * @param {Function} listener Called with the event object.
+   */
+  once(type, listener) {
+    this.emitter.once(type, listener);
+    return this;
+  }
+
   /**
    * Changes the options.
    * @param {Object} options
@@ -38,14 +127,54 @@ class AreaSelection extends Core {
     return super.destroy();
   }
 
+  /**
+   * Changes the source of the target image or video, keeping the instance.
+   * @param {String} src The new source URL.
+   * @param {Boolean} [keepSelection] Whether the crop regions keep selecting
+   *      the same area relative to the target's size. Otherwise they are
+   *      reset to the initial settings, along with the rotation and flip.
+   *      Defaults to true.
+   * @returns {Promise} Resolves with the instance once the new source is
+   *      loaded.
+   */
+  setImage(src, keepSelection = true) {
+    this.assertInitialized();
+    const loaded = this.swapTarget(this.targetEl, keepSelection, true);
+    this.targetEl.src = src;
+    return loaded;
+  }
+
+  /**
+   * Replaces the target with another image or video element, keeping the
+   * instance. The previous target is removed from the document.
+   * @param {String|Element} element The new target, or a selector.
+   * @param {Boolean} [keepSelection] Whether the crop regions keep selecting
+   *      the same area relative to the target's size. Otherwise they are
+   *      reset to the initial settings, along with the rotation and flip.
+   *      Defaults to true.
+   * @returns {Promise} Resolves with the instance once the new target is
+   *      loaded.
+   */
+  replaceTarget(element, keepSelection = true) {
+    this.assertInitialized();
+    if (!element.nodeName) {
+      element = document.querySelector(element);
+      if (element == null) { throw 'Unable to find element.' }
+    }
+    return this.swapTarget(element, keepSelection, false);
+  }
+
   /**
    * Moves the crop region to a specified coordinate.
    * @param {Number} x
    * @param {Number} y
    */
   moveTo(x, y) {
+    this.assertInitialized();
+    if (this.box === null) { return this; }
     this.box.move(x, y);
     this.redraw();
+    this.commitHistory();
 
     // Call the callback
     if (this.options.onSelectEnd !== null) {
@@ -62,8 +191,11 @@ class AreaSelection extends Core {
    *      Defaults to [0.5, 0.5] (center).
    */
   resizeTo(width, height, origin = [.5, .5]) {
+    this.assertInitialized();
+    if (this.box === null) { return this; }
     this.box.resize(width, height, origin);
     this.redraw();
+    this.commitHistory();
 
     // Call the callback
     if (this.options.onSelectEnd !== null) {
@@ -79,8 +211,11 @@ class AreaSelection extends Core {
    *      Defaults to [0.5, 0.5] (center).
    */
   scaleBy(factor, origin = [.5, .5]) {
+    this.assertInitialized();
+    if (this.box === null) { return this; }
     this.box.scale(factor, origin);
     this.redraw();
+    this.commitHistory();
 
     // Call the callback
     if (this.options.onSelectEnd !== null) {
@@ -89,12 +224,348 @@ class AreaSelection extends Core {
     return this;
   }
 
+  /**
+   * Draws the selected area of the current video frame onto a new canvas,
+   * in the video's intrinsic pixels.
+   * @param {Object} [options] The options for getCroppedCanvas.
+   * @returns {HTMLCanvasElement}
+   */
+  captureFrame(options = {}) {
+    this.assertInitialized();
+    if (!this.isVideo()) { throw 'Target is not a video element.'; }
+    return this.getCroppedCanvas(options);
+  }
+
+  /**
+   * Stores a keyframe for the active crop region. Once a region has
+   * keyframes, it follows them as the video plays or seeks, and moving or
+   * resizing it stores a keyframe at the current time.
+   * @param {Number} [time] The timestamp in seconds. Defaults to the current
+   *      time of the video.
+   * @param {Object} [value] The {x, y, width, height} of the region in raw
+   *      pixels. Defaults to the current value of the region.
+   */
+  addKeyframe(time = null, value = null) {
+    this.assertInitialized();
+    if (this.activeRegion === null) { return this; }
+    if (time === null) { time = this.targetEl.currentTime; }
+    const box = value === null ? this.box : this.valueToBox(value, 'raw');
+    this.activeRegion.keyframes.set(time, this.boxToRatio(box));
+    return this;
+  }
+
+  /**
+   * Removes a keyframe of the active crop region.
+   * @param {Number} time The timestamp in seconds.
+   */
+  removeKeyframe(time) {
+    this.assertInitialized();
+    if (this.activeRegion !== null) {
+      this.activeRegion.keyframes.remove(time);
+    }
+    return this;
+  }
+
+  /**
+   * Removes all keyframes of the active crop region.
+   */
+  clearKeyframes() {
+    this.assertInitialized();
+    if (this.activeRegion !== null) {
+      this.activeRegion.keyframes.clear();
+    }
+    return this;
+  }
+
+  /**
+   * Gets the keyframes of the active crop region.
+   * @param {String} [mode] Which mode of calculation to use: 'real', 'ratio' or
+   *      'raw'.
+   * @returns {Array} The keyframes as {time, x, y, width, height}.
+   */
+  getKeyframes(mode) {
+    this.assertInitialized();
+    if (this.activeRegion === null) { return []; }
+    return this.activeRegion.keyframes.frames.map(frame => Object.assign(
+      { time: frame.time },
+      this.calculateValue(this.ratioToBox(frame.value), mode)
+    ));
+  }
+
+  /**
+   * Rotates the target clockwise. The crop regions keep selecting the same
+   * area of the target.
+   * @param {Number} deg The rotation in degrees. Must be a multiple of 90.
+   */
+  rotate(deg) {
+    this.assertInitialized();
+    const rotation = normalizeRotation(deg);
+    const { rotate, flipX, flipY } = this.transform;
+
+    // Flipping then turning a quarter is the same as turning then flipping
+    // the other axis
+    const quarterTurn = rotation % 180 !== 0;
+    this.applyTransform({
+      rotate: (rotate + rotation) % 360,
+      flipX: quarterTurn ? flipY : flipX,
+      flipY: quarterTurn ? flipX : flipY
+    }, rect => rotateRect(rect, rotation));
+    return this;
+  }
+
+  /**
+   * Rotates the crop region around its center. The region shrinks if it does
+   * not fit within the boundaries once rotated.
+   * @param {Number} deg The clockwise rotation in degrees, added to the
+   *      current rotation.
+   */
+  rotateSelection(deg) {
+    this.assertInitialized();
+    if (this.activeRegion === null) { return this; }
+    this.rotateRegion(this.activeRegion, this.activeRegion.angle + deg);
+    this.redraw();
+    this.commitHistory();
+
+    // Call the callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+    return this;
+  }
+
+  /**
+   * Mirrors the target horizontally. The crop regions keep selecting the
+   * same area of the target.
+   */
+  flipHorizontal() {
+    this.assertInitialized();
+    const transform = Object.assign({}, this.transform,
+      { flipX: !this.transform.flipX });
+    this.applyTransform(transform, rect => flipRect(rect, true, false));
+    return this;
+  }
+
+  /**
+   * Mirrors the target vertically. The crop regions keep selecting the same
+   * area of the target.
+   */
+  flipVertical() {
+    this.assertInitialized();
+    const transform = Object.assign({}, this.transform,
+      { flipY: !this.transform.flipY });
+    this.applyTransform(transform, rect => flipRect(rect, false, true));
+    return this;
+  }
+
+  /**
+   * Adds a new crop region and makes it the active region. Unless the
+   * `multiple` option is enabled, the new region replaces the current one.
+   * @param {Object} [value] The {x, y, width, height} of the new region in
+   *      raw pixels. Defaults to the initial settings.
+   * @param {String|Number} [id] The id of the new region. Defaults to an
+   *      incrementing number.
+   * @returns {String|Number} The id of the new region.
+   */
+  addRegion(value = null, id = null) {
+    this.assertInitialized();
+    let box = this.initializeBox(this.options);
+    if (value !== null) {
+      box = this.fitBox(this.valueToBox(value, 'raw'));
+    }
+
+    if (!this.options.multiple) {
+      this.regions.slice().forEach(r => this.destroyRegion(r));
+    }
+    const region = this.createRegion(box, id);
+    this.redraw();
+    this.commitHistory();
+    return region.id;
+  }
+
+  /**
+   * Removes a crop region.
+   * @param {String|Number} id
+   */
+  removeRegion(id) {
+    this.assertInitialized();
+    const region = this.findRegion(id);
+    if (region !== null) {
+      this.destroyRegion(region);
+      this.commitHistory();
+    }
+    return this;
+  }
+
+  /**
+   * Gets the values of all crop regions, each with its region id.
+   * @param {String} [mode] Which mode of calculation to use: 'real', 'ratio' or
+   *      'raw'.
+   * @returns {Array}
+   */
+  getRegions(mode) {
+    this.assertInitialized();
+    return this.getRegionValues(mode);
+  }
+
+  /**
+   * Makes a crop region the active region. moveTo, resizeTo, scaleBy and
+   * reset apply to the active region.
+   * @param {String|Number} id
+   */
+  setActiveRegion(id) {
+    this.assertInitialized();
+    const region = this.findRegion(id);
+    if (region === null) { throw 'Unable to find region.'; }
+    this.activateRegion(region);
+    return this;
+  }
+
+  /**
+   * Gets the id of the active crop region.
+   * @returns {String|Number}
+   */
+  getActiveRegion() {
+    this.assertInitialized();
+    return this.activeRegion === null ? null : this.activeRegion.id;
+  }
+
+  /**
+   * Undoes the last change of the crop regions.
+   */
+  undo() {
+    this.assertInitialized();
+    this.stepHistory(-1);
+    return this;
+  }
+
+  /**
+   * Redoes the last undone change of the crop regions.
+   */
+  redo() {
+    this.assertInitialized();
+    this.stepHistory(1);
+    return this;
+  }
+
+  /**
+   * Checks if there is a change to undo.
+   * @returns {Boolean}
+   */
+  canUndo() {
+    return this.history.canUndo();
+  }
+
+  /**
+   * Checks if there is a change to redo.
+   * @returns {Boolean}
+   */
+  canRedo() {
+    return this.history.canRedo();
+  }
+
+  /**
+   * Zooms the target to a level. The crop regions zoom along with it.
+   * @param {Number} level The zoom level, clamped to the `minZoom` and
+   *      `maxZoom` options.
+   * @param {Array} [center] The [x, y] point to zoom around, in raw pixels.
+   *      Defaults to the center of the visible area.
+   */
+  zoomTo(level, center = null) {
+    this.assertInitialized();
+    this.setZoom(level, center);
+    return this;
+  }
+
+  /**
+   * Zooms the target by a factor.
+   * @param {Number} factor
+   * @param {Array} [center] The [x, y] point to zoom around, in raw pixels.
+   *      Defaults to the center of the visible area.
+   */
+  zoomBy(factor, center = null) {
+    this.assertInitialized();
+    this.setZoom(this.zoom.level * factor, center);
+    return this;
+  }
+
+  /**
+   * Gets the zoom level.
+   * @returns {Number}
+   */
+  getZoom() {
+    return this.zoom.level;
+  }
+
+  /**
+   * Draws the selected area of the target onto a new canvas, in the
+   * target's natural pixels.
+   * @param {Object} [options]
+   * @param {Number} [options.width] The width of the canvas.
+   * @param {Number} [options.height] The height of the canvas.
+   * @param {String} [options.fillColor] The background color of the canvas.
+   * @param {String} [options.imageSmoothingQuality] 'low', 'medium' or
+   *      'high'.
+   * @param {String} [options.shape] The shape to mask the canvas with.
+   *      Defaults to the `shape` option.
+   * @returns {HTMLCanvasElement}
+   */
+  getCroppedCanvas(options = {}) {
+    this.assertInitialized();
+    const area = this.getCropArea(options);
+    if (area === null) { return null; }
+    return drawCrop(this.targetEl, area.rect, area.opts, this.transform);
+  }
+
+  /**
+   * Gets the selected area of the target as a Blob.
+   * @param {String} [type] The image format. Defaults to 'image/png'.
+   * @param {Number} [quality] The image quality between 0 and 1, for lossy
+   *      formats.
+   * @param {Object} [options] The options for getCroppedCanvas.
+   * @returns {Promise} Resolves with the Blob.
+   */
+  toBlob(type = 'image/png', quality, options = {}) {
+    this.assertInitialized();
+    return new Promise((resolve, reject) => {
+      const canvas = this.getCroppedCanvas(options);
+      if (canvas === null) {
+        reject(new Error('No crop region to export.'));
+        return;
+      }
+      canvas.toBlob((blob) => {
+        if (blob === null) {
+          reject(new Error('Unable to export the crop region.'));
+        } else {
+          resolve(blob);
+        }
+      }, type, quality);
+    });
+  }
+
+  /**
+   * Gets the selected area of the target as a data URL.
+   * @param {String} [type] The image format. Defaults to 'image/png'.
+   * @param {Number} [quality] The image quality between 0 and 1, for lossy
+   *      formats.
+   * @param {Object} [options] The options for getCroppedCanvas.
+   * @returns {String}
+   */
+  toDataURL(type = 'image/png', quality, options = {}) {
+    this.assertInitialized();
+    const canvas = this.getCroppedCanvas(options);
+    return canvas === null ? null : canvas.toDataURL(type, quality);
+  }
+
   /**
    * Resets the crop region to the initial settings.
    */
   reset() {
+    this.assertInitialized();
     this.box = this.initializeBox(this.options);
+    if (this.activeRegion !== null) { this.activeRegion.angle = 0; }
+    if (this.polygon !== null) { this.polygon.setPoints([], false); }
     this.redraw();
+    this.commitHistory();
 
     // Call the callback
     if (this.options.onSelectEnd !== null) {
@@ -104,4 +575,9 @@ class AreaSelection extends Core {
   }
 }
 
+/**
+ * The geometry functions, which constrain boxes without the DOM.
+ */
+AreaSelection.geometry = geometry;
+
 export default AreaSelection;
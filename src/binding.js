@@ -0,0 +1,190 @@
+import AreaSelection from './area-selection';
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+function isPlain(value) {
+  return value instanceof Array || (value !== null && typeof value === 'object'
+    && Object.getPrototypeOf(value) === Object.prototype);
+}
+
+// Copies the arrays and plain objects, such as the options, so that changes
+// made to them in place are noticed. Elements and functions are kept.
+function clone(value) {
+  if (value instanceof Array) { return value.map(clone); }
+  if (!isPlain(value)) { return value; }
+  const copy = {};
+  Object.keys(value).forEach((key) => { copy[key] = clone(value[key]); });
+  return copy;
+}
+
+// Compares the options. Functions are equal, as the callbacks are called
+// through getOptions.
+function isEqual(a, b) {
+  if (a === b) { return true; }
+  if (typeof a === 'function' && typeof b === 'function') { return true; }
+  if (!isPlain(a) || !isPlain(b) || (a instanceof Array) !== (b instanceof Array)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Binding component
+ * Keeps an AreaSelection instance in step with the props of a component, for
+ * the React, Vue and custom element bindings. The props may change at any
+ * time, including before the target is loaded: they are applied once the
+ * instance is initialized.
+ */
+export default class Binding {
+  /**
+   * Creates a new Binding instance.
+   * @constructor
+   * @param {Function} [onChange] Called with the value when the selection
+   *      changes.
+   * @param {Function} [onReady] Called with the instance once it is
+   *      initialized.
+   */
+  constructor(onChange = null, onReady = null) {
+    this.onChange = onChange;
+    this.onReady = onReady;
+    this.instance = null;
+    this.target = null;
+    this.props = { options: {}, value: null, src: null };
+
+    this.initialized = false;
+    this.syncing = false;
+
+    // What the instance has: a copy of its options, and the JSON of the last
+    // value that was set or reported
+    this.applied = { options: null, value: null };
+  }
+
+  /**
+   * Creates the instance on a target, with the current props.
+   * @param {Element} target The image or video.
+   */
+  mount(target) {
+    this.unmount();
+    const { options, value, src } = this.props;
+    this.target = target;
+    if (src !== null) { this.target.src = src; }
+
+    const opts = this.getOptions();
+    if (value !== null) { opts.startValue = value; }
+    const instance = new AreaSelection(target, opts);
+    this.instance = instance;
+    this.applied.options = clone(options);
+    this.applied.value = value === null ? null : JSON.stringify(value);
+
+    instance.on('change', () => this.notify());
+    instance.ready.then(() => {
+      if (this.instance !== instance) { return; }
+      this.initialized = true;
+      if (this.onReady !== null) { this.onReady(instance); }
+      this.sync();
+    }, () => {});
+  }
+
+  /**
+   * Destroys the instance, which puts the target back in its place.
+   */
+  unmount() {
+    if (this.instance === null) { return; }
+    this.instance.destroy();
+    this.instance = null;
+    this.target = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Get the value of the selection, or the value of the props until the
+   * instance is initialized.
+   * @returns {Object|Array}
+   */
+  getValue() {
+    return this.initialized ? this.instance.getValue() : this.props.value;
+  }
+
+  /**
+   * Updates the props.
+   * @param {Object} props
+   * @param {Object} [props.options] The options. When they change, they are
+   *      set with setOptions, which resets an uncontrolled selection.
+   * @param {Object|Array} [props.value] The controlled value, as returned by
+   *      getValue, or null to leave the selection to the user.
+   * @param {String} [props.src] The source of the target. When it changes,
+   *      it is set with setImage.
+   */
+  update({ options = null, value = null, src = null }) {
+    const previous = this.props.src;
+    this.props = { options: options || {}, value, src };
+    if (this.target !== null && src !== null && src !== previous) {
+      if (this.initialized) {
+        this.instance.setImage(src).then(() => this.notify(), () => {});
+      } else {
+        // The instance waits for the new source to load
+        this.target.src = src;
+      }
+    }
+    this.sync();
+  }
+
+  /**
+   * Applies the props that the instance does not have yet.
+   */
+  sync() {
+    if (!this.initialized) { return; }
+    const { options, value } = this.props;
+
+    // The changes made on the way are reported once, at the end
+    this.syncing = true;
+    try {
+      if (!isEqual(options, this.applied.options)) {
+        this.applied.options = clone(options);
+        this.applied.value = null;
+        this.instance.setOptions(this.getOptions());
+      }
+      if (value !== null && JSON.stringify(value) !== this.applied.value) {
+        this.applied.value = JSON.stringify(value);
+        this.instance.setValue(value);
+      }
+    } finally {
+      this.syncing = false;
+    }
+    this.notify();
+  }
+
+  /**
+   * Get a copy of the options for the instance. The callbacks call the ones
+   * of the current props, so that passing new functions does not set the
+   * options again.
+   * @returns {Object}
+   */
+  getOptions() {
+    const opts = clone(this.props.options);
+    Object.keys(opts).forEach((key) => {
+      if (typeof opts[key] !== 'function') { return; }
+      opts[key] = (...args) => {
+        const callback = this.props.options[key];
+        return typeof callback === 'function' ? callback(...args) : undefined;
+      };
+    });
+    return opts;
+  }
+
+  /**
+   * Reports the value if it changed since it was last set or reported.
+   */
+  notify() {
+    if (!this.initialized || this.syncing) { return; }
+    const value = this.instance.getValue();
+    const json = JSON.stringify(value);
+    if (json === this.applied.value) { return; }
+    this.applied.value = json;
+    if (this.onChange !== null) { this.onChange(value); }
+  }
+}
@@ -118,6 +118,24 @@ export default class Box {
     return [x, y];
   }
 
+  /**
+   * Get the bounding box of this box once rotated around its center.
+   * @param {Number} angle The rotation in degrees, clockwise.
+   * @returns {Box} A new box.
+   */
+  getRotatedBounds(angle) {
+    if (angle % 180 === 0) {
+      return new Box(this.x1, this.y1, this.x2, this.y2);
+    }
+    const rad = (angle * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(rad));
+    const sin = Math.abs(Math.sin(rad));
+    const halfWidth = ((this.width() * cos) + (this.height() * sin)) / 2;
+    const halfHeight = ((this.width() * sin) + (this.height() * cos)) / 2;
+    const [x, y] = this.getAbsolutePoint([0.5, 0.5]);
+    return new Box(x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight);
+  }
+
   /**
    * Constrain the box to a fixed ratio.
    * @param {Number} ratio
@@ -150,15 +168,18 @@ export default class Box {
    * @param {Number} boundaryHeight
    * @param {Array} [origin] The origin point to resize from.
    *     Defaults to [0, 0] (top left).
+   * @param {Array} [offset] The [x, y] position of the boundary's top left
+   *     corner. Defaults to [0, 0].
    */
-  constrainToBoundary(boundaryWidth, boundaryHeight, origin = [0, 0]) {
+  constrainToBoundary(boundaryWidth, boundaryHeight, origin = [0, 0],
+    offset = [0, 0]) {
 
     // Calculate the maximum sizes for each direction of growth
     const [originX, originY] = this.getAbsolutePoint(origin);
-    const maxIfLeft = originX
-    const maxIfTop = originY
-    const maxIfRight = boundaryWidth - originX
-    const maxIfBottom = boundaryHeight - originY
+    const maxIfLeft = originX - offset[0]
+    const maxIfTop = originY - offset[1]
+    const maxIfRight = boundaryWidth - (originX - offset[0])
+    const maxIfBottom = boundaryHeight - (originY - offset[1])
 
     // Express the direction of growth in terms of left, both,
     // and right as -1, 0, and 1 respectively. Ditto for top/both/down.
@@ -205,15 +226,17 @@ export default class Box {
     minWidth = null, minHeight = null,
     origin = [0, 0], ratio = null) {
 
-    // Calculate new max/min widths & heights that constrains to the ratio
+    // Calculate new max/min widths & heights that constrains to the ratio:
+    // the tighter of each pair wins, and the other follows the ratio
     if (ratio) {
-      if (ratio > 1) {
-        maxWidth = maxHeight * 1 / ratio;
-        minHeight = minHeight * ratio;
-      } else if (ratio < 1) {
-        maxHeight = maxWidth * ratio;
-        minWidth = minHeight * 1 / ratio;
+      if (maxHeight && (!maxWidth || maxHeight * ratio < maxWidth)) {
+        maxWidth = maxHeight * ratio;
+      }
+      maxHeight = maxWidth ? maxWidth / ratio : null;
+      if (minHeight && (!minWidth || minHeight * ratio > minWidth)) {
+        minWidth = minHeight * ratio;
       }
+      minHeight = minWidth ? minWidth / ratio : null;
     }
 
     if (maxWidth && this.width() > maxWidth) {
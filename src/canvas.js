@@ -0,0 +1,114 @@
+/**
+ * AreaSelection Canvas
+ * Draws the selected area of the target element onto a canvas.
+ */
+
+/**
+ * Creates a canvas with an area of a source element drawn onto it.
+ * @param {Element} source The `img`, `video` or `canvas` element to draw.
+ * @param {Object} rect The {x, y, width, height} area of the source to draw,
+ *      in the source's natural pixels.
+ * @param {Object} [opts]
+ * @param {Number} [opts.width] The width of the canvas. Defaults to the
+ *      width of the area, or is derived from `height` to keep its ratio.
+ * @param {Number} [opts.height] The height of the canvas. Defaults to the
+ *      height of the area, or is derived from `width` to keep its ratio.
+ * @param {String} [opts.fillColor] The color to fill the canvas with before
+ *      drawing. Defaults to transparent.
+ * @param {String} [opts.imageSmoothingQuality] 'low', 'medium' or 'high'.
+ *      Defaults to the browser's default.
+ * @param {String} [opts.shape] 'rect', 'ellipse' or 'circle'. Ellipses and
+ *      circles leave the corners of the canvas transparent. Defaults to
+ *      'rect'.
+ * @param {Number} [opts.angle] The clockwise rotation of the area around its
+ *      center, in degrees of the displayed element. The rotated area is
+ *      drawn upright.
+ * @param {Array} [opts.polygon] The [x, y] vertices to mask the canvas
+ *      with, as ratios of its size. The area outside is left transparent.
+ * @param {HTMLCanvasElement} [opts.canvas] The canvas to draw onto, which is
+ *      resized and cleared. Defaults to a new canvas.
+ * @param {Object} [transform] The {rotate, flipX, flipY} to draw the area
+ *      with. The area is rotated first, then flipped.
+ * @returns {HTMLCanvasElement}
+ */
+export default function drawCrop(source, rect, opts = {}, transform = null) {
+  const { rotate = 0, flipX = false, flipY = false } = transform || {};
+  const quarterTurn = rotate % 180 !== 0;
+  const [areaWidth, areaHeight] = getAreaSize(rect, transform);
+
+  let width = opts.width || null;
+  let height = opts.height || null;
+  if (width === null && height === null) {
+    width = areaWidth;
+    height = areaHeight;
+  } else if (width === null) {
+    width = height * (areaWidth / areaHeight);
+  } else if (height === null) {
+    height = width * (areaHeight / areaWidth);
+  }
+
+  const canvas = opts.canvas || document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const context = canvas.getContext('2d');
+
+  // Mask out the corners of round shapes
+  if (opts.shape === 'ellipse' || opts.shape === 'circle') {
+    context.beginPath();
+    context.ellipse(canvas.width / 2, canvas.height / 2,
+      canvas.width / 2, canvas.height / 2, 0, 0, 2 * Math.PI);
+    context.clip();
+  }
+  if (opts.polygon) {
+    context.beginPath();
+    opts.polygon.forEach(([x, y]) => {
+      context.lineTo(x * canvas.width, y * canvas.height);
+    });
+    context.closePath();
+    context.clip();
+  }
+
+  if (opts.fillColor) {
+    context.fillStyle = opts.fillColor;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  if (opts.imageSmoothingQuality) {
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = opts.imageSmoothingQuality;
+  }
+
+  // Draw around the center of the canvas so that it can be rotated
+  const drawWidth = quarterTurn ? canvas.height : canvas.width;
+  const drawHeight = quarterTurn ? canvas.width : canvas.height;
+  context.translate(canvas.width / 2, canvas.height / 2);
+  if (opts.angle) {
+    context.rotate((-opts.angle * Math.PI) / 180);
+  }
+  context.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+  context.rotate((rotate * Math.PI) / 180);
+  if (opts.angle) {
+    // The corners of a rotated area lie outside of it, so the whole source
+    // is drawn around the center of the area
+    context.scale(drawWidth / rect.width, drawHeight / rect.height);
+    context.drawImage(source, -rect.x - (rect.width / 2),
+      -rect.y - (rect.height / 2));
+  } else {
+    context.drawImage(source, rect.x, rect.y, rect.width, rect.height,
+      -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+  }
+
+  return canvas;
+}
+
+/**
+ * Gets the size of an area once drawn with a transform.
+ * @param {Object} rect The {x, y, width, height} area of the source.
+ * @param {Object} [transform] The {rotate, flipX, flipY} to draw the area
+ *      with.
+ * @returns {Array} The [width, height].
+ */
+export function getAreaSize(rect, transform = null) {
+  const quarterTurn = transform !== null && transform.rotate % 180 !== 0;
+  return quarterTurn ? [rect.height, rect.width] : [rect.width, rect.height];
+}
@@ -1,27 +1,56 @@
 import Box from './box';
-import Handle from './handle';
-import enableTouch from './touch';
+import Region from './region';
+import Polygon, { toPath } from './polygon';
+import Preview from './preview';
+import Shade from './shade';
+import Form, { parseInput } from './form';
+import History from './history';
+import Emitter from './emitter';
+import {
+  parseLabels, formatLabel, labelContainer, labelHandle, labelRotator,
+  labelRegion, createLiveRegion
+} from './a11y';
+import {
+  capturePointer, releasePointer, getDistance, getModifiers, isPanGesture
+} from './pointer';
+import {
+  toSourceRect, fromSourceRect, toSourceLine, fromSourceLine, isIdentity,
+  normalizeAngle, toSourceAngle, fromSourceAngle
+} from './orientation';
+import { parseSnap, findClosest } from './snap';
+import { parseRatio } from './ratio';
+import {
+  HANDLES, SHAPES, EPSILON, parseSize, parseBounds, resolveSize, getBoundary,
+  getBoxRatio, initialBox, constrainBox, fitBox, fitToBoundary,
+  moveWithinBoundary, moveBox, createFrame, resizeBox, rotatePoint
+} from './geometry';
 
 /**
- * Define a list of handles to create.
- *
- * @property {Array} position - The x and y ratio position of the handle within
- *      the crop region. Accepts a value between 0 to 1 in the order of [X, Y].
- * @property {Array} constraints - Define the side of the crop region that is to
- *      be affected by this handle. Accepts a value of 0 or 1 in the order of
- *      [TOP, RIGHT, BOTTOM, LEFT].
- * @property {String} direction - The direction of this handle.
+ * The directions of the handles shown by each value of the `handles` option.
  */
-const HANDLES = [
-  { position: [0.0, 0.0], constraints: [1, 0, 0, 1], direction: 'nw' },
-  { position: [0.5, 0.0], constraints: [1, 0, 0, 0], direction: 'n' },
-  { position: [1.0, 0.0], constraints: [1, 1, 0, 0], direction: 'ne' },
-  { position: [1.0, 0.5], constraints: [0, 1, 0, 0], direction: 'e' },
-  { position: [1.0, 1.0], constraints: [0, 1, 1, 0], direction: 'se' },
-  { position: [0.5, 1.0], constraints: [0, 0, 1, 0], direction: 's' },
-  { position: [0.0, 1.0], constraints: [0, 0, 1, 1], direction: 'sw' },
-  { position: [0.0, 0.5], constraints: [0, 0, 0, 1], direction: 'w' }
-];
+const HANDLE_SETS = {
+  all: ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'],
+  corners: ['nw', 'ne', 'se', 'sw'],
+  edges: ['n', 'e', 's', 'w'],
+  none: []
+};
+
+/**
+ * The distance in screen pixels under which a click does not add a vertex
+ * next to the previous one.
+ */
+const VERTEX_DISTANCE = 4;
+
+/**
+ * The step in degrees that rotations snap to while Shift is held.
+ */
+const ROTATION_STEP = 15;
+
+/**
+ * The distance in screen pixels under which a pointer that is pressed and
+ * released on the overlay is a click rather than the drag of a new region.
+ */
+const CLICK_DISTANCE = 4;
 
 /**
  * Core class for AreaSelection containing most of its functional logic.
@@ -40,18 +69,51 @@ export default class Core {
 
     // Define internal props
     this._initialized = false;
+    this._dragging = false;
+    this._videoFrame = null;
+    this._previewFrame = null;
+    this._regionId = 0;
+    this._targetSize = null;
+    this._resizeObserver = null;
+    this._listeners = [];
+    this._frames = {};
+    this._wait = null;
+    this.transform = { rotate: 0, flipX: false, flipY: false };
+    this.zoom = {
+      level: 1, x: 0, y: 0, panning: false,
+    };
+    this.regions = [];
+    this.activeRegion = null;
+    this.polygon = null;
+    this.activeVertex = null;
+    this.activeRotation = null;
+    this.previews = [];
+    this.form = null;
+    this.emitter = new Emitter(this);
+    this._accepted = {};
+
+    // Changing the active region alone is not recorded in the history
+    this.history = new History(this.options.historyLimit, (a, b) => (
+      b !== null && JSON.stringify([a.regions, a.polygon]) ===
+        JSON.stringify([b.regions, b.polygon])
+    ));
     this._restore = {
       parent: element.parentNode,
       element: element
     }
 
-    // Wait until image is loaded before proceeding
+    // Resolves with the instance once it is initialized. Failures are
+    // handled here, so that an unused promise does not report them.
+    this.ready = new Promise((resolve, reject) => {
+      this._ready = { resolve, reject };
+    });
+    this.ready.catch(() => {});
+
+    // Wait until image (or video metadata) is loaded before proceeding
     if (!deferred) {
-      if (element.width === 0 || element.height === 0) {
-        element.onload = () => { this.initialize(element); }
-      } else {
+      this.waitForTarget(element, false, () => {
         this.initialize(element);
-      }
+      }, this._ready.reject);
     }
   }
 
@@ -61,17 +123,34 @@ export default class Core {
   initialize(element) {
     // Create DOM elements
     this.createDOM(element);
-
-    // Process option values
-    this.options.convertToPixels(this.selectionEl);
+    this.createPreviews();
+    this.createForm();
 
     // Listen for events from children
     this.attachHandlerEvents();
     this.attachRegionEvents();
+    this.attachRotationEvents();
     this.attachOverlayEvents();
+    this.attachPolygonEvents();
+    this.attachKeyboardEvents();
+    this.attachZoomEvents();
+    this.attachHistoryEvents();
+    this.attachResizeEvents();
+    if (this.isVideo()) {
+      this.attachVideoEvents();
+    }
 
     // Bootstrap this area selection instance
-    this.box = this.initializeBox(this.options);
+    if (this.options.shape === 'polygon') {
+      this.createPolygon();
+    }
+    const startValue = this.readForm();
+    if (startValue !== null) {
+      this.applyValue(startValue);
+    } else if (this.polygon === null) {
+      this.createRegion(this.initializeBox(this.options));
+    }
+    this.history.reset(this.getSnapshot());
     this.redraw();
 
     // Set the initalized flag to true and call the callback
@@ -79,6 +158,113 @@ export default class Core {
     if (this.options.onInitialize !== null) {
       this.options.onInitialize(this);
     }
+    this.updateForm();
+
+    // An image that is already loaded is initialized within the
+    // constructor, before any listener is added, so the event is emitted as
+    // the ready promise resolves
+    const value = this.getValue();
+    this.ready.then(() => {
+      if (this._initialized) { this.emitter.emit('init', value); }
+    });
+    this._ready.resolve(this);
+  }
+
+  /**
+   * Call a function once a target is loaded: an image once it has a size, a
+   * video once its metadata is loaded. One target is awaited at a time, so a
+   * previous wait fails.
+   * @param {Element} element The target.
+   * @param {Boolean} reload Whether to wait for the next load even if the
+   *      target is loaded, as when its source changed.
+   * @param {Function} onLoad
+   * @param {Function} onError Called with an Error.
+   */
+  waitForTarget(element, reload, onLoad, onError) {
+    this.cancelWait('Target was replaced.');
+    const isVideo = element.nodeName === 'VIDEO';
+    const loaded = isVideo ? element.readyState >= 1 : // HAVE_METADATA
+      element.width > 0 && element.height > 0;
+    if (loaded && !reload) {
+      onLoad();
+      return;
+    }
+
+    const type = isVideo ? 'loadedmetadata' : 'load';
+    const stop = () => {
+      element.removeEventListener(type, onDone);
+      element.removeEventListener('error', onDone);
+      this._wait = null;
+    };
+    element.addEventListener(type, onDone);
+    element.addEventListener('error', onDone);
+    this._wait = { stop, onError };
+
+    function onDone(e) {
+      stop();
+      if (e.type === 'error') {
+        onError(new Error('Unable to load target.'));
+      } else {
+        onLoad();
+      }
+    }
+  }
+
+  /**
+   * Stop waiting for a target to load.
+   * @param {String} message The message of the error to fail the wait with.
+   */
+  cancelWait(message) {
+    if (this._wait === null) { return; }
+    const wait = this._wait;
+    wait.stop();
+    wait.onError(new Error(message));
+  }
+
+  /**
+   * Throw if the instance is not initialized yet, or was destroyed.
+   */
+  assertInitialized() {
+    if (!this._initialized) { throw 'AreaSelection is not initialized.'; }
+  }
+
+  /**
+   * Add an event listener that is removed when the instance is destroyed.
+   * @param {EventTarget} target
+   * @param {String} type
+   * @param {Function} listener
+   * @param {Object} [options]
+   */
+  listen(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    this._listeners.push({ target, type, listener, options });
+  }
+
+  /**
+   * Remove the event listeners added with listen.
+   * @param {EventTarget} [target] Only remove the listeners of this target.
+   */
+  unlisten(target = null) {
+    this._listeners = this._listeners.filter((l) => {
+      if (target !== null && l.target !== target) { return true; }
+      l.target.removeEventListener(l.type, l.listener, l.options);
+      return false;
+    });
+  }
+
+  /**
+   * Request an animation frame that is cancelled when the instance is
+   * destroyed.
+   * @param {Function} callback
+   * @returns {Number} The request id.
+   */
+  requestFrame(callback) {
+    const id = window.requestAnimationFrame(() => {
+      delete this._frames[id];
+      callback();
+    });
+    this._frames[id] = true;
+    return id;
   }
 
   /**
@@ -89,49 +275,47 @@ export default class Core {
     this.containerEl = document.createElement('div');
     this.containerEl.className = 'area-selection-container';
     this.eventBus = this.containerEl;
-    enableTouch(this.containerEl);
+    labelContainer(this.containerEl, this.options.labels);
+
+    // Create live region for screen reader announcements
+    this.liveEl = createLiveRegion();
+
+    // Create viewport element, which clips the selection element when it
+    // is zoomed
+    this.viewportEl = document.createElement('div');
+    this.viewportEl.className = 'area-selection-viewport';
 
     // Create selection element
     this.selectionEl = document.createElement('div');
     this.selectionEl.className = 'area-selection';
 
-    // Create region box element
-    this.regionEl = document.createElement('div');
-    this.regionEl.className = 'area-selection-region';
-
     // Create overlay element
     this.overlayEl = document.createElement('div');
     this.overlayEl.className = 'area-selection-overlay';
-
-    // Create dashed lines
-    ['h', 'v'].forEach((item) => {
-      const dashedLine = document.createElement('div');
-      dashedLine.className = `area-selection-dashed area-selection-dashed-${item}`;
-      this.regionEl.appendChild(dashedLine);
+    this.overlayEl.style.touchAction = this.options.touchAction;
+
+    // Create the shade over the area outside of the selection
+    this.shade = new Shade();
+    this.overlayEl.appendChild(this.shade.el);
+    this.applyTheme();
+
+    // Create snap guide elements, which show the lines that the active
+    // region snaps to while it is dragged
+    this.snapGuideEls = ['x', 'y'].map((axis) => {
+      const guide = document.createElement('div');
+      guide.className = `area-selection-snap-guide area-selection-snap-guide-${axis}`;
+      return guide;
     });
 
-    // Create center crosshair
-    const center = document.createElement('div');
-    center.className = 'area-selection-center';
-    this.regionEl.appendChild(center);
-
-    // Create handles element
-    this.handles = [];
-    for (let i = 0; i < HANDLES.length; i++) {
-      const handle = new Handle(HANDLES[i].position,
-        HANDLES[i].constraints,
-        HANDLES[i].direction,
-        this.eventBus);
-      this.handles.push(handle);
-      this.regionEl.appendChild(handle.el);
-    }
-
-    // And then we piece it all together!
+    // And then we piece it all together! Region elements are added later
+    // through createRegion.
     this.targetEl = targetEl;
     this.selectionEl.appendChild(targetEl);
-    this.selectionEl.appendChild(this.regionEl);
     this.selectionEl.appendChild(this.overlayEl);
-    this.containerEl.appendChild(this.selectionEl);
+    this.snapGuideEls.forEach(el => this.selectionEl.appendChild(el));
+    this.viewportEl.appendChild(this.selectionEl);
+    this.containerEl.appendChild(this.viewportEl);
+    this.containerEl.appendChild(this.liveEl);
 
     // And then finally insert it into the document
     this._restore.parent.appendChild(this.containerEl);
@@ -141,286 +325,1606 @@ export default class Core {
    * Destroy the AreaSelection instance and replace with the original element.
    */
   destroy() {
+    if (!this._initialized) {
+      // Stop a pending initialization
+      this.cancelWait('AreaSelection was destroyed.');
+      return;
+    }
+    this._initialized = false;
+    this.cancelWait('AreaSelection was destroyed.');
+
+    // Remove every listener, observer and pending frame
+    this.unlisten();
+    if (this._resizeObserver !== null) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+    Object.keys(this._frames)
+      .forEach(id => window.cancelAnimationFrame(Number(id)));
+    this._frames = {};
+    this._videoFrame = null;
+    this.destroyPreviews();
+    this.destroyForm();
+
+    clearLayout(this.targetEl);
     this._restore.parent.replaceChild(this._restore.element, this.containerEl);
+    this.emitter.emit('destroy');
+    this.emitter.off();
   }
 
   /**
-   * Create a new box region with a set of options.
-   * @param {Object} opts The options.
-   * @returns {Box}
+   * Replace the target with another element, or wait for it to reload when
+   * its source changed. The selection keeps its ratio of the target, or is
+   * reset along with the rotation and flip.
+   * @param {Element} element The new target.
+   * @param {Boolean} keepSelection
+   * @param {Boolean} reload Whether to wait for the target to load again.
+   * @returns {Promise} Resolves with the instance once the target is loaded.
    */
-  initializeBox(opts) {
-    // Create initial box
-    const width = opts.startSize.width;
-    const height = opts.startSize.height;
-    let box = new Box(0, 0, width, height)
+  swapTarget(element, keepSelection, reload) {
+    const snapshot = keepSelection ? this.getSnapshot() : null;
+
+    if (element !== this.targetEl) {
+      const previous = this.targetEl;
+      this.unlisten(previous);
+      if (this._resizeObserver !== null) {
+        this._resizeObserver.unobserve(previous);
+        this._resizeObserver.observe(element);
+      }
+      clearLayout(previous);
+      this.selectionEl.replaceChild(element, previous);
+      this.targetEl = element;
+      this._restore.element = element;
+      if (this.isVideo()) {
+        this.attachVideoEvents();
+      }
+    }
 
-    // Maintain ratio
-    box.constrainToRatio(opts.aspectRatio, [0.5, 0.5]);
+    return new Promise((resolve, reject) => {
+      this.waitForTarget(element, reload, () => {
+        this.refreshTarget(snapshot);
+        resolve(this);
+      }, reject);
+    });
+  }
 
-    // Maintain minimum/maximum size
-    const min = opts.minSize;
-    const max = opts.maxSize;
-    box.constrainToSize(max.width, max.height, min.width, min.height,
-      [0.5, 0.5], opts.aspectRatio);
+  /**
+   * Lay out a new target and restore the selection onto it.
+   * @param {Object} snapshot The snapshot of the selection to restore, or
+   *      null to reset the selection.
+   */
+  refreshTarget(snapshot) {
+    this.setZoom(1);
+    if (snapshot === null) {
+      this.transform = { rotate: 0, flipX: false, flipY: false };
+    }
+    this.layoutTarget();
+    this._targetSize = this.getTargetSize();
+
+    if (snapshot !== null) {
+      this.restoreSnapshot(snapshot);
+    } else if (this.polygon !== null) {
+      this.polygon.setPoints([], false);
+    } else {
+      this.regions.slice().forEach(r => this.destroyRegion(r));
+      this.createRegion(this.initializeBox(this.options));
+    }
+    this.redraw();
+    this.commitHistory();
 
-    // Constrain to boundary
-    const parentWidth = this.selectionEl.offsetWidth;
-    const parentHeight = this.selectionEl.offsetHeight;
-    box.constrainToBoundary(parentWidth, parentHeight, [0.5, 0.5]);
+    // Trigger callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+  }
 
-    // Move to center
-    const x = (this.selectionEl.offsetWidth / 2) - (box.width() / 2);
-    const y = (this.selectionEl.offsetHeight / 2) - (box.height() / 2);
-    box.move(x, y);
+  /**
+   * The box of the active region.
+   * @type {Box}
+   */
+  get box() {
+    return this.activeRegion ? this.activeRegion.box : null;
+  }
 
-    return box;
+  set box(box) {
+    if (this.activeRegion) { this.activeRegion.box = box; }
   }
 
   /**
-   * Draw visuals (border, handles, etc) for the current box.
+   * The element of the active region.
+   * @type {Element}
    */
-  redraw() {
-    // Round positional values to prevent subpixel coordinates, which can
-    // result in element that is rendered blurly
-    const width = Math.round(this.box.width()),
-      height = Math.round(this.box.height()),
-      x1 = Math.round(this.box.x1),
-      y1 = Math.round(this.box.y1),
-      x2 = Math.round(this.box.x2),
-      y2 = Math.round(this.box.y2);
-
-    window.requestAnimationFrame(() => {
-      // Update region element
-      this.regionEl.style.transform = `translate(${x1}px, ${y1}px)`
-      this.regionEl.style.width = width + 'px';
-      this.regionEl.style.height = height + 'px';
-    });
+  get regionEl() {
+    return this.activeRegion ? this.activeRegion.el : null;
   }
 
   /**
-   * Attach listeners for events emitted by the handles.
-   * Enables resizing of the region element.
+   * The handles of the active region.
+   * @type {Array}
    */
-  attachHandlerEvents() {
-    const eventBus = this.eventBus;
-    eventBus.addEventListener('handlestart', this.onHandleMoveStart.bind(this));
-    eventBus.addEventListener('handlemove', this.onHandleMoveMoving.bind(this));
-    eventBus.addEventListener('handleend', this.onHandleMoveEnd.bind(this));
+  get handles() {
+    return this.activeRegion ? this.activeRegion.handles : [];
   }
 
   /**
-   * Attach event listeners for the crop region element.
-   * Enables dragging/moving of the region element.
+   * Create a new region, add it to the DOM and make it the active region.
+   * @param {Box} box The box of the new region.
+   * @param {String|Number} [id] The region id. Defaults to an incrementing
+   *      number.
+   * @returns {Region}
    */
-  attachRegionEvents() {
-    const eventBus = this.eventBus;
-    const self = this;
+  createRegion(box, id = null) {
+    if (id === null) {
+      do { this._regionId += 1; } while (this.findRegion(this._regionId));
+      id = this._regionId;
+    } else if (this.findRegion(id)) {
+      throw 'Region id already exists.';
+    }
 
-    this.regionEl.addEventListener('mousedown', onMouseDown);
-    eventBus.addEventListener('regionstart', this.onRegionMoveStart.bind(this));
-    eventBus.addEventListener('regionmove', this.onRegionMoveMoving.bind(this));
-    eventBus.addEventListener('regionend', this.onRegionMoveEnd.bind(this));
+    const region = new Region(id, HANDLES, this.eventBus);
+    region.handles.forEach(h => labelHandle(h, this.options.labels));
+    labelRotator(region, this.options.labels);
+    region.setShape(this.options.shape);
+    region.setRotatable(this.options.rotatable);
+    this.applyRegionTheme(region);
+    region.box = box;
+    this.regions.push(region);
+    this._accepted[id] = this.getSourceRatio(box);
+    this.selectionEl.appendChild(region.el);
+    this.activateRegion(region);
+    return region;
+  }
 
-    function onMouseDown(e) {
-      e.stopPropagation();
-      document.addEventListener('mouseup', onMouseUp);
-      document.addEventListener('mousemove', onMouseMove);
+  /**
+   * Set the CSS custom properties of the overlay options on the container.
+   * Options left to null keep the values of the stylesheet.
+   */
+  applyTheme() {
+    const properties = {
+      '--area-selection-overlay-color': this.options.overlayColor,
+      '--area-selection-overlay-opacity': this.options.overlayOpacity
+    };
+    Object.keys(properties).forEach((name) => {
+      if (properties[name] === null) {
+        this.containerEl.style.removeProperty(name);
+      } else {
+        this.containerEl.style.setProperty(name, String(properties[name]));
+      }
+    });
+  }
 
-      // Notify parent
-      eventBus.dispatchEvent(new CustomEvent('regionstart', {
-        detail: { mouseX: e.clientX, mouseY: e.clientY }
-      }));
+  /**
+   * Apply the handle and guide options to a region. The `renderHandle`
+   * option may replace the look of each handle.
+   * @param {Region} region
+   */
+  applyRegionTheme(region) {
+    region.setHandles(this.options.handles);
+    region.setGuides(this.options.guides, this.options.crosshair);
+    region.handles.forEach((handle) => {
+      const render = this.options.renderHandle;
+      handle.setContent(render === null ? null :
+        render(handle.direction, handle.el) || null);
+    });
+  }
+
+  /**
+   * Remove a region from the DOM. If it was the active region, the last
+   * remaining region becomes active.
+   * @param {Region} region
+   */
+  destroyRegion(region) {
+    const index = this.regions.indexOf(region);
+    if (index === -1) { return; }
+    this.regions.splice(index, 1);
+    delete this._accepted[region.id];
+    this.selectionEl.removeChild(region.el);
+    if (this.activeRegion === region) {
+      this.activateRegion(this.regions[this.regions.length - 1] || null);
     }
+  }
 
-    function onMouseMove(e) {
-      e.stopPropagation();
+  /**
+   * Make a region the active one. Drags on handles, keyboard input and the
+   * single region methods (moveTo, resizeTo...) apply to the active region.
+   * @param {Region} region
+   */
+  activateRegion(region) {
+    this.regions.forEach(r => r.setActive(r === region));
+    this.activeRegion = region;
+  }
 
-      // Notify parent
-      eventBus.dispatchEvent(new CustomEvent('regionmove', {
-        detail: { mouseX: e.clientX, mouseY: e.clientY }
-      }));
-    }
+  /**
+   * Find a region by its id.
+   * @param {String|Number} id
+   * @returns {Region}
+   */
+  findRegion(id) {
+    return this.regions.filter(r => r.id === id)[0] || null;
+  }
 
-    function onMouseUp(e) {
-      e.stopPropagation();
-      document.removeEventListener('mouseup', onMouseUp);
-      document.removeEventListener('mousemove', onMouseMove);
+  /**
+   * Create an empty polygon and add it to the DOM. The polygon replaces the
+   * regions when the `shape` option is 'polygon'.
+   * @returns {Polygon}
+   */
+  createPolygon() {
+    this.polygon = new Polygon(this.eventBus);
+    this.selectionEl.appendChild(this.polygon.el);
+    return this.polygon;
+  }
 
-      // Notify parent
-      eventBus.dispatchEvent(new CustomEvent('regionend', {
-        detail: { mouseX: e.clientX, mouseY: e.clientY }
-      }));
-    }
+  /**
+   * Remove the polygon from the DOM.
+   */
+  destroyPolygon() {
+    if (this.polygon === null) { return; }
+    this.selectionEl.removeChild(this.polygon.el);
+    this.polygon = null;
   }
 
   /**
-   * Attach event listeners for the overlay element.
-   * Enables the creation of a new selection by dragging an empty area.
+   * Clamp a point to the boundary.
+   * @param {Number} x
+   * @param {Number} y
+   * @returns {Array} The [x, y] point.
    */
-  attachOverlayEvents() {
-    const SOUTHEAST_HANDLE_IDX = 4;
-    const self = this;
-    let tmpBox = null;
-    this.overlayEl.addEventListener('mousedown', onMouseDown);
+  clampPoint(x, y) {
+    const bounds = this.getBoundary();
+    return [
+      Math.min(Math.max(x, bounds.x), bounds.x + bounds.width),
+      Math.min(Math.max(y, bounds.y), bounds.y + bounds.height)
+    ];
+  }
 
-    function onMouseDown(e) {
-      e.stopPropagation();
-      document.addEventListener('mouseup', onMouseUp);
-      document.addEventListener('mousemove', onMouseMove);
+  /**
+   * Checks if the target is a video element.
+   * @returns {Boolean}
+   */
+  isVideo() {
+    return this.targetEl.nodeName === 'VIDEO';
+  }
 
-      // Calculate mouse's position in relative to the container
-      const container = self.selectionEl.getBoundingClientRect();
-      const mouseX = e.clientX - container.left;
-      const mouseY = e.clientY - container.top;
+  /**
+   * Get the displayed size of the target, regardless of the zoom level.
+   * @returns {Array} The [width, height].
+   */
+  getTargetSize() {
+    const { width, height } = this.targetEl.getBoundingClientRect();
+    return [width / this.zoom.level, height / this.zoom.level];
+  }
 
-      // Create new box at mouse position
-      tmpBox = self.box;
-      self.box = new Box(mouseX, mouseY, mouseX + 1, mouseY + 1);
+  /**
+   * Convert a pointer's client coordinates to the coordinates of the boxes.
+   * @param {Number} clientX
+   * @param {Number} clientY
+   * @returns {Array} The [x, y] coordinates.
+   */
+  getPointerPosition(clientX, clientY) {
+    const container = this.selectionEl.getBoundingClientRect();
+    return [
+      (clientX - container.left) / this.zoom.level,
+      (clientY - container.top) / this.zoom.level
+    ];
+  }
 
-      // Activate the bottom right handle
-      self.eventBus.dispatchEvent(new CustomEvent('handlestart', {
-        detail: { handle: self.handles[SOUTHEAST_HANDLE_IDX] }
-      }));
-    }
+  /**
+   * Convert the coordinates of the boxes to client coordinates.
+   * @param {Number} x
+   * @param {Number} y
+   * @returns {Array} The [clientX, clientY] coordinates.
+   */
+  getClientPosition(x, y) {
+    const container = this.selectionEl.getBoundingClientRect();
+    return [
+      container.left + (x * this.zoom.level),
+      container.top + (y * this.zoom.level)
+    ];
+  }
 
-    function onMouseMove(e) {
-      e.stopPropagation();
-      self.eventBus.dispatchEvent(new CustomEvent('handlemove', {
-        detail: { mouseX: e.clientX, mouseY: e.clientY }
-      }));
-    }
+  /**
+   * Convert a box to an {x, y, width, height} value relative to the
+   * target's displayed size, without rounding.
+   * @param {Box} box
+   * @returns {Object}
+   */
+  boxToRatio(box) {
+    const [width, height] = this.getTargetSize();
+    return {
+      x: box.x1 / width,
+      y: box.y1 / height,
+      width: box.width() / width,
+      height: box.height() / height
+    };
+  }
 
-    function onMouseUp(e) {
-      e.stopPropagation();
-      document.removeEventListener('mouseup', onMouseUp);
-      document.removeEventListener('mousemove', onMouseMove);
-
-      // If the new box has no width and height, it suggests that
-      // the user had just clicked on an empty area and did not drag
-      // a new box (ie. an accidental click). In this scenario, we
-      // simply replace it with the previous box.
-      if (self.box.width() === 1 && self.box.height() === 1) {
-        self.box = tmpBox;
-        return;
-      }
+  /**
+   * Convert an {x, y, width, height} value relative to the target's
+   * displayed size to a box.
+   * @param {Object} value
+   * @returns {Box}
+   */
+  ratioToBox(value) {
+    const [width, height] = this.getTargetSize();
+    const x = value.x * width;
+    const y = value.y * height;
+    return new Box(x, y, x + (value.width * width), y + (value.height * height));
+  }
 
-      self.eventBus.dispatchEvent(new CustomEvent('handleend', {
-        detail: { mouseX: e.clientX, mouseY: e.clientY }
-      }));
+  /**
+   * Create a new box region with a set of options.
+   * @param {Object} opts The options.
+   * @returns {Box}
+   */
+  initializeBox(opts) {
+    return initialBox(opts, this.getSpace());
+  }
+
+  /**
+   * Get the space of the boxes, as used by the geometry functions.
+   * @returns {Object} The {width, height, naturalWidth, naturalHeight,
+   *      transform} of the target.
+   */
+  getSpace() {
+    const [naturalWidth, naturalHeight] = this.getNaturalSize();
+    return {
+      width: this.selectionEl.offsetWidth,
+      height: this.selectionEl.offsetHeight,
+      naturalWidth,
+      naturalHeight,
+      transform: this.transform
+    };
+  }
+
+  /**
+   * Resolve a size option to raw pixels.
+   * @param {Object} size The parsed {width, height, unit} size option.
+   * @returns {Object} The {width, height} in raw pixels. Either may be null
+   *      when it is not constrained.
+   */
+  resolveSize(size) {
+    return resolveSize(size, this.getSpace());
+  }
+
+  /**
+   * Get the area that the regions must stay inside: the `bounds` option if
+   * it is set, otherwise the whole target.
+   * @param {Object} [opts] The options. Defaults to the current options.
+   * @returns {Object} The {x, y, width, height} in raw pixels.
+   */
+  getBoundary(opts = this.options) {
+    return getBoundary(opts, this.getSpace());
+  }
+
+  /**
+   * Get the aspect ratio to constrain a box to.
+   * @param {Box} box
+   * @param {Object} [opts] The options. Defaults to the current options.
+   * @returns {Number} The ratio, or null if the box is free.
+   */
+  getBoxRatio(box, opts = this.options) {
+    return getBoxRatio(box, opts);
+  }
+
+  /**
+   * Change the aspect ratio and adjust the regions to it around their
+   * centers.
+   * @param {Number|String|Array} ratio A number, a 'width:height' string, a
+   *      [width, height] array, or null to remove the ratio.
+   */
+  applyAspectRatio(ratio) {
+    this.options.aspectRatio = parseRatio(ratio);
+    this.regions.forEach((region) => {
+      this.constrainBox(region.box, [0.5, 0.5], this.options, region.angle);
+      this.moveWithinBoundary(region.box, region.angle);
+    });
+  }
+
+  /**
+   * Apply the ratio, minimum/maximum size and boundary constraints to a box.
+   * @param {Box} box
+   * @param {Array} [origin] The origin point to resize from.
+   *     Defaults to [0, 0] (top left).
+   * @param {Object} [opts] The options. Defaults to the current options.
+   * @param {Number} [angle] The rotation of the box in degrees.
+   * @returns {Box}
+   */
+  constrainBox(box, origin = [0, 0], opts = this.options, angle = 0) {
+    return constrainBox(box, origin, opts, this.getSpace(), angle);
+  }
+
+  /**
+   * Draw visuals (border, handles, etc) for the current box.
+   */
+  redraw() {
+    const labels = this.options.labels;
+    const [stepX, stepY] = this.getPixelSteps();
+    const holes = [];
+    this.regions.forEach((region) => {
+      // Expose the current value to screen readers
+      labelRegion(region, this.calculateValue(region.box), labels);
+
+      // Round positional values to prevent subpixel coordinates, which can
+      // result in element that is rendered blurly. When zoomed in past the
+      // target's natural size, round to its pixels so that the region stays
+      // aligned to them.
+      const width = roundToStep(region.box.width(), stepX),
+        height = roundToStep(region.box.height(), stepY),
+        x1 = roundToStep(region.box.x1, stepX),
+        y1 = roundToStep(region.box.y1, stepY);
+
+      // Rotated regions turn around their center
+      const rotate = region.angle === 0 ? '' : ` rotate(${region.angle}deg)`;
+      holes.push({
+        x: x1,
+        y: y1,
+        width,
+        height,
+        angle: region.angle,
+        round: this.options.shape !== 'rect'
+      });
+
+      this.requestFrame(() => {
+        // Update region element
+        region.el.style.transform = `translate(${x1}px, ${y1}px)${rotate}`
+        region.el.style.width = width + 'px';
+        region.el.style.height = height + 'px';
+      });
+    });
+
+    if (this.polygon !== null) {
+      const polygon = this.polygon;
+      this.requestFrame(() => { polygon.draw(); });
     }
 
+    // Cut the regions and the closed polygon out of the shade
+    const points = this.polygon !== null && this.polygon.closed ?
+      this.polygon.points.slice() : null;
+    this.requestFrame(() => { this.shade.draw(holes, points); });
+    this.drawPreviews();
   }
 
   /**
-   * EVENT HANDLER
-   * Executes when user begins dragging a handle.
+   * Create the previews of the `preview` option.
    */
-  onHandleMoveStart(e) {
-    let handle = e.detail.handle;
+  createPreviews() {
+    this.previews = (this.options.preview || []).map((container) => {
+      let element = container;
+      if (!element.nodeName) {
+        element = document.querySelector(element);
+        if (element == null) { throw 'Unable to find preview element.' }
+      }
+      return new Preview(element);
+    });
+  }
 
-    // The origin point is the point where the box is scaled from.
-    // This is usually the opposite side/corner of the active handle.
-    const originPoint = [1 - handle.position[0], 1 - handle.position[1]];
-    let [originX, originY] = this.box.getAbsolutePoint(originPoint);
+  /**
+   * Remove the previews from their containers.
+   */
+  destroyPreviews() {
+    if (this._previewFrame !== null) {
+      window.cancelAnimationFrame(this._previewFrame);
+      this._previewFrame = null;
+    }
+    this.previews.forEach(preview => preview.destroy());
+    this.previews = [];
+  }
 
-    this.activeHandle = { handle, originPoint, originX, originY }
+  /**
+   * Create the form inputs of the `input` option.
+   */
+  createForm() {
+    if (this.options.input !== null) {
+      this.form = new Form(this.options.input, this.targetEl, this.containerEl,
+        (type, quality) => this.toDataURL(type, quality));
+    }
+  }
 
-    // Trigger callback
-    if (this.options.onSelectStart !== null) {
-      this.options.onSelectStart(this.getValue());
+  /**
+   * Remove the form inputs that were created.
+   */
+  destroyForm() {
+    if (this.form === null) { return; }
+    this.form.destroy();
+    this.form = null;
+  }
+
+  /**
+   * Get the value to start with: the value of the form inputs, to restore a
+   * submitted selection, otherwise the `startValue` option.
+   * @returns {Object|Array} The value, or null.
+   */
+  readForm() {
+    const value = this.form === null ? null : this.form.read();
+    const isPolygon = this.options.shape === 'polygon';
+    if (value !== null && [].concat(value).every(v => (
+      isValue(v) && isPolygonValue(v) === isPolygon
+    ))) {
+      return value;
     }
+    return this.options.startValue;
   }
 
   /**
-   * EVENT HANDLER
-   * Executes on handle move. Main logic to manage the movement of handles.
+   * Write the value to the form inputs. The cropped image is rendered when
+   * the form data is collected.
    */
-  onHandleMoveMoving(e) {
-    let { mouseX, mouseY } = e.detail;
+  updateForm() {
+    if (this.form === null) { return; }
+    this.form.write(this.getValue(this.options.input.mode));
+  }
 
-    // Calculate mouse's position in relative to the container
-    let container = this.selectionEl.getBoundingClientRect();
-    mouseX = mouseX - container.left;
-    mouseY = mouseY - container.top;
-
-    // Ensure mouse is within the boundaries
-    if (mouseX < 0) { mouseX = 0; }
-    else if (mouseX > container.width) { mouseX = container.width; }
-
-    if (mouseY < 0) { mouseY = 0; }
-    else if (mouseY > container.height) { mouseY = container.height; }
-
-    // Bootstrap helper variables
-    let origin = this.activeHandle.originPoint.slice();
-    const originX = this.activeHandle.originX;
-    const originY = this.activeHandle.originY;
-    const handle = this.activeHandle.handle;
-    const TOP_MOVABLE = handle.constraints[0] === 1;
-    const RIGHT_MOVABLE = handle.constraints[1] === 1;
-    const BOTTOM_MOVABLE = handle.constraints[2] === 1;
-    const LEFT_MOVABLE = handle.constraints[3] === 1;
-    const MULTI_AXIS = (LEFT_MOVABLE || RIGHT_MOVABLE) &&
-      (TOP_MOVABLE || BOTTOM_MOVABLE);
-
-    // Apply movement to respective sides according to the handle's
-    // constraint values.
-    let x1 = LEFT_MOVABLE || RIGHT_MOVABLE ? originX : this.box.x1;
-    let x2 = LEFT_MOVABLE || RIGHT_MOVABLE ? originX : this.box.x2;
-    let y1 = TOP_MOVABLE || BOTTOM_MOVABLE ? originY : this.box.y1;
-    let y2 = TOP_MOVABLE || BOTTOM_MOVABLE ? originY : this.box.y2;
-    x1 = LEFT_MOVABLE ? mouseX : x1;
-    x2 = RIGHT_MOVABLE ? mouseX : x2;
-    y1 = TOP_MOVABLE ? mouseY : y1;
-    y2 = BOTTOM_MOVABLE ? mouseY : y2;
-
-    // Check if the user dragged past the origin point. If it did,
-    // we set the flipped flag to true.
-    let [isFlippedX, isFlippedY] = [false, false];
-    if (LEFT_MOVABLE || RIGHT_MOVABLE) {
-      isFlippedX = LEFT_MOVABLE ? mouseX > originX : mouseX < originX;
-    }
-    if (TOP_MOVABLE || BOTTOM_MOVABLE) {
-      isFlippedY = TOP_MOVABLE ? mouseY > originY : mouseY < originY;
-    }
-
-    // If it is flipped, we swap the coordinates and flip the origin point.
-    if (isFlippedX) {
-      const tmp = x1; x1 = x2; x2 = tmp; // Swap x1 and x2
-      origin[0] = 1 - origin[0]; // Flip origin x point
-    }
-    if (isFlippedY) {
-      const tmp = y1; y1 = y2; y2 = tmp; // Swap y1 and y2
-      origin[1] = 1 - origin[1]; // Flip origin y point
-    }
-
-    // Create new box object
-    let box = new Box(x1, y1, x2, y2);
-
-    // Maintain aspect ratio
-    if (this.options.aspectRatio) {
-      const ratio = this.options.aspectRatio;
-      let isVerticalMovement = false;
-      if (MULTI_AXIS) {
-        isVerticalMovement = (mouseY > box.y1 + ratio * box.width()) ||
-          (mouseY < box.y2 - ratio * box.width());
-      } else if (TOP_MOVABLE || BOTTOM_MOVABLE) {
-        isVerticalMovement = true;
-      }
-      const ratioMode = isVerticalMovement ? 'width' : 'height';
-      box.constrainToRatio(ratio, origin, ratioMode);
+  /**
+   * Draw the previews on the next frame. Several calls within a frame draw
+   * them once.
+   */
+  drawPreviews() {
+    if (this.previews.length === 0 || this._previewFrame !== null) { return; }
+    this._previewFrame = this.requestFrame(() => {
+      this._previewFrame = null;
+      const area = this.getCropArea();
+      this.previews.forEach((preview) => {
+        if (area === null) {
+          preview.clear();
+        } else {
+          preview.draw(this.targetEl, area.rect, area.opts, this.transform);
+        }
+      });
+    });
+  }
+
+  /**
+   * Let the `beforechange` listeners veto or adjust the regions that changed
+   * since they were last accepted, then accept them. Changes are reviewed
+   * when they are committed, not while a gesture is drawn.
+   * @returns {Boolean} Whether a listener canceled or modified a change.
+   */
+  reviewChanges() {
+    let altered = false;
+    this.regions.forEach((region) => {
+      const previous = this._accepted[region.id];
+      if (previous === undefined) { return; }
+      const current = this.getSourceRatio(region.box);
+      if (['x', 'y', 'width', 'height'].some(k => current[k] !== previous[k])) {
+        altered = this.reviewChange(region, previous) || altered;
+      }
+    });
+    this.acceptChanges();
+    return altered;
+  }
+
+  /**
+   * Emit a cancelable `beforechange` event for a changed region. Canceling
+   * the event restores the previous box, and a modified value replaces the
+   * proposed box.
+   * @param {Region} region
+   * @param {Object} previous The accepted value, as returned by
+   *      getSourceRatio.
+   * @returns {Boolean} Whether the event was canceled or its value modified.
+   */
+  reviewChange(region, previous) {
+    const mode = this.options.returnMode;
+    const previousBox = this.ratioToBox(fromSourceRect(previous, this.transform));
+    const proposed = this.calculateValue(region.box, mode);
+    const event = this.emitter.emit('beforechange', {
+      region: region.id,
+      value: Object.assign({}, proposed),
+      previous: this.calculateValue(previousBox, mode)
+    }, true);
+
+    const value = event.detail.value;
+    if (event.defaultPrevented) {
+      region.box = previousBox;
+      return true;
+    }
+    if (['x', 'y', 'width', 'height'].some(k => value[k] !== proposed[k])) {
+      region.box = this.fitBox(this.valueToBox(value, mode), region.angle);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Accept the current regions without review. Changes that are not made
+   * by the user, such as undo/redo or rotating the target, are accepted
+   * before they are drawn.
+   */
+  acceptChanges() {
+    this._accepted = {};
+    this.regions.forEach((region) => {
+      this._accepted[region.id] = this.getSourceRatio(region.box);
+    });
+  }
+
+  /**
+   * Announce the value of the active region through the live region.
+   */
+  announce() {
+    if (this.activeRegion === null) { return; }
+    const value = Object.assign({ id: this.activeRegion.id },
+      this.calculateValue(this.box));
+    this.liveEl.textContent = formatLabel(this.options.labels.announcement,
+      value);
+  }
+
+  /**
+   * Calculate the steps to round the regions to when drawing them: a screen
+   * pixel or a pixel of the target, whichever is larger.
+   * @returns {Array} The x and y steps [stepX, stepY].
+   */
+  getPixelSteps() {
+    const [naturalWidth, naturalHeight] = this.getNaturalSize();
+    const [width, height] = this.getTargetSize();
+    const quarterTurn = this.transform.rotate % 180 !== 0;
+    const pixelX = width / (quarterTurn ? naturalHeight : naturalWidth);
+    const pixelY = height / (quarterTurn ? naturalWidth : naturalHeight);
+    const screenPixel = 1 / this.zoom.level;
+    return [Math.max(screenPixel, pixelX), Math.max(screenPixel, pixelY)];
+  }
+
+  /**
+   * Zoom the selection element to a level, keeping a point in place.
+   * @param {Number} level The zoom level, clamped to the zoom limits.
+   * @param {Array} [center] The [x, y] point to keep in place, in the
+   *      coordinates of the boxes. Defaults to the center of the viewport.
+   */
+  setZoom(level, center = null) {
+    const zoom = this.zoom;
+    if (center === null) {
+      center = [
+        ((this.selectionEl.offsetWidth / 2) - zoom.x) / zoom.level,
+        ((this.selectionEl.offsetHeight / 2) - zoom.y) / zoom.level
+      ];
+    }
+
+    level = Math.min(this.options.maxZoom, Math.max(this.options.minZoom, level));
+    zoom.x += center[0] * (zoom.level - level);
+    zoom.y += center[1] * (zoom.level - level);
+    this.applyZoom(level);
+  }
+
+  /**
+   * Pan the zoomed selection element.
+   * @param {Number} dx The distance in screen pixels.
+   * @param {Number} dy The distance in screen pixels.
+   */
+  panZoom(dx, dy) {
+    this.zoom.x += dx;
+    this.zoom.y += dy;
+    this.applyZoom(this.zoom.level);
+  }
+
+  /**
+   * Apply a zoom level and the current pan to the selection element. The
+   * pan is clamped so that the target covers the viewport, or is centered
+   * in it when zoomed out.
+   * @param {Number} level
+   */
+  applyZoom(level) {
+    const zoom = this.zoom;
+    const previousLevel = zoom.level;
+    const clamp = (value, size) => {
+      const min = size - (size * level);
+      return min > 0 ? min / 2 : Math.min(0, Math.max(min, value));
+    };
+    zoom.level = level;
+    zoom.x = clamp(zoom.x, this.selectionEl.offsetWidth);
+    zoom.y = clamp(zoom.y, this.selectionEl.offsetHeight);
+
+    this.selectionEl.style.transform = level === 1 ? '' :
+      `translate(${zoom.x}px, ${zoom.y}px) scale(${level})`;
+    this.redraw();
+
+    // Trigger callback
+    if (level !== previousLevel && this.options.onZoom !== null) {
+      this.options.onZoom(level);
+    }
+  }
+
+  /**
+   * Attach event listeners for zooming and panning.
+   * Enables zooming with the mouse wheel or by pinching the overlay, and
+   * panning by dragging the overlay, when the `zoomable` option is set.
+   */
+  attachZoomEvents() {
+    const self = this;
+    const pointers = {};
+    let pinchDistance = null;
+    function getPinchDistance() {
+      const ids = Object.keys(pointers);
+      return getDistance(pointers[ids[0]], pointers[ids[1]]);
+    }
+
+    // The middle of the pointers, in client coordinates
+    function getPinchCenter() {
+      const points = Object.keys(pointers).map(id => pointers[id]);
+      return [0, 1].map(i => points.reduce((sum, p) => sum + p[i], 0)
+        / points.length);
+    }
+
+    this.listen(this.viewportEl, 'wheel', onWheel, { passive: false });
+    this.listen(this.overlayEl, 'pointerdown', onPointerDown);
+    this.listen(this.overlayEl, 'pointermove', onPointerMove);
+    this.listen(this.overlayEl, 'pointerup', onPointerUp);
+    this.listen(this.overlayEl, 'pointercancel', onPointerUp);
+
+    function onWheel(e) {
+      if (!self.options.zoomable || !self.options.zoomOnWheel) { return; }
+      e.preventDefault();
+
+      // Normalize line-based scrolling to pixels
+      const delta = e.deltaMode === 1 ? e.deltaY * 33 : e.deltaY;
+      self.setZoom(self.zoom.level * Math.exp(-delta * 0.002),
+        self.getPointerPosition(e.clientX, e.clientY));
+    }
+
+    // A pointer on the empty area draws a new selection (see
+    // attachOverlayEvents), unless it starts with the pan gesture. A second
+    // pointer turns either into a pinch, which zooms and pans.
+    function onPointerDown(e) {
+      if (!self.options.zoomable) { return; }
+      e.stopPropagation();
+      const ids = Object.keys(pointers);
+      if (ids.length >= 2) { return; }
+      pointers[e.pointerId] = [e.clientX, e.clientY];
+
+      if (ids.length === 0) {
+        self.zoom.panning = isPanGesture(e);
+        if (self.zoom.panning) { capturePointer(self.overlayEl, e.pointerId); }
+      } else {
+        // The overlay gave up the first pointer when the second one came
+        self.zoom.panning = true;
+        Object.keys(pointers).forEach(id => capturePointer(self.overlayEl, Number(id)));
+        pinchDistance = getPinchDistance();
+      }
+    }
+
+    function onPointerMove(e) {
+      const last = pointers[e.pointerId];
+      if (last === undefined) { return; }
+      e.stopPropagation();
+      const center = getPinchCenter();
+      pointers[e.pointerId] = [e.clientX, e.clientY];
+
+      if (pinchDistance !== null) {
+        // Keep the point of the image under the pinch between the pointers
+        const distance = getPinchDistance();
+        const next = getPinchCenter();
+        self.panZoom(next[0] - center[0], next[1] - center[1]);
+        if (pinchDistance > 0) {
+          self.setZoom(self.zoom.level * (distance / pinchDistance),
+            self.getPointerPosition(next[0], next[1]));
+        }
+        pinchDistance = distance;
+      } else if (self.zoom.panning) {
+        self.panZoom(e.clientX - last[0], e.clientY - last[1]);
+      }
+    }
+
+    function onPointerUp(e) {
+      if (pointers[e.pointerId] === undefined) { return; }
+      e.stopPropagation();
+      delete pointers[e.pointerId];
+      releasePointer(self.overlayEl, e.pointerId);
+      pinchDistance = null;
+
+      // The remaining pointer of a pinch keeps panning
+      if (Object.keys(pointers).length === 0) { self.zoom.panning = false; }
+    }
+  }
+
+  /**
+   * Take a snapshot of the regions for the history. The regions are stored
+   * relative to the original target, so that the snapshot stays valid when
+   * the target is rotated or resized.
+   * @returns {Object}
+   */
+  getSnapshot() {
+    return {
+      active: this.activeRegion === null ? null : this.activeRegion.id,
+      regions: this.regions.map(region => Object.assign({ id: region.id },
+        this.getSourceRatio(region.box),
+        { angle: toSourceAngle(region.angle, this.transform) })),
+      polygon: this.polygon === null ? null : {
+        closed: this.polygon.closed,
+        points: this.polygon.points.map(p => this.getSourcePoint(p))
+      }
+    };
+  }
+
+  /**
+   * Calculate the ratio of a box relative to the original target, rounded
+   * so that it can be compared.
+   * @param {Box} box
+   * @returns {Object}
+   */
+  getSourceRatio(box) {
+    const precise = value => round(value, 6);
+    const rect = toSourceRect(this.boxToRatio(box), this.transform);
+    return {
+      x: precise(rect.x),
+      y: precise(rect.y),
+      width: precise(rect.width),
+      height: precise(rect.height)
+    };
+  }
+
+  /**
+   * Calculate the ratio of a point relative to the original target, rounded
+   * like getSourceRatio.
+   * @param {Array} point The [x, y] point.
+   * @returns {Array} The [x, y] ratio.
+   */
+  getSourcePoint([x, y]) {
+    const ratio = this.getSourceRatio(new Box(x, y, x, y));
+    return [ratio.x, ratio.y];
+  }
+
+  /**
+   * Map a point relative to the original target to the coordinates of the
+   * boxes. This is the inverse of getSourcePoint.
+   * @param {Array} point The [x, y] ratio.
+   * @returns {Array} The [x, y] point.
+   */
+  fromSourcePoint([x, y]) {
+    const box = this.ratioToBox(fromSourceRect({ x, y, width: 0, height: 0 },
+      this.transform));
+    return [box.x1, box.y1];
+  }
+
+  /**
+   * Restore the regions from a snapshot taken with getSnapshot.
+   * @param {Object} snapshot
+   */
+  restoreSnapshot(snapshot) {
+    const ids = snapshot.regions.map(r => r.id);
+    this.regions.filter(r => ids.indexOf(r.id) === -1)
+      .forEach(r => this.destroyRegion(r));
+
+    snapshot.regions.forEach((value) => {
+      const box = this.ratioToBox(fromSourceRect(value, this.transform));
+      let region = this.findRegion(value.id);
+      if (region === null) {
+        region = this.createRegion(box, value.id);
+      } else {
+        region.box = box;
+      }
+      region.angle = fromSourceAngle(value.angle, this.transform);
+    });
+    this.activateRegion(this.findRegion(snapshot.active));
+    if (this.polygon !== null && snapshot.polygon) {
+      this.polygon.setPoints(snapshot.polygon.points
+        .map(p => this.fromSourcePoint(p)), snapshot.polygon.closed);
+    }
+    this.acceptChanges();
+    this.redraw();
+  }
+
+  /**
+   * Review the changes of the regions, then record them in the history, if
+   * they changed.
+   */
+  commitHistory() {
+    if (this.reviewChanges()) { this.redraw(); }
+    if (this.history.push(this.getSnapshot())) {
+      this.notifyHistory();
+      this.emitter.emit('change', this.getValue());
+    }
+    this.updateForm();
+  }
+
+  /**
+   * Undo or redo a change of the regions.
+   * @param {Number} direction -1 to undo, 1 to redo.
+   * @returns {Boolean} Whether there was a change to undo or redo.
+   */
+  stepHistory(direction) {
+    const snapshot = direction < 0 ? this.history.undo() : this.history.redo();
+    if (snapshot === null) { return false; }
+    this.restoreSnapshot(snapshot);
+    this.notifyHistory();
+    this.emitter.emit('change', this.getValue());
+    this.updateForm();
+
+    // Trigger callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+    return true;
+  }
+
+  /**
+   * Call the history callback.
+   */
+  notifyHistory() {
+    if (this.options.onHistoryChange !== null) {
+      this.options.onHistoryChange({
+        canUndo: this.history.canUndo(),
+        canRedo: this.history.canRedo()
+      });
+    }
+  }
+
+  /**
+   * Attach listeners for the undo/redo keyboard shortcuts.
+   * Enables Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y (or Cmd on macOS) while the
+   * focus is within the container, when the `historyKeys` option is set.
+   */
+  attachHistoryEvents() {
+    this.listen(this.containerEl, 'keydown', (e) => {
+      if (!this.options.historyKeys || !(e.ctrlKey || e.metaKey)) { return; }
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') { return; }
+      e.preventDefault();
+      this.stepHistory(key === 'z' && !e.shiftKey ? -1 : 1);
+    });
+  }
+
+  /**
+   * Attach listeners for events emitted by the handles.
+   * Enables resizing of the region element.
+   */
+  attachHandlerEvents() {
+    const eventBus = this.eventBus;
+    this.listen(eventBus, 'handlestart', this.onHandleMoveStart.bind(this));
+    this.listen(eventBus, 'handlemove', this.onHandleMoveMoving.bind(this));
+    this.listen(eventBus, 'handleend', this.onHandleMoveEnd.bind(this));
+  }
+
+  /**
+   * Attach listeners for events emitted by the region elements.
+   * Enables dragging/moving of the region elements.
+   */
+  attachRegionEvents() {
+    const eventBus = this.eventBus;
+    this.listen(eventBus, 'regionstart', this.onRegionMoveStart.bind(this));
+    this.listen(eventBus, 'regionmove', this.onRegionMoveMoving.bind(this));
+    this.listen(eventBus, 'regionend', this.onRegionMoveEnd.bind(this));
+    this.listen(eventBus, 'regionpinchstart', this.onRegionPinchStart.bind(this));
+    this.listen(eventBus, 'regionpinch', this.onRegionPinchMoving.bind(this));
+    this.listen(eventBus, 'regionpinchend', this.onRegionPinchEnd.bind(this));
+  }
+
+  /**
+   * Attach listeners for events emitted by the rotation handles.
+   * Enables rotating the regions around their centers.
+   */
+  attachRotationEvents() {
+    const eventBus = this.eventBus;
+    this.listen(eventBus, 'rotatestart', this.onRotateStart.bind(this));
+    this.listen(eventBus, 'rotatemove', this.onRotateMoving.bind(this));
+    this.listen(eventBus, 'rotateend', this.onRotateEnd.bind(this));
+    this.listen(eventBus, 'rotatekey', this.onRotateKey.bind(this));
+  }
+
+  /**
+   * Rotate a region around its center. The region shrinks if it does not
+   * fit within the boundaries once rotated.
+   * @param {Region} region
+   * @param {Number} angle The clockwise rotation in degrees.
+   */
+  rotateRegion(region, angle) {
+    region.angle = normalizeAngle(angle);
+    this.fitToBoundary(region.box, region.angle);
+  }
+
+  /**
+   * Get the angle of a pointer around the center of a region, where 0 is
+   * straight above the center.
+   * @param {Region} region
+   * @param {Number} clientX
+   * @param {Number} clientY
+   * @returns {Number} The angle in degrees.
+   */
+  getPointerAngle(region, clientX, clientY) {
+    const [x, y] = this.getPointerPosition(clientX, clientY);
+    const [centerX, centerY] = region.box.getAbsolutePoint([0.5, 0.5]);
+    return (Math.atan2(y - centerY, x - centerX) * 180 / Math.PI) + 90;
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when user begins dragging a rotation handle.
+   */
+  onRotateStart(e) {
+    const { mouseX, mouseY, region } = e.detail;
+    this.activateRegion(region);
+
+    // Keep the offset between the pointer and the handle, so that the region
+    // does not jump when the handle is grabbed off center
+    this.activeRotation = {
+      offset: region.angle - this.getPointerAngle(region, mouseX, mouseY)
+    };
+    this._dragging = true;
+
+    // Trigger callback
+    if (this.options.onSelectStart !== null) {
+      this.options.onSelectStart(this.getValue());
+    }
+    this.emitter.emit('movestart', this.getValue());
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes on rotation handle move. Holding Shift snaps the rotation to
+   * steps of 15 degrees.
+   */
+  onRotateMoving(e) {
+    const { mouseX, mouseY, region } = e.detail;
+    let angle = this.getPointerAngle(region, mouseX, mouseY) +
+      this.activeRotation.offset;
+    if (e.detail.shiftKey) {
+      angle = Math.round(angle / ROTATION_STEP) * ROTATION_STEP;
+    }
+    this.rotateRegion(region, angle);
+    this.redraw();
+
+    // Trigger callback
+    if (this.options.onSelectMove !== null) {
+      this.options.onSelectMove(this.getValue());
+    }
+    this.emitter.emit('rotate', this.getValue());
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes on rotation handle move end.
+   */
+  onRotateEnd() {
+    this.activeRotation = null;
+    this._dragging = false;
+    this.commitHistory();
+    this.announce();
+
+    // Trigger callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when user presses an arrow key on a focused rotation handle.
+   * Right and down rotate clockwise by a degree, or by 15 degrees when Ctrl
+   * is held.
+   */
+  onRotateKey(e) {
+    const { region, direction, large } = e.detail;
+    const step = large ? ROTATION_STEP : 1;
+    this.activateRegion(region);
+    this.rotateRegion(region,
+      region.angle + ((direction[0] + direction[1]) * step));
+    this.redraw();
+    this.commitHistory();
+    this.announce();
+    this.emitter.emit('rotate', this.getValue());
+
+    // Trigger callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+  }
+
+  /**
+   * Attach event listeners for the overlay element.
+   * Enables the creation of a new selection by dragging an empty area. With
+   * the `multiple` option, a new region is added instead of replacing the
+   * current one. With the `zoomable` option, a drag with the pan gesture
+   * or a second touch is left to the zoom listeners (see attachZoomEvents).
+   */
+  attachOverlayEvents() {
+    const SOUTHEAST_HANDLE_IDX = 4;
+    const self = this;
+    let tmpBox = null;
+    let tmpRegion = null;
+    let tmpAngle = 0;
+    let newRegion = null;
+    let pointerId = null;
+    let start = null;
+
+    function restore() {
+      if (newRegion !== null) {
+        self.destroyRegion(newRegion);
+        self.activateRegion(tmpRegion);
+      } else {
+        self.box = tmpBox;
+        tmpRegion.angle = tmpAngle;
+      }
+      self._dragging = false;
+      self.showSnapGuides(null, null);
+      self.redraw();
+    }
+
+    // Stop drawing the new box, and bring back the previous one
+    function cancel() {
+      releasePointer(self.overlayEl, pointerId);
+      pointerId = null;
+      restore();
+    }
+
+    this.listen(this.overlayEl, 'pointerdown', onPointerDown);
+    this.listen(this.overlayEl, 'pointermove', onPointerMove);
+    this.listen(this.overlayEl, 'pointerup', onPointerUp);
+    this.listen(this.overlayEl, 'pointercancel', onPointerUp);
+
+    function onPointerDown(e) {
+      if (self.options.zoomable
+        && (pointerId !== null || self.zoom.panning || isPanGesture(e))) {
+        // A second touch pinches the zoomed image instead
+        if (pointerId !== null) { cancel(); }
+        return;
+      }
+      e.stopPropagation();
+      if (pointerId !== null) { return; }
+
+      // In polygon mode, a click adds a vertex instead
+      if (self.polygon !== null) {
+        const [x, y] = self.getPointerPosition(e.clientX, e.clientY);
+        self.addVertex(x, y);
+        return;
+      }
+      pointerId = e.pointerId;
+      start = [e.clientX, e.clientY];
+      capturePointer(self.overlayEl, pointerId);
+
+      // Calculate mouse's position in relative to the container, within
+      // the boundaries
+      let [mouseX, mouseY] = self.getPointerPosition(e.clientX, e.clientY);
+      const bounds = self.getBoundary();
+      mouseX = Math.min(Math.max(mouseX, bounds.x), bounds.x + bounds.width - 1);
+      mouseY = Math.min(Math.max(mouseY, bounds.y), bounds.y + bounds.height - 1);
+
+      // Create new box at mouse position
+      const box = new Box(mouseX, mouseY, mouseX + 1, mouseY + 1);
+      tmpBox = self.box;
+      tmpRegion = self.activeRegion;
+      tmpAngle = tmpRegion === null ? 0 : tmpRegion.angle;
+      newRegion = null;
+      if (self.options.multiple || tmpRegion === null) {
+        newRegion = self.createRegion(box);
+      } else {
+        self.box = box;
+        tmpRegion.angle = 0;
+      }
+
+      // Activate the bottom right handle
+      self.eventBus.dispatchEvent(new CustomEvent('handlestart', {
+        detail: { handle: self.handles[SOUTHEAST_HANDLE_IDX] }
+      }));
+    }
+
+    function onPointerMove(e) {
+      if (e.pointerId !== pointerId) { return; }
+      e.stopPropagation();
+      self.eventBus.dispatchEvent(new CustomEvent('handlemove', {
+        detail: Object.assign({ mouseX: e.clientX, mouseY: e.clientY },
+          getModifiers(e))
+      }));
+    }
+
+    function onPointerUp(e) {
+      if (e.pointerId !== pointerId) { return; }
+      e.stopPropagation();
+      releasePointer(self.overlayEl, pointerId);
+      pointerId = null;
+
+      // If the pointer barely moved, the user had just clicked on an empty
+      // area and did not drag a new box (ie. an accidental click). In this
+      // scenario, we simply replace it with the previous box. The distance
+      // is measured on screen, as the box itself may be enlarged by the
+      // size or ratio constraints.
+      if (getDistance(start, [e.clientX, e.clientY]) < CLICK_DISTANCE) {
+        restore();
+        return;
+      }
+
+      self.eventBus.dispatchEvent(new CustomEvent('handleend', {
+        detail: { mouseX: e.clientX, mouseY: e.clientY }
+      }));
+    }
+
+  }
+
+  /**
+   * Attach listeners for events emitted by the polygon.
+   * Enables dragging of its vertices, and closing it with a double click or
+   * the Enter key.
+   */
+  attachPolygonEvents() {
+    const eventBus = this.eventBus;
+    this.listen(eventBus, 'vertexstart', this.onVertexMoveStart.bind(this));
+    this.listen(eventBus, 'vertexmove', this.onVertexMoveMoving.bind(this));
+    this.listen(eventBus, 'vertexend', this.onVertexMoveEnd.bind(this));
+
+    this.listen(this.selectionEl, 'dblclick', () => {
+      if (this.polygon !== null) { this.closePolygon(); }
+    });
+    this.listen(this.containerEl, 'keydown', (e) => {
+      if (this.polygon === null || e.key !== 'Enter') { return; }
+      if (this.closePolygon()) { e.preventDefault(); }
+    });
+  }
+
+  /**
+   * Add a vertex to the polygon. Starts a new polygon if it is closed.
+   * @param {Number} x
+   * @param {Number} y
+   */
+  addVertex(x, y) {
+    const polygon = this.polygon;
+    const point = this.clampPoint(x, y);
+    const points = polygon.closed ? [] : polygon.points.slice();
+
+    // Ignore the second click of a double click, which closes the polygon
+    const last = points[points.length - 1];
+    if (last && getDistance(last, point) * this.zoom.level < VERTEX_DISTANCE) {
+      return;
+    }
+
+    points.push(point);
+    polygon.setPoints(points, false);
+    polygon.el.focus();
+    this.redraw();
+    this.commitHistory();
+
+    // Trigger callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+  }
+
+  /**
+   * Close the polygon, if it is open and has at least three vertices.
+   * @returns {Boolean} Whether the polygon was closed.
+   */
+  closePolygon() {
+    const polygon = this.polygon;
+    if (polygon.closed || polygon.points.length < 3) { return false; }
+    polygon.setPoints(polygon.points, true);
+    this.redraw();
+    this.commitHistory();
+
+    // Trigger callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+    return true;
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when user begins dragging a vertex. Pressing the first vertex
+   * of an open polygon closes it instead.
+   */
+  onVertexMoveStart(e) {
+    const { index } = e.detail;
+    if (index === 0 && this.closePolygon()) {
+      this.activeVertex = null;
+      return;
+    }
+
+    this.activeVertex = index;
+    this._dragging = true;
+
+    // Trigger callback
+    if (this.options.onSelectStart !== null) {
+      this.options.onSelectStart(this.getValue());
+    }
+    this.emitter.emit('movestart', this.getValue());
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes on vertex move. The vertex stays within the boundary and snaps
+   * like the sides of a region.
+   */
+  onVertexMoveMoving(e) {
+    if (this.activeVertex === null) { return; }
+    let { mouseX, mouseY } = e.detail;
+
+    // Calculate mouse's position in relative to the container
+    [mouseX, mouseY] = this.getPointerPosition(mouseX, mouseY);
+    let [x, y] = this.clampPoint(mouseX, mouseY);
+
+    let [snapX, snapY] = [null, null];
+    if (this.canSnap(e.detail)) {
+      snapX = this.findSnap('x', [x]);
+      snapY = this.findSnap('y', [y]);
+      [x, y] = this.clampPoint(x + (snapX === null ? 0 : snapX.offset),
+        y + (snapY === null ? 0 : snapY.offset));
+    }
+    this.showSnapGuides(snapX, snapY);
+
+    const points = this.polygon.points.slice();
+    points[this.activeVertex] = [x, y];
+    this.polygon.setPoints(points, this.polygon.closed);
+    this.redraw();
+
+    // Trigger callback
+    if (this.options.onSelectMove !== null) {
+      this.options.onSelectMove(this.getValue());
+    }
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes on vertex move end.
+   */
+  onVertexMoveEnd() {
+    if (this.activeVertex === null) { return; }
+    this.activeVertex = null;
+    this._dragging = false;
+    this.showSnapGuides(null, null);
+    this.commitHistory();
+
+    // Trigger callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
+    }
+  }
+
+  /**
+   * Attach listeners for size changes of the target, such as when the
+   * window or a parent element is resized. Observes the container as well,
+   * since a rotated target has a fixed size that only changes on layout.
+   */
+  attachResizeEvents() {
+    this._targetSize = this.getTargetSize();
+    const onResize = this.onTargetResize.bind(this);
+    if (typeof window.ResizeObserver === 'function') {
+      this._resizeObserver = new window.ResizeObserver(onResize);
+      this._resizeObserver.observe(this.containerEl);
+      this._resizeObserver.observe(this.targetEl);
+    } else {
+      this.listen(window, 'resize', onResize);
+    }
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when the target or its container is resized. Rescales the
+   * regions so that they keep selecting the same area of the target.
+   */
+  onTargetResize() {
+    const [oldWidth, oldHeight] = this._targetSize;
+    if (!isIdentity(this.transform)) { this.layoutTarget(); }
+    const [width, height] = this.getTargetSize();
+    if (width === oldWidth && height === oldHeight) { return; }
+    if (oldWidth === 0 || oldHeight === 0) {
+      // The target was hidden, so the regions have no size to scale from
+      this._targetSize = [width, height];
+      return;
+    }
+    this._targetSize = [width, height];
+
+    const [scaleX, scaleY] = [width / oldWidth, height / oldHeight];
+    this.regions.forEach((region) => {
+      const box = region.box;
+      region.box = new Box(box.x1 * scaleX, box.y1 * scaleY,
+        box.x2 * scaleX, box.y2 * scaleY);
+    });
+    if (this.polygon !== null) {
+      this.polygon.setPoints(this.polygon.points
+        .map(([x, y]) => [x * scaleX, y * scaleY]), this.polygon.closed);
+    }
+    this.acceptChanges();
+    this.redraw();
+
+    // Trigger callback
+    if (this.options.onResize !== null) {
+      this.options.onResize({ width, height });
+    }
+  }
+
+  /**
+   * Attach event listeners for the target video element.
+   * Makes regions with keyframes follow the current time of the video.
+   */
+  attachVideoEvents() {
+    const video = this.targetEl;
+    const self = this;
+
+    this.listen(video, 'play', onPlay);
+    this.listen(video, 'seeked', () => {
+      this.followKeyframes();
+      this.drawPreviews();
+    });
+
+    function onPlay() {
+      if (self._videoFrame === null) { follow(); }
+    }
+
+    // Follow the keyframes and update the previews on every frame during
+    // playback
+    function follow() {
+      self.followKeyframes();
+      self.drawPreviews();
+      if (video.paused || video.ended) {
+        self._videoFrame = null;
+      } else {
+        self._videoFrame = self.requestFrame(follow);
+      }
+    }
+  }
+
+  /**
+   * Move regions with keyframes to their value at the current time of the
+   * target video. The active region is left alone while it is dragged.
+   */
+  followKeyframes() {
+    const time = this.targetEl.currentTime;
+    let changed = false;
+    this.regions.forEach((region) => {
+      if (region.keyframes.size === 0) { return; }
+      if (this._dragging && region === this.activeRegion) { return; }
+      region.box = this.ratioToBox(region.keyframes.get(time));
+      changed = true;
+    });
+
+    if (changed) {
+      this.acceptChanges();
+      this.redraw();
+    }
+  }
+
+  /**
+   * Store the active region's value as a keyframe at the current time of
+   * the target video, if the region already follows keyframes.
+   */
+  updateKeyframe() {
+    const region = this.activeRegion;
+    if (!this.isVideo() || region === null || region.keyframes.size === 0) {
+      return;
+    }
+    region.keyframes.set(this.targetEl.currentTime, this.boxToRatio(region.box));
+  }
+
+  /**
+   * Attach listeners for keyboard events emitted by the handles and regions.
+   * Key presses are replayed as drags so that they go through the same
+   * constraints and callbacks.
+   */
+  attachKeyboardEvents() {
+    const eventBus = this.eventBus;
+    this.listen(eventBus, 'handlekey', this.onHandleKey.bind(this));
+    this.listen(eventBus, 'regionkey', this.onRegionKey.bind(this));
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when user presses an arrow key on a focused handle.
+   * Resizes the region from that handle.
+   */
+  onHandleKey(e) {
+    const { handle, direction, large } = e.detail;
+    const step = this.options.keyboardStep[large ? 1 : 0];
+    this.nudgeHandle(handle, direction[0] * step, direction[1] * step);
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when user presses an arrow key on a focused region.
+   * Moves the region, or resizes it from the bottom right handle when
+   * Shift is held.
+   */
+  onRegionKey(e) {
+    const SOUTHEAST_HANDLE_IDX = 4;
+    const { region, direction, large, resize } = e.detail;
+    const step = this.options.keyboardStep[large ? 1 : 0];
+    const dx = direction[0] * step;
+    const dy = direction[1] * step;
+
+    if (resize) {
+      this.nudgeHandle(region.handles[SOUTHEAST_HANDLE_IDX], dx, dy);
+      return;
+    }
+
+    // Replay as a region drag from its top left corner
+    const [mouseX, mouseY] = this.getClientPosition(region.box.x1,
+      region.box.y1);
+    const [toX, toY] = this.getClientPosition(region.box.x1 + dx,
+      region.box.y1 + dy);
+    this.eventBus.dispatchEvent(new CustomEvent('regionstart', {
+      detail: { mouseX, mouseY, region }
+    }));
+    this.eventBus.dispatchEvent(new CustomEvent('regionmove', {
+      detail: { mouseX: toX, mouseY: toY, region, keyboard: true }
+    }));
+    this.eventBus.dispatchEvent(new CustomEvent('regionend', {
+      detail: { mouseX: toX, mouseY: toY, region }
+    }));
+  }
+
+  /**
+   * Replay a drag of a handle by an offset.
+   * @param {Handle} handle
+   * @param {Number} dx
+   * @param {Number} dy
+   */
+  nudgeHandle(handle, dx, dy) {
+    // Activates the region that owns the handle
+    this.eventBus.dispatchEvent(new CustomEvent('handlestart', {
+      detail: { handle }
+    }));
+
+    const box = this.box;
+    const [x, y] = rotatePoint(box.getAbsolutePoint(handle.position),
+      box.getAbsolutePoint([0.5, 0.5]), this.activeRegion.angle);
+    const [mouseX, mouseY] = this.getClientPosition(x + dx, y + dy);
+    this.eventBus.dispatchEvent(new CustomEvent('handlemove', {
+      detail: { mouseX, mouseY, keyboard: true }
+    }));
+    this.eventBus.dispatchEvent(new CustomEvent('handleend', {
+      detail: { handle }
+    }));
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when user begins dragging a handle.
+   */
+  onHandleMoveStart(e) {
+    const { handle } = e.detail;
+
+    // Activate the region that owns the handle
+    const region = this.regions.filter(r => r.hasHandle(handle))[0];
+    if (region && region !== this.activeRegion) {
+      this.activateRegion(region);
+    }
+
+    // The origin point is the point where the box is scaled from.
+    // This is usually the opposite side/corner of the active handle.
+    const origin = this.box.getAbsolutePoint([1 - handle.position[0],
+      1 - handle.position[1]]);
+
+    // The ratio to keep while Shift is held
+    const ratio = this.box.width() / this.box.height();
+
+    // A rotated region is resized in its own frame: the box as it is before
+    // the rotation, turning around its center at the start of the drag
+    const frame = createFrame(this.box, this.activeRegion.angle);
+
+    this.activeHandle = { handle, origin, ratio, frame }
+    this._dragging = true;
+
+    // Trigger callback
+    if (this.options.onSelectStart !== null) {
+      this.options.onSelectStart(this.getValue());
+    }
+    this.emitter.emit('movestart', this.getValue());
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes on handle move. Main logic to manage the movement of handles.
+   */
+  onHandleMoveMoving(e) {
+    let { mouseX, mouseY } = e.detail;
+
+    // Calculate mouse's position in relative to the container
+    [mouseX, mouseY] = this.getPointerPosition(mouseX, mouseY);
+    const { handle, origin, ratio, frame } = this.activeHandle;
+
+    // Snap the dragged sides. The sides of rotated regions are not snapped,
+    // as they do not run along the axes.
+    let [snapX, snapY] = [null, null];
+    if (frame === null && this.canSnap(e.detail)) {
+      [mouseX, mouseY] = this.clampPoint(mouseX, mouseY);
+      if (handle.constraints[1] === 1 || handle.constraints[3] === 1) {
+        snapX = this.findSnap('x', [mouseX]);
+        if (snapX !== null) { mouseX += snapX.offset; }
+      }
+      if (handle.constraints[0] === 1 || handle.constraints[2] === 1) {
+        snapY = this.findSnap('y', [mouseY]);
+        if (snapY !== null) { mouseY += snapY.offset; }
+      }
     }
+    this.showSnapGuides(snapX, snapY);
 
-    // Maintain minimum/maximum size
-    const min = this.options.minSize;
-    const max = this.options.maxSize;
-    box.constrainToSize(max.width, max.height, min.width,
-      min.height, origin, this.options.aspectRatio);
-
-    // Constrain to boundary
-    const parentWidth = this.selectionEl.offsetWidth;
-    const parentHeight = this.selectionEl.offsetHeight;
-    box.constrainToBoundary(parentWidth, parentHeight, origin);
+    // Resize the box. Holding Shift keeps the ratio the box had when the
+    // drag started.
+    const box = resizeBox(this.box, handle, [mouseX, mouseY], this.options,
+      this.getSpace(), { origin, ratio: e.detail.shiftKey ? ratio : null, frame });
 
     // Finally, update the visuals (border, handles, clipped image, etc)
     this.box = box;
@@ -430,13 +1934,20 @@ export default class Core {
     if (this.options.onSelectMove !== null) {
       this.options.onSelectMove(this.getValue());
     }
+    this.emitter.emit('resize', this.getValue());
   }
 
   /**
    * EVENT HANDLER
    * Executes on handle move end.
    */
-  onHandleMoveEnd(e) {
+  onHandleMoveEnd() {
+    this._dragging = false;
+    this.showSnapGuides(null, null);
+    this.commitHistory();
+    this.updateKeyframe();
+    this.announce();
+
     // Trigger callback
     if (this.options.onSelectEnd !== null) {
       this.options.onSelectEnd(this.getValue());
@@ -448,22 +1959,24 @@ export default class Core {
    * Executes when user starts moving the crop region.
    */
   onRegionMoveStart(e) {
+    const { region } = e.detail;
     let { mouseX, mouseY } = e.detail;
+    this.activateRegion(region);
 
     // Calculate mouse's position in relative to the container
-    let container = this.selectionEl.getBoundingClientRect();
-    mouseX = mouseX - container.left;
-    mouseY = mouseY - container.top;
+    [mouseX, mouseY] = this.getPointerPosition(mouseX, mouseY);
 
     this.currentMove = {
       offsetX: mouseX - this.box.x1,
       offsetY: mouseY - this.box.y1
     }
+    this._dragging = true;
 
     // Trigger callback
     if (this.options.onSelectStart !== null) {
       this.options.onSelectStart(this.getValue());
     }
+    this.emitter.emit('movestart', this.getValue());
   }
 
   /**
@@ -472,28 +1985,88 @@ export default class Core {
    */
   onRegionMoveMoving(e) {
     let { mouseX, mouseY } = e.detail;
-    let { offsetX, offsetY } = this.currentMove;
+    const { offsetX, offsetY } = this.currentMove;
 
     // Calculate mouse's position in relative to the container
-    let container = this.selectionEl.getBoundingClientRect();
-    mouseX = mouseX - container.left;
-    mouseY = mouseY - container.top;
+    [mouseX, mouseY] = this.getPointerPosition(mouseX, mouseY);
 
-    this.box.move(mouseX - offsetX, mouseY - offsetY);
+    // Move the box within the boundaries
+    const box = moveBox(this.box, [mouseX - offsetX - this.box.x1,
+      mouseY - offsetY - this.box.y1], this.options, this.getSpace(),
+      this.activeRegion.angle);
+    this.box = box;
 
-    // Ensure box is within the boundaries
-    if (this.box.x1 < 0) {
-      this.box.move(0, null);
+    // Snap the sides or center of the box
+    let [snapX, snapY] = [null, null];
+    if (this.canSnap(e.detail)) {
+      snapX = this.findSnap('x', [box.x1, (box.x1 + box.x2) / 2, box.x2]);
+      snapY = this.findSnap('y', [box.y1, (box.y1 + box.y2) / 2, box.y2]);
+      box.move(snapX === null ? null : box.x1 + snapX.offset,
+        snapY === null ? null : box.y1 + snapY.offset);
+      this.moveWithinBoundary(box);
     }
-    if (this.box.x2 > container.width) {
-      this.box.move(container.width - this.box.width(), null);
+    this.showSnapGuides(snapX, snapY);
+
+    // Update visuals
+    this.redraw();
+
+    // Trigger callback
+    if (this.options.onSelectMove !== null) {
+      this.options.onSelectMove(this.getValue());
     }
-    if (this.box.y1 < 0) {
-      this.box.move(null, 0);
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when user stops moving the crop region (mouse up).
+   */
+  onRegionMoveEnd() {
+    this._dragging = false;
+    this.showSnapGuides(null, null);
+    this.commitHistory();
+    this.updateKeyframe();
+    this.announce();
+
+    // Trigger callback
+    if (this.options.onSelectEnd !== null) {
+      this.options.onSelectEnd(this.getValue());
     }
-    if (this.box.y2 > container.height) {
-      this.box.move(null, container.height - this.box.height());
+  }
+
+
+  /**
+   * EVENT HANDLER
+   * Executes when user starts pinching the crop region with two pointers.
+   */
+  onRegionPinchStart(e) {
+    this.activateRegion(e.detail.region);
+    this._dragging = true;
+
+    // Trigger callback
+    if (this.options.onSelectStart !== null) {
+      this.options.onSelectStart(this.getValue());
     }
+    this.emitter.emit('movestart', this.getValue());
+  }
+
+  /**
+   * EVENT HANDLER
+   * Executes when user pinches the crop region. Scales the region from its
+   * center by the change in distance between the two pointers.
+   */
+  onRegionPinchMoving(e) {
+    const origin = [0.5, 0.5];
+    const box = this.box;
+    box.scale(e.detail.factor, origin);
+
+    // Maintain minimum/maximum size
+    const min = this.resolveSize(this.options.minSize);
+    const max = this.resolveSize(this.options.maxSize);
+    box.constrainToSize(max.width, max.height, min.width,
+      min.height, origin, this.getBoxRatio(box));
+
+    // Ensure box is no larger than, and within the boundaries
+    this.fitToBoundary(box, this.activeRegion.angle);
 
     // Update visuals
     this.redraw();
@@ -502,53 +2075,521 @@ export default class Core {
     if (this.options.onSelectMove !== null) {
       this.options.onSelectMove(this.getValue());
     }
+    this.emitter.emit('resize', this.getValue());
   }
 
   /**
    * EVENT HANDLER
-   * Executes when user stops moving the crop region (mouse up).
+   * Executes when user stops pinching the crop region.
    */
-  onRegionMoveEnd(e) {
+  onRegionPinchEnd() {
+    this._dragging = false;
+    this.commitHistory();
+    this.updateKeyframe();
+    this.announce();
+
     // Trigger callback
     if (this.options.onSelectEnd !== null) {
       this.options.onSelectEnd(this.getValue());
     }
   }
 
+  /**
+   * Check if a drag should snap. Snapping is disabled for keyboard input
+   * and while the snap modifier key is held.
+   * @param {Object} detail The detail of the move event.
+   * @returns {Boolean}
+   */
+  canSnap(detail) {
+    const snap = this.options.snap;
+    if (this.activeRegion !== null && this.activeRegion.angle !== 0) {
+      return false;
+    }
+    return snap !== null && !detail.keyboard && !detail[`${snap.disableKey}Key`];
+  }
+
+  /**
+   * Get the edges and guide lines to snap to along an axis.
+   * @param {String} axis 'x' for vertical lines or 'y' for horizontal lines.
+   * @returns {Array} The positions of the lines in raw pixels.
+   */
+  getSnapLines(axis) {
+    const snap = this.options.snap;
+    const size = this.getTargetSize()[axis === 'x' ? 0 : 1];
+    const lines = snap.edges ? [0, size / 2, size] : [];
+
+    // Guides are positioned on the original target
+    const naturalSize = this.getNaturalSize();
+    ['x', 'y'].forEach((guideAxis, i) => {
+      snap.guides[guideAxis].forEach((position) => {
+        const line = fromSourceLine({
+          axis: guideAxis, position: position / naturalSize[i]
+        }, this.transform);
+        if (line.axis === axis) { lines.push(line.position * size); }
+      });
+    });
+    return lines;
+  }
+
+  /**
+   * Find the grid line closest to a position. The grid is laid out on the
+   * original target in natural pixels.
+   * @param {String} axis 'x' for vertical lines or 'y' for horizontal lines.
+   * @param {Number} position The position in raw pixels.
+   * @returns {Number} The position of the grid line in raw pixels.
+   */
+  getGridLine(axis, position) {
+    const size = this.getTargetSize()[axis === 'x' ? 0 : 1];
+    const line = toSourceLine({ axis, position: position / size }, this.transform);
+    const i = line.axis === 'x' ? 0 : 1;
+    const naturalSize = this.getNaturalSize()[i];
+    const step = this.options.snap.grid[i];
+    const snapped = Math.min(naturalSize,
+      Math.round((line.position * naturalSize) / step) * step);
+    return fromSourceLine({
+      axis: line.axis, position: snapped / naturalSize
+    }, this.transform).position * size;
+  }
+
+  /**
+   * Find how to snap positions along an axis. Edges and guide lines within
+   * the threshold take precedence over the grid, which always snaps the
+   * first position.
+   * @param {String} axis 'x' or 'y'.
+   * @param {Array} positions The positions that can snap, in raw pixels.
+   * @returns {Object} The {offset, line, guide} to move the positions by,
+   *      the line they snap to and whether it is an edge or guide line. Null
+   *      if there is nothing to snap to.
+   */
+  findSnap(axis, positions) {
+    const snap = this.options.snap;
+    const closest = findClosest(positions, this.getSnapLines(axis),
+      snap.threshold / this.zoom.level);
+    if (closest !== null) {
+      return Object.assign({ guide: true }, closest);
+    }
+    if (snap.grid !== null) {
+      const line = this.getGridLine(axis, positions[0]);
+      return { offset: line - positions[0], line, guide: false };
+    }
+    return null;
+  }
+
+  /**
+   * Show the edge or guide lines that the active region snapped to.
+   * @param {Object} snapX The vertical snap returned by findSnap, or null.
+   * @param {Object} snapY The horizontal snap returned by findSnap, or null.
+   */
+  showSnapGuides(snapX, snapY) {
+    [snapX, snapY].forEach((snap, i) => {
+      const el = this.snapGuideEls[i];
+      if (snap === null || !snap.guide) {
+        el.classList.remove('area-selection-snap-guide-visible');
+        return;
+      }
+      el.style.transform = i === 0 ?
+        `translateX(${snap.line}px)` : `translateY(${snap.line}px)`;
+      el.classList.add('area-selection-snap-guide-visible');
+    });
+  }
+
+  /**
+   * Convert a value as returned by getValue back to a box.
+   * @param {Object} value The {x, y, width, height} value.
+   * @param {String} mode The mode the value was calculated with: 'real',
+   *      'ratio' or 'raw'.
+   * @returns {Box}
+   */
+  valueToBox(value, mode) {
+    if (mode === 'raw') {
+      return new Box(value.x, value.y,
+        value.x + value.width, value.y + value.height);
+    }
+
+    let rect = value;
+    if (mode === 'real') {
+      const [width, height] = this.getNaturalSize();
+      rect = fromSourceRect({
+        x: value.x / width,
+        y: value.y / height,
+        width: value.width / width,
+        height: value.height / height
+      }, this.transform);
+    } else if (mode !== 'ratio') {
+      throw "Invalid value mode.";
+    }
+    return this.ratioToBox(rect);
+  }
+
+  /**
+   * Move a box within the boundaries and apply the ratio and minimum/maximum
+   * size constraints to it.
+   * @param {Box} box
+   * @param {Number} [angle] The rotation of the box in degrees.
+   * @returns {Box}
+   */
+  fitBox(box, angle = 0) {
+    return fitBox(box, this.options, this.getSpace(), angle);
+  }
+
+  /**
+   * Shrink a box until it is no larger than the boundaries, and move it
+   * within them.
+   * @param {Box} box
+   * @param {Number} [angle] The rotation of the box in degrees.
+   * @param {Array} [origin] The origin point to shrink from. Defaults to
+   *      [0.5, 0.5] (center).
+   * @returns {Box}
+   */
+  fitToBoundary(box, angle = 0, origin = [0.5, 0.5]) {
+    return fitToBoundary(box, this.options, this.getSpace(), angle, origin);
+  }
+
+  /**
+   * Set the regions from a value as returned by getValue. An array of values
+   * replaces all regions, a single value replaces the active region.
+   * @param {Object|Array} value The {x, y, width, height} value(s). Each
+   *      value may specify its own `mode` and region `id`.
+   * @param {String} [mode] The mode the value was calculated with: 'real',
+   *      'ratio' or 'raw'. Defaults to the `mode` of each value, then to the
+   *      `returnMode` option.
+   */
+  applyValue(value, mode = null) {
+    if (this.polygon !== null) {
+      this.applyPolygonValue(value, mode || value.mode || this.options.returnMode);
+      return;
+    }
+
+    const getMode = v => mode || v.mode || this.options.returnMode;
+    const getAngle = v => this.valueToAngle(v, getMode(v));
+    const getBox = v => this.fitBox(this.valueToBox(v, getMode(v)),
+      getAngle(v));
+
+    if (value instanceof Array) {
+      const values = this.options.multiple ? value : value.slice(0, 1);
+      this.regions.slice().forEach(r => this.destroyRegion(r));
+      values.forEach((v) => {
+        const region = this.createRegion(getBox(v), v.id === undefined ? null : v.id);
+        region.angle = getAngle(v);
+      });
+    } else if (this.activeRegion === null) {
+      this.createRegion(getBox(value)).angle = getAngle(value);
+    } else {
+      this.box = getBox(value);
+      this.activeRegion.angle = getAngle(value);
+    }
+  }
+
+  /**
+   * Get the rotation of a value as returned by getValue.
+   * @param {Object} value The value, with an optional `angle`.
+   * @param {String} mode The mode the value was calculated with.
+   * @returns {Number} The rotation in degrees.
+   */
+  valueToAngle(value, mode) {
+    if (typeof value.angle !== 'number') { return 0; }
+    return mode === 'real' ?
+      fromSourceAngle(value.angle, this.transform) : normalizeAngle(value.angle);
+  }
+
+  /**
+   * Set the polygon from a value as returned by getValue.
+   * @param {Object} value The {points, closed} value. The polygon is closed
+   *      unless `closed` is false.
+   * @param {String} mode The mode the value was calculated with: 'real',
+   *      'ratio' or 'raw'.
+   */
+  applyPolygonValue(value, mode) {
+    if (!isPolygonValue(value)) {
+      throw "Invalid polygon.";
+    }
+    const points = value.points.map(({ x, y }) => {
+      const box = this.valueToBox({ x, y, width: 0, height: 0 }, mode);
+      return this.clampPoint(box.x1, box.y1);
+    });
+    this.polygon.setPoints(points, value.closed !== false && points.length >= 3);
+  }
+
+  /**
+   * Move a box so that it lies within the boundaries, without resizing it.
+   * @param {Box} box
+   * @param {Number} [angle] The rotation of the box in degrees.
+   * @returns {Box}
+   */
+  moveWithinBoundary(box, angle = 0) {
+    return moveWithinBoundary(box, this.options, this.getSpace(), angle);
+  }
 
   /**
-   * Calculate the value of the crop region.
+   * Calculate the value of the crop region. With the `multiple` option, the
+   * values of all regions are returned as an array.
    */
   getValue(mode = null) {
+    if (this.polygon !== null) {
+      return this.getPolygonValue(mode);
+    }
+    if (this.options.multiple) {
+      return this.getRegionValues(mode);
+    }
+    return this.activeRegion === null ? null :
+      this.getRegionValue(this.activeRegion, mode);
+  }
+
+  /**
+   * Calculate the value of a region. With the `rotatable` option, or once it
+   * is rotated, the value includes the `center` and the clockwise `angle` of
+   * the region. `x`, `y`, `width` and `height` are those of the region
+   * before it is rotated around its center.
+   * @param {Region} region
+   * @param {String} [mode] Which mode of calculation to use: 'real', 'ratio' or
+   *      'raw'.
+   * @returns {Object}
+   */
+  getRegionValue(region, mode = null) {
+    if (mode === null) { mode = this.options.returnMode; }
+    const value = this.calculateValue(region.box, mode);
+    if (this.options.rotatable || region.angle !== 0) {
+      value.center = this.calculatePoint(region.box.getAbsolutePoint([0.5, 0.5]),
+        mode);
+      value.angle = round(mode === 'real' ?
+        toSourceAngle(region.angle, this.transform) : region.angle, 2);
+    }
+    return value;
+  }
+
+  /**
+   * Calculate the value of the polygon: its bounding box, with its vertices
+   * in the same mode.
+   * @returns {Object} The value, or null if the polygon has no vertices.
+   */
+  getPolygonValue(mode = null) {
+    const box = this.polygon.getBoundingBox();
+    if (box === null) { return null; }
+    return Object.assign(this.calculateValue(box, mode), {
+      closed: this.polygon.closed,
+      points: this.polygon.points.map(p => this.calculatePoint(p, mode))
+    });
+  }
+
+  /**
+   * Calculate the SVG path data of the polygon.
+   * @param {String} [mode] Which mode of calculation to use: 'real', 'ratio' or
+   *      'raw'.
+   * @returns {String} The path, or null if there is no polygon.
+   */
+  getPolygonPath(mode = null) {
+    const value = this.polygon === null ? null : this.getPolygonValue(mode);
+    if (value === null) { return null; }
+    return toPath(value.points.map(p => [p.x, p.y]), value.closed);
+  }
+
+  /**
+   * Calculate the values of all regions, each with its region id.
+   * @returns {Array}
+   */
+  getRegionValues(mode = null) {
+    return this.regions.map(region => Object.assign({ id: region.id },
+      this.getRegionValue(region, mode)));
+  }
+
+  /**
+   * Get the natural size of the target (or the video's intrinsic size),
+   * before rotation.
+   * @returns {Array} The [width, height].
+   */
+  getNaturalSize() {
+    const target = this.targetEl;
+    let [width, height] = this.getTargetSize();
+    if (this.transform.rotate % 180 !== 0) {
+      [width, height] = [height, width];
+    }
+    return [
+      target.naturalWidth || target.videoWidth || target.width || width,
+      target.naturalHeight || target.videoHeight || target.height || height
+    ];
+  }
+
+  /**
+   * Get the area of the target to draw for the active region, or for the
+   * closed polygon.
+   * @param {Object} [options] The options of getCroppedCanvas.
+   * @returns {Object} The {rect, opts} to draw with drawCrop, or null if
+   *      nothing is selected.
+   */
+  getCropArea(options = {}) {
+    const opts = Object.assign({ shape: this.options.shape }, options);
+    let box = this.box;
+    if (this.activeRegion !== null) { opts.angle = this.activeRegion.angle; }
+
+    // Crop the bounding box of a closed polygon, and mask the rest
+    if (this.polygon !== null) {
+      box = this.polygon.closed ? this.polygon.getBoundingBox() : null;
+      if (box !== null && (box.width() === 0 || box.height() === 0)) {
+        box = null;
+      }
+      if (box !== null) {
+        opts.polygon = this.polygon.points.map(([x, y]) => [
+          (x - box.x1) / box.width(), (y - box.y1) / box.height()
+        ]);
+      }
+    }
+
+    return box === null ? null : { rect: this.getSourceRect(box), opts };
+  }
+
+  /**
+   * Map a box to the area of the original, unrotated target in natural
+   * pixels, without rounding.
+   * @param {Box} box
+   * @returns {Object} The {x, y, width, height} area.
+   */
+  getSourceRect(box) {
+    const [width, height] = this.getNaturalSize();
+    const rect = toSourceRect(this.boxToRatio(box), this.transform);
+    // Rotated regions may extend past the target before they are rotated,
+    // so only rounding errors are clamped
+    const clamp = value => (value < 0 && value > -EPSILON ? 0 : value);
+    return {
+      x: clamp(rect.x * width),
+      y: clamp(rect.y * height),
+      width: rect.width * width,
+      height: rect.height * height
+    };
+  }
+
+  /**
+   * Rotate and flip the target element, and make the selection element
+   * match its displayed size.
+   */
+  layoutTarget() {
+    const target = this.targetEl;
+    const { rotate, flipX, flipY } = this.transform;
+
+    // Reset to measure the untransformed size of the target
+    clearLayout(target);
+    this.selectionEl.style.width = '';
+    this.selectionEl.style.height = '';
+    if (isIdentity(this.transform)) { return; }
+
+    // The target is rotated first, then flipped
+    const transform = `scale(${flipX ? -1 : 1}, ${flipY ? -1 : 1}) rotate(${rotate}deg)`;
+    if (rotate % 180 === 0) {
+      target.style.transform = transform;
+      return;
+    }
+
+    // Quarter turns swap the displayed width and height. Shrink the target
+    // so that it still fits in its original width.
+    const fit = Math.min(1, target.offsetWidth / target.offsetHeight);
+    const width = target.offsetWidth * fit;
+    const height = target.offsetHeight * fit;
+    this.selectionEl.style.width = `${height}px`;
+    this.selectionEl.style.height = `${width}px`;
+    Object.assign(target.style, {
+      position: 'absolute',
+      left: `${(height - width) / 2}px`,
+      top: `${(width - height) / 2}px`,
+      width: `${width}px`,
+      height: `${height}px`,
+      maxWidth: 'none',
+      transform
+    });
+  }
+
+  /**
+   * Change the rotation and flip of the target. The regions and their
+   * keyframes are remapped so that they keep selecting the same area.
+   * @param {Object} transform The new {rotate, flipX, flipY}.
+   * @param {Function} remap Maps a rectangle of ratios from the current to
+   *      the new orientation.
+   */
+  applyTransform(transform, remap) {
+    const values = this.regions.map(r => remap(this.boxToRatio(r.box)));
+    const points = this.polygon === null ? [] : this.polygon.points
+      .map(([x, y]) => remap(this.boxToRatio(new Box(x, y, x, y))));
+    this.regions.forEach((r) => {
+      r.keyframes.frames.forEach((frame) => { frame.value = remap(frame.value); });
+    });
+
+    // Mirroring the target reverses the rotation of the regions
+    const mirrored = (transform.flipX !== this.transform.flipX) !==
+      (transform.flipY !== this.transform.flipY);
+    this.transform = transform;
+    this.layoutTarget();
+    this._targetSize = this.getTargetSize();
+
+    this.regions.forEach((r, i) => {
+      if (mirrored) { r.angle = normalizeAngle(-r.angle); }
+      r.box = this.constrainBox(this.ratioToBox(values[i]), [0.5, 0.5],
+        this.options, r.angle);
+      this.moveWithinBoundary(r.box, r.angle);
+    });
+    if (this.polygon !== null) {
+      this.polygon.setPoints(points.map((p) => {
+        const box = this.ratioToBox(p);
+        return this.clampPoint(box.x1, box.y1);
+      }), this.polygon.closed);
+    }
+    this.acceptChanges();
+    this.redraw();
+  }
+
+  /**
+   * Calculate the value of a box.
+   * @param {Box} box
+   * @param {String} [mode] Which mode of calculation to use: 'real', 'ratio' or
+   *      'raw'.
+   */
+  calculateValue(box, mode = null) {
     if (mode === null) { mode = this.options.returnMode; }
-    if (mode == 'real') {
-      const actualWidth = this.targetEl.naturalWidth || this.targetEl.width
-      const actualHeight = this.targetEl.naturalHeight || this.targetEl.height
-      const { width: elementWidth, height: elementHeight } = this.targetEl.getBoundingClientRect();
-      const factorX = (actualWidth || elementWidth) / elementWidth;
-      const factorY = (actualHeight || elementHeight) / elementHeight;
-      return {
-        x: Math.round(this.box.x1 * factorX),
-        y: Math.round(this.box.y1 * factorY),
-        width: Math.round(this.box.width() * factorX),
-        height: Math.round(this.box.height() * factorY)
+    let value;
+    if (mode === 'real') {
+      const rect = this.getSourceRect(box);
+      value = {
+        x: Math.round(rect.x),
+        y: Math.round(rect.y),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      }
+
+      // Include the rotation and flip applied to the target
+      if (!isIdentity(this.transform)) {
+        value.transform = Object.assign({}, this.transform);
       }
-    } else if (mode == 'ratio') {
-      const { width: elementWidth, height: elementHeight } = this.targetEl.getBoundingClientRect();
-      return {
-        x: round(this.box.x1 / elementWidth, 3),
-        y: round(this.box.y1 / elementHeight, 3),
-        width: round(this.box.width() / elementWidth, 3),
-        height: round(this.box.height() / elementHeight, 3)
+    } else if (mode === 'ratio') {
+      const [elementWidth, elementHeight] = this.getTargetSize();
+      value = {
+        x: round(box.x1 / elementWidth, 3),
+        y: round(box.y1 / elementHeight, 3),
+        width: round(box.width() / elementWidth, 3),
+        height: round(box.height() / elementHeight, 3)
       }
-    } else if (mode == 'raw') {
-      return {
-        x: Math.round(this.box.x1),
-        y: Math.round(this.box.y1),
-        width: Math.round(this.box.width()),
-        height: Math.round(this.box.height())
+    } else if (mode === 'raw') {
+      value = {
+        x: Math.round(box.x1),
+        y: Math.round(box.y1),
+        width: Math.round(box.width()),
+        height: Math.round(box.height())
       }
     }
+
+    // Include the shape of the regions, unless they are rectangles
+    if (value !== undefined && this.options.shape !== 'rect') {
+      value.shape = this.options.shape;
+    }
+    return value;
+  }
+
+  /**
+   * Calculate the value of a point.
+   * @param {Array} point The [x, y] point.
+   * @param {String} [mode] Which mode of calculation to use: 'real', 'ratio' or
+   *      'raw'.
+   * @returns {Object} The {x, y} value.
+   */
+  calculatePoint([x, y], mode = null) {
+    const value = this.calculateValue(new Box(x, y, x, y), mode);
+    return { x: value.x, y: value.y };
   }
 
   /**
@@ -557,57 +2598,237 @@ export default class Core {
   static parseOptions(opts) {
     const defaults = {
       aspectRatio: null,
-      maxSize: { width: null, height: null },
-      minSize: { width: null, height: null },
+      aspectRatios: null,
+      maxSize: { width: null, height: null, unit: 'px' },
+      minSize: { width: null, height: null, unit: 'px' },
       startSize: { width: 100, height: 100, unit: '%' },
+      bounds: null,
+      shape: 'rect',
+      rotatable: false,
       returnMode: 'real',
+      multiple: false,
+      keyboardStep: [1, 10],
+      labels: parseLabels(),
+      touchAction: 'none',
+      zoomable: false,
+      zoomOnWheel: true,
+      minZoom: 1,
+      maxZoom: 10,
+      historyLimit: 100,
+      historyKeys: false,
+      startValue: null,
+      snap: null,
+      preview: null,
+      input: null,
+      handles: HANDLE_SETS.all,
+      guides: true,
+      crosshair: true,
+      overlayColor: null,
+      overlayOpacity: null,
+      renderHandle: null,
       onInitialize: null,
       onSelectStart: null,
       onSelectMove: null,
       onSelectEnd: null,
+      onZoom: null,
+      onHistoryChange: null,
+      onResize: null,
     }
 
     // Parse aspect ratio
     let aspectRatio = null;
     if (opts.aspectRatio !== undefined) {
-      if (typeof (opts.aspectRatio) === 'number') {
-        aspectRatio = opts.aspectRatio
-      } else if (opts.aspectRatio instanceof Array) {
-        aspectRatio = opts.aspectRatio[1] / opts.aspectRatio[0];
-      }
+      aspectRatio = parseRatio(opts.aspectRatio);
+    }
+
+    // Parse allowed aspect ratios
+    let aspectRatios = null;
+    if (opts.aspectRatios instanceof Array && opts.aspectRatios.length > 0) {
+      aspectRatios = opts.aspectRatios.map(parseRatio);
     }
 
     // Parse max width/height
     let maxSize = null;
     if (opts.maxSize !== undefined && opts.maxSize !== null) {
-      maxSize = {
-        width: opts.maxSize[0] || null,
-        height: opts.maxSize[1] || null,
-        unit: opts.maxSize[2] || 'px'
-      }
+      maxSize = parseSize(opts.maxSize, 'px');
     }
 
     // Parse min width/height
     let minSize = null;
     if (opts.minSize !== undefined && opts.minSize !== null) {
-      minSize = {
-        width: opts.minSize[0] || null,
-        height: opts.minSize[1] || null,
-        unit: opts.minSize[2] || 'px'
-      }
+      minSize = parseSize(opts.minSize, 'px');
     }
 
     // Parse start size
     let startSize = null;
     if (opts.startSize !== undefined && opts.startSize !== null) {
-      startSize = {
-        width: opts.startSize[0] || null,
-        height: opts.startSize[1] || null,
-        unit: opts.startSize[2] || '%'
+      startSize = parseSize(opts.startSize, '%');
+    }
+
+    // Parse boundary
+    let bounds = null;
+    if (opts.bounds !== undefined && opts.bounds !== null) {
+      bounds = parseBounds(opts.bounds);
+    }
+
+    // Parse shape
+    let shape = null;
+    if (opts.shape !== undefined && opts.shape !== null) {
+      if (SHAPES.indexOf(opts.shape) === -1) {
+        throw "Invalid shape.";
+      }
+      shape = opts.shape;
+    }
+
+    // Parse rotation handle flag
+    let rotatable = null;
+    if (opts.rotatable !== undefined) {
+      rotatable = !!opts.rotatable;
+    }
+
+    // Parse multiple regions flag
+    let multiple = null;
+    if (opts.multiple !== undefined) {
+      multiple = !!opts.multiple;
+    }
+
+    // Parse keyboard steps
+    let keyboardStep = null;
+    if (typeof opts.keyboardStep === 'number') {
+      keyboardStep = [opts.keyboardStep, opts.keyboardStep * 10];
+    } else if (opts.keyboardStep instanceof Array) {
+      keyboardStep = [opts.keyboardStep[0], opts.keyboardStep[1] || opts.keyboardStep[0] * 10];
+    }
+
+    // Parse accessibility labels
+    let labels = null;
+    if (opts.labels !== undefined && opts.labels !== null) {
+      labels = parseLabels(opts.labels);
+    }
+
+    // Parse touch action of the empty area
+    let touchAction = null;
+    if (typeof opts.touchAction === 'string') {
+      touchAction = opts.touchAction;
+    }
+
+    // Parse zoom options
+    let zoomable = null;
+    if (opts.zoomable !== undefined) {
+      zoomable = !!opts.zoomable;
+    }
+
+    let zoomOnWheel = null;
+    if (opts.zoomOnWheel !== undefined) {
+      zoomOnWheel = !!opts.zoomOnWheel;
+    }
+
+    let minZoom = null;
+    if (typeof opts.minZoom === 'number') {
+      minZoom = opts.minZoom;
+    }
+
+    let maxZoom = null;
+    if (typeof opts.maxZoom === 'number') {
+      maxZoom = opts.maxZoom;
+    }
+
+    const zoomMin = minZoom === null ? defaults.minZoom : minZoom;
+    const zoomMax = maxZoom === null ? defaults.maxZoom : maxZoom;
+    if (zoomMin <= 0 || zoomMin > zoomMax) {
+      throw "Invalid zoom limits.";
+    }
+
+    // Parse history options
+    let historyLimit = null;
+    if (typeof opts.historyLimit === 'number') {
+      historyLimit = opts.historyLimit;
+    }
+
+    let historyKeys = null;
+    if (opts.historyKeys !== undefined) {
+      historyKeys = !!opts.historyKeys;
+    }
+
+    // Parse start value
+    let startValue = null;
+    if (opts.startValue !== undefined && opts.startValue !== null) {
+      if (![].concat(opts.startValue).every(isValue)) {
+        throw "Invalid start value.";
+      }
+      startValue = opts.startValue;
+    }
+
+    // Parse snap settings
+    let snap = null;
+    if (opts.snap !== undefined) {
+      snap = parseSnap(opts.snap);
+    }
+
+    // Parse preview containers, given as elements or selectors
+    let preview = null;
+    if (opts.preview !== undefined && opts.preview !== null) {
+      preview = opts.preview.length === undefined ||
+        typeof opts.preview === 'string' ?
+        [opts.preview] : Array.prototype.slice.call(opts.preview);
+      if (!preview.every(p => p && (typeof p === 'string' || p.nodeName))) {
+        throw "Invalid preview.";
+      }
+    }
+
+    // Parse the form input. Only JSON holds several regions or a polygon.
+    let input = null;
+    if (opts.input !== undefined && opts.input !== null) {
+      input = parseInput(opts.input);
+      if (input.format !== 'json' && (shape === 'polygon' || multiple === true)) {
+        throw "Invalid input format.";
+      }
+    }
+
+    // Parse the handles to show, given as a set name or a list of
+    // directions
+    let handles = null;
+    if (opts.handles !== undefined && opts.handles !== null) {
+      handles = typeof opts.handles === 'string' ?
+        HANDLE_SETS[opts.handles] : opts.handles;
+      if (!(handles instanceof Array) ||
+        !handles.every(d => HANDLE_SETS.all.indexOf(d) !== -1)) {
+        throw "Invalid handles.";
       }
     }
 
+    // Parse guide flags
+    let guides = null;
+    if (opts.guides !== undefined) {
+      guides = !!opts.guides;
+    }
+
+    let crosshair = null;
+    if (opts.crosshair !== undefined) {
+      crosshair = !!opts.crosshair;
+    }
+
+    // Parse overlay color and opacity
+    let overlayColor = null;
+    if (typeof opts.overlayColor === 'string') {
+      overlayColor = opts.overlayColor;
+    }
+
+    let overlayOpacity = null;
+    if (opts.overlayOpacity !== undefined && opts.overlayOpacity !== null) {
+      if (typeof opts.overlayOpacity !== 'number' ||
+        !(opts.overlayOpacity >= 0 && opts.overlayOpacity <= 1)) {
+        throw "Invalid overlay opacity.";
+      }
+      overlayOpacity = opts.overlayOpacity;
+    }
+
     // Parse callbacks
+    let renderHandle = null;
+    if (typeof opts.renderHandle === 'function') {
+      renderHandle = opts.renderHandle;
+    }
+
     let onInitialize = null;
     if (typeof opts.onInitialize === 'function') {
       onInitialize = opts.onInitialize;
@@ -628,6 +2849,21 @@ export default class Core {
       onSelectMove = opts.onSelectMove;
     }
 
+    let onZoom = null;
+    if (typeof opts.onZoom === 'function') {
+      onZoom = opts.onZoom;
+    }
+
+    let onHistoryChange = null;
+    if (typeof opts.onHistoryChange === 'function') {
+      onHistoryChange = opts.onHistoryChange;
+    }
+
+    let onResize = null;
+    if (typeof opts.onResize === 'function') {
+      onResize = opts.onResize;
+    }
+
     // Parse returnMode value
     let returnMode = null;
     if (opts.returnMode !== undefined) {
@@ -638,41 +2874,44 @@ export default class Core {
       returnMode = s;
     }
 
-    // Create function to convert % values to pixels
-    const convertToPixels = function (container) {
-      const width = container.offsetWidth;
-      const height = container.offsetHeight;
-
-      // Convert sizes
-      const sizeKeys = ['maxSize', 'minSize', 'startSize'];
-      for (let i = 0; i < sizeKeys.length; i++) {
-        const key = sizeKeys[i];
-        if (this[key] !== null) {
-          if (this[key].unit == '%') {
-            if (this[key].width !== null) {
-              this[key].width = (this[key].width / 100) * width;
-            }
-            if (this[key].height !== null) {
-              this[key].height = (this[key].height / 100) * height;
-            }
-          }
-          delete this[key].unit;
-        }
-      }
-    }
-
     const defaultValue = (v, d) => (v !== null ? v : d);
     return {
       aspectRatio: defaultValue(aspectRatio, defaults.aspectRatio),
+      aspectRatios: defaultValue(aspectRatios, defaults.aspectRatios),
       maxSize: defaultValue(maxSize, defaults.maxSize),
       minSize: defaultValue(minSize, defaults.minSize),
       startSize: defaultValue(startSize, defaults.startSize),
+      bounds: defaultValue(bounds, defaults.bounds),
+      shape: defaultValue(shape, defaults.shape),
+      rotatable: defaultValue(rotatable, defaults.rotatable),
       returnMode: defaultValue(returnMode, defaults.returnMode),
+      multiple: defaultValue(multiple, defaults.multiple),
+      keyboardStep: defaultValue(keyboardStep, defaults.keyboardStep),
+      labels: defaultValue(labels, defaults.labels),
+      touchAction: defaultValue(touchAction, defaults.touchAction),
+      zoomable: defaultValue(zoomable, defaults.zoomable),
+      zoomOnWheel: defaultValue(zoomOnWheel, defaults.zoomOnWheel),
+      minZoom: defaultValue(minZoom, defaults.minZoom),
+      maxZoom: defaultValue(maxZoom, defaults.maxZoom),
+      historyLimit: defaultValue(historyLimit, defaults.historyLimit),
+      historyKeys: defaultValue(historyKeys, defaults.historyKeys),
+      startValue: defaultValue(startValue, defaults.startValue),
+      snap: defaultValue(snap, defaults.snap),
+      preview: defaultValue(preview, defaults.preview),
+      input: defaultValue(input, defaults.input),
+      handles: defaultValue(handles, defaults.handles),
+      guides: defaultValue(guides, defaults.guides),
+      crosshair: defaultValue(crosshair, defaults.crosshair),
+      overlayColor: defaultValue(overlayColor, defaults.overlayColor),
+      overlayOpacity: defaultValue(overlayOpacity, defaults.overlayOpacity),
+      renderHandle: defaultValue(renderHandle, defaults.renderHandle),
       onInitialize: defaultValue(onInitialize, defaults.onInitialize),
       onSelectStart: defaultValue(onSelectStart, defaults.onSelectStart),
       onSelectMove: defaultValue(onSelectMove, defaults.onSelectMove),
       onSelectEnd: defaultValue(onSelectEnd, defaults.onSelectEnd),
-      convertToPixels: convertToPixels
+      onZoom: defaultValue(onZoom, defaults.onZoom),
+      onHistoryChange: defaultValue(onHistoryChange, defaults.onHistoryChange),
+      onResize: defaultValue(onResize, defaults.onResize)
     }
   }
 
@@ -681,8 +2920,57 @@ export default class Core {
   */
  setOptions(opts) {
    this.options = Core.parseOptions(Object.assign(this.options, opts || {}));
+
+   // Before initialization, the options are only stored
+   if (!this._initialized) { return; }
+
+   this.overlayEl.style.touchAction = this.options.touchAction;
+
+   // Recreate the previews, in case their containers changed
+   this.destroyPreviews();
+   this.createPreviews();
+   this.drawPreviews();
+
+   // Recreate the form inputs, in case their settings changed
+   this.destroyForm();
+   this.createForm();
+
+   // Update accessibility labels
+   labelContainer(this.containerEl, this.options.labels);
+   this.regions.forEach(region => region.handles
+     .forEach(h => labelHandle(h, this.options.labels)));
+   this.regions.forEach(region => labelRotator(region, this.options.labels));
+
+   // Switch between the regions and the polygon
+   if (this.options.shape === 'polygon') {
+     this.regions.slice().forEach(r => this.destroyRegion(r));
+     if (this.polygon === null) { this.createPolygon(); }
+   } else {
+     this.destroyPolygon();
+     if (this.activeRegion === null) {
+       this.createRegion(this.initializeBox(this.options));
+     }
+   }
+   this.regions.forEach(region => region.setShape(this.options.shape));
+   this.regions.forEach(region => region.setRotatable(this.options.rotatable));
+
+   // Update the handles, guides and overlay
+   this.applyTheme();
+   this.regions.forEach(region => this.applyRegionTheme(region));
+
+   // Only keep the active region when multiple regions are disabled
+   if (!this.options.multiple) {
+     this.regions.filter(r => r !== this.activeRegion)
+       .forEach(r => this.destroyRegion(r));
+   }
+
    this.box = this.initializeBox(this.options);
-   this.redraw();
+   if (this.activeRegion !== null) { this.activeRegion.angle = 0; }
+   this.history.limit = this.options.historyLimit;
+   this.commitHistory();
+
+   // Clamp the zoom to the new limits, which also redraws
+   this.setZoom(this.options.zoomable ? this.zoom.level : 1);
  }
 }
 
@@ -693,3 +2981,24 @@ export default class Core {
 function round(value, decimals) {
   return Number(Math.round(value + 'e' + decimals) + 'e-' + decimals);
 }
+
+function roundToStep(value, step) {
+  return Math.round(value / step) * step;
+}
+
+function isValue(value) {
+  return value !== null && typeof value === 'object' && (isPolygonValue(value) ||
+    ['x', 'y', 'width', 'height'].every(key => typeof value[key] === 'number'));
+}
+
+function isPolygonValue(value) {
+  return value !== null && typeof value === 'object' &&
+    value.points instanceof Array && value.points.every(p => (
+    p !== null && typeof p.x === 'number' && typeof p.y === 'number'
+  ));
+}
+
+function clearLayout(target) {
+  ['position', 'left', 'top', 'width', 'height', 'maxWidth', 'transform']
+    .forEach((key) => { target.style[key] = ''; });
+}
@@ -0,0 +1,115 @@
+import Binding from './binding';
+
+/**
+ * AreaSelection custom element
+ * Defines the <area-selection> element. Its target is the image or video it
+ * contains, or an image of its `src` attribute. The `options` and `value`
+ * properties are applied as they change, and the instance is destroyed when
+ * the element is removed from the document. The element dispatches `ready`
+ * with the instance, and `change` with the value.
+ */
+
+/**
+ * Defines the custom element, once.
+ * @param {String} [name] The tag name. Defaults to 'area-selection'.
+ * @returns {Function} The element class.
+ */
+export default function defineElement(name = 'area-selection') {
+  const defined = window.customElements.get(name);
+  if (defined !== undefined) { return defined; }
+
+  class AreaSelectionElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['src'];
+    }
+
+    constructor() {
+      super();
+      this.binding = new Binding(
+        value => this.dispatch('change', value),
+        instance => this.dispatch('ready', instance)
+      );
+      this._options = {};
+      this._value = null;
+    }
+
+    /**
+     * The AreaSelection instance, or null while the element is not in the
+     * document.
+     * @type {AreaSelection}
+     */
+    get instance() {
+      return this.binding.instance;
+    }
+
+    /**
+     * The options. Setting them calls setOptions, which resets the
+     * selection unless the value is set.
+     * @type {Object}
+     */
+    get options() {
+      return this._options;
+    }
+
+    set options(options) {
+      this._options = options || {};
+      this.sync();
+    }
+
+    /**
+     * The value of the selection, as returned by getValue. Setting it
+     * controls the selection, null leaves it to the user.
+     * @type {Object|Array}
+     */
+    get value() {
+      return this.binding.getValue();
+    }
+
+    set value(value) {
+      this._value = value === undefined ? null : value;
+      this.sync();
+    }
+
+    connectedCallback() {
+      // Properties set before the element was defined hide the accessors
+      ['options', 'value'].forEach((key) => {
+        if (Object.prototype.hasOwnProperty.call(this, key)) {
+          const value = this[key];
+          delete this[key];
+          this[key] = value;
+        }
+      });
+
+      let target = this.querySelector('img, video');
+      if (target === null) {
+        target = document.createElement('img');
+        this.appendChild(target);
+      }
+      this.sync();
+      this.binding.mount(target);
+    }
+
+    disconnectedCallback() {
+      this.binding.unmount();
+    }
+
+    attributeChangedCallback() {
+      this.sync();
+    }
+
+    sync() {
+      this.binding.update({
+        options: this._options,
+        value: this._value,
+        src: this.getAttribute('src')
+      });
+    }
+
+    dispatch(type, detail) {
+      this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+    }
+  }
+
+  window.customElements.define(name, AreaSelectionElement);
+  return AreaSelectionElement;
+}
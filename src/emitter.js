@@ -0,0 +1,95 @@
+/**
+ * Emitter component
+ * Calls the listeners of named events with an event object, in the same
+ * shape as a DOM CustomEvent.
+ */
+export default class Emitter {
+
+  /**
+   * Creates a new Emitter instance.
+   * @constructor
+   * @param {Object} target The object that emits the events. Passed to the
+   *      listeners as `event.target`.
+   */
+  constructor(target) {
+    this.target = target;
+    this.listeners = {};
+  }
+
+  /**
+   * Adds a listener to an event.
+   * @param {String} type The event name.
+   * @param {Function} listener Called with the event object.
+   */
+  on(type, listener) {
+    if (typeof listener !== 'function') {
+      throw 'Listener must be a function.';
+    }
+    if (this.listeners[type] === undefined) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener from an event.
+   * @param {String} [type] The event name. Removes the listeners of all
+   *      events if omitted.
+   * @param {Function} [listener] Removes all listeners of the event if
+   *      omitted.
+   */
+  off(type, listener) {
+    if (type === undefined) {
+      this.listeners = {};
+    } else if (listener === undefined) {
+      delete this.listeners[type];
+    } else if (this.listeners[type] !== undefined) {
+      this.listeners[type] = this.listeners[type].filter(l => (
+        l !== listener && l.listener !== listener
+      ));
+    }
+    return this;
+  }
+
+  /**
+   * Adds a listener that is removed after it is called once.
+   * @param {String} type The event name.
+   * @param {Function} listener Called with the event object.
+   */
+  once(type, listener) {
+    const self = this;
+    function wrapper(e) {
+      self.off(type, wrapper);
+      return listener.call(this, e);
+    }
+    wrapper.listener = listener;
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * Calls the listeners of an event in the order they were added.
+   * @param {String} type The event name.
+   * @param {*} [detail] The data of the event.
+   * @param {Boolean} [cancelable] Whether the listeners can call
+   *      `preventDefault()` on the event.
+   * @returns {Object} The event object.
+   */
+  emit(type, detail = null, cancelable = false) {
+    const event = {
+      type,
+      target: this.target,
+      detail,
+      cancelable,
+      defaultPrevented: false,
+      preventDefault() {
+        if (this.cancelable) { this.defaultPrevented = true; }
+      }
+    };
+
+    // Copy the list, so that listeners may add or remove listeners
+    const listeners = (this.listeners[type] || []).slice();
+    listeners.forEach(listener => listener.call(this.target, event));
+    return event;
+  }
+}
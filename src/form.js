@@ -0,0 +1,220 @@
+/**
+ * The formats of the `input` option, and the fields of the 'fields' format.
+ */
+const FORMATS = ['json', 'fields', 'string'];
+const FIELDS = ['x', 'y', 'width', 'height'];
+
+/**
+ * Parses the `input` option.
+ * @param {String|Object} input The name of the input, or the {name, format,
+ *      mode, blob, type, quality} settings.
+ * @returns {Object} The settings.
+ */
+export function parseInput(input) {
+  const settings = typeof input === 'string' ? { name: input } : input;
+  if (settings === null || typeof settings !== 'object'
+    || typeof settings.name !== 'string' || settings.name === '') {
+    throw 'Invalid input.'; // eslint-disable-line no-throw-literal
+  }
+
+  const parsed = {
+    name: settings.name,
+    format: settings.format || 'json',
+    mode: settings.mode ? settings.mode.toLowerCase() : null,
+    blob: typeof settings.blob === 'string' ? settings.blob : null,
+    type: settings.type || 'image/png',
+    quality: settings.quality,
+  };
+  if (FORMATS.indexOf(parsed.format) === -1) {
+    throw 'Invalid input format.'; // eslint-disable-line no-throw-literal
+  }
+  if (parsed.mode !== null && ['real', 'ratio', 'raw'].indexOf(parsed.mode) === -1) {
+    throw 'Invalid return mode.'; // eslint-disable-line no-throw-literal
+  }
+  return parsed;
+}
+
+/**
+ * Finds the form that an element is in.
+ * @param {Element} element
+ * @returns {Element} The form, or null.
+ */
+function findForm(element) {
+  let el = element.parentNode;
+  while (el && el.nodeName !== 'FORM') { el = el.parentNode; }
+  return el || null;
+}
+
+/**
+ * Renders the cropped image as a Blob. A target that cannot be exported,
+ * such as a cross-origin image, leaves the image out of the form data rather
+ * than stopping the submission.
+ * @param {Function} render Renders the data URL.
+ * @param {Object} settings The parsed `input` option.
+ * @returns {Blob} The image, or null.
+ */
+function renderBlob(render, settings) {
+  let url;
+  try {
+    url = render(settings.type, settings.quality);
+  } catch (e) {
+    return null;
+  }
+  if (typeof url !== 'string') { return null; }
+
+  // Decode the base64 data of the data URL
+  const [header, data] = url.split(',');
+  const type = header.slice(header.indexOf(':') + 1, header.indexOf(';'));
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  Array.from(binary).forEach((char, i) => { bytes[i] = char.charCodeAt(0); });
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Form component
+ * Keeps the inputs of a form updated with the value of the selection, in
+ * one of the formats of the `input` option. Missing inputs are created as
+ * hidden inputs. The cropped image may be added to the data of the form, as
+ * a Blob rendered when the data is collected. The data is collected at once,
+ * so the image is encoded as a data URL, which is synchronous.
+ */
+export default class Form {
+  /**
+   * Creates a new Form instance.
+   * @constructor
+   * @param {Object} settings The parsed `input` option.
+   * @param {Element} target The target, in the form that holds the inputs.
+   * @param {Element} container The element to create missing inputs in.
+   * @param {Function} [render] Renders the cropped image as a data URL of a
+   *      type and quality, or null if nothing is selected.
+   */
+  constructor(settings, target, container, render = null) {
+    this.settings = settings;
+    this.container = container;
+    this.formEl = findForm(target);
+    this.created = [];
+
+    // The JSON of the value that was last written
+    this.written = null;
+
+    // Add the cropped image to the data of the form when it is submitted
+    this.onFormData = (e) => {
+      const blob = render === null ? null : renderBlob(render, settings);
+      if (blob !== null) {
+        const extension = blob.type.split('/')[1] || 'png';
+        e.formData.append(settings.blob, blob, `${settings.blob}.${extension}`);
+      }
+    };
+    if (this.formEl !== null && settings.blob !== null) {
+      this.formEl.addEventListener('formdata', this.onFormData);
+    }
+  }
+
+  /**
+   * Reads the value of the inputs.
+   * @returns {Object|Array} The value, with the `mode` of the inputs if it
+   *      is set, or null if the inputs are empty or invalid.
+   */
+  read() {
+    const { name, format, mode } = this.settings;
+    let value = null;
+    if (format === 'json') {
+      const input = this.getInput(name, false);
+      try {
+        value = input === null || input.value === '' ? null : JSON.parse(input.value);
+      } catch (e) {
+        return null;
+      }
+    } else {
+      let numbers;
+      if (format === 'fields') {
+        numbers = FIELDS.map((field) => {
+          const input = this.getInput(name + field, false);
+          return input === null || input.value === '' ? NaN : Number(input.value);
+        });
+      } else {
+        const input = this.getInput(name, false);
+        numbers = input === null ? [] : input.value.split(',').map(Number);
+      }
+      if (numbers.length !== FIELDS.length || !numbers.every(Number.isFinite)) {
+        return null;
+      }
+      value = {};
+      FIELDS.forEach((field, i) => { value[field] = numbers[i]; });
+
+      const angle = format === 'fields' ? this.getInput(`${name}angle`, false) : null;
+      if (angle !== null && angle.value !== '' && Number.isFinite(Number(angle.value))) {
+        value.angle = Number(angle.value);
+      }
+    }
+
+    if (value === null || typeof value !== 'object') { return null; }
+    if (mode === null) { return value; }
+    return value instanceof Array
+      ? value.map(v => Object.assign({ mode }, v)) : Object.assign({ mode }, value);
+  }
+
+  /**
+   * Writes a value to the inputs.
+   * @param {Object|Array} value The value, as returned by getValue.
+   * @returns {Boolean} Whether the value changed since it was last written.
+   */
+  write(value) {
+    const json = JSON.stringify(value);
+    if (json === this.written) { return false; }
+    this.written = json;
+
+    const { name, format } = this.settings;
+    if (format === 'json') {
+      this.getInput(name).value = value === null ? '' : json;
+    } else if (format === 'fields') {
+      FIELDS.forEach((field) => {
+        this.getInput(name + field).value = value === null ? '' : value[field];
+      });
+      if (value !== null && typeof value.angle === 'number') {
+        this.getInput(`${name}angle`).value = value.angle;
+      }
+    } else {
+      this.getInput(name).value = value === null ? ''
+        : FIELDS.map(field => value[field]).join(',');
+    }
+    return true;
+  }
+
+  /**
+   * Finds an input by name in the form, or in the document if the target is
+   * not in a form.
+   * @param {String} name
+   * @param {Boolean} [create] Whether to create a hidden input if there is
+   *      none. Defaults to true.
+   * @returns {Element} The input, or null.
+   */
+  getInput(name, create = true) {
+    const scope = this.formEl || document;
+    const inputs = Array.from(scope.querySelectorAll('input, textarea'));
+    const found = inputs.find(input => input.name === name);
+    if (found !== undefined) { return found; }
+    if (!create) { return null; }
+
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    this.container.appendChild(input);
+    this.created.push(input);
+    return input;
+  }
+
+  /**
+   * Removes the inputs that were created and the form listener.
+   */
+  destroy() {
+    if (this.formEl !== null) {
+      this.formEl.removeEventListener('formdata', this.onFormData);
+    }
+    this.created.forEach((input) => {
+      if (input.parentNode) { input.parentNode.removeChild(input); }
+    });
+    this.created = [];
+  }
+}
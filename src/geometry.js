@@ -0,0 +1,575 @@
+import Box from './box';
+import { parseRatio, closestRatio } from './ratio';
+import { fromSourceRect } from './orientation';
+
+/**
+ * AreaSelection Geometry
+ * The rules that constrain the boxes of the regions, without the DOM. Boxes
+ * are in the raw pixels of a space: the displayed size of the target, given
+ * as {width, height, naturalWidth, naturalHeight, transform}. The natural
+ * size defaults to the displayed size, and the transform to none. Like the
+ * methods of Box, the functions that constrain a box modify it.
+ */
+
+/**
+ * The tolerance for rounding errors when checking if a rotated box fits in
+ * the boundaries, in pixels.
+ */
+export const EPSILON = 1e-6;
+
+/**
+ * The number of bisection steps to find the furthest rotated box that fits
+ * in the boundaries, which is within a millionth of the way.
+ */
+const BISECTION_STEPS = 20;
+
+export { Box };
+
+/**
+ * Define a list of handles to create.
+ *
+ * @property {Array} position - The x and y ratio position of the handle within
+ *      the crop region. Accepts a value between 0 to 1 in the order of [X, Y].
+ * @property {Array} constraints - Define the side of the crop region that is to
+ *      be affected by this handle. Accepts a value of 0 or 1 in the order of
+ *      [TOP, RIGHT, BOTTOM, LEFT].
+ * @property {String} direction - The direction of this handle.
+ */
+export const HANDLES = [
+  { position: [0.0, 0.0], constraints: [1, 0, 0, 1], direction: 'nw' },
+  { position: [0.5, 0.0], constraints: [1, 0, 0, 0], direction: 'n' },
+  { position: [1.0, 0.0], constraints: [1, 1, 0, 0], direction: 'ne' },
+  { position: [1.0, 0.5], constraints: [0, 1, 0, 0], direction: 'e' },
+  { position: [1.0, 1.0], constraints: [0, 1, 1, 0], direction: 'se' },
+  { position: [0.5, 1.0], constraints: [0, 0, 1, 0], direction: 's' },
+  { position: [0.0, 1.0], constraints: [0, 0, 1, 1], direction: 'sw' },
+  { position: [0.0, 0.5], constraints: [0, 0, 0, 1], direction: 'w' },
+];
+
+const UNITS = ['px', '%', 'real'];
+
+/**
+ * The shapes of the `shape` option.
+ */
+export const SHAPES = ['rect', 'ellipse', 'circle', 'polygon'];
+
+/**
+ * Rotates a point around a center.
+ * @param {Array} point The [x, y] point.
+ * @param {Array} center The [x, y] center.
+ * @param {Number} deg The clockwise rotation in degrees.
+ * @returns {Array} The [x, y] rotated point.
+ */
+export function rotatePoint([x, y], [centerX, centerY], deg) {
+  const rad = (deg * Math.PI) / 180;
+  const [dx, dy] = [x - centerX, y - centerY];
+  return [
+    centerX + (dx * Math.cos(rad)) - (dy * Math.sin(rad)),
+    centerY + (dx * Math.sin(rad)) + (dy * Math.cos(rad)),
+  ];
+}
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+function getTransform(space) {
+  return space.transform || { rotate: 0, flipX: false, flipY: false };
+}
+
+function getDisplayedNaturalSize(space) {
+  const naturalWidth = space.naturalWidth || space.width;
+  const naturalHeight = space.naturalHeight || space.height;
+  return getTransform(space).rotate % 180 === 0
+    ? [naturalWidth, naturalHeight] : [naturalHeight, naturalWidth];
+}
+
+/**
+ * Bring a box that was resized in the frame of a rotated box back towards
+ * the current box until it fits in the boundaries once rotated, like
+ * clamping the mouse does for boxes that are not rotated.
+ * @param {Box} box The box in the frame.
+ * @param {Box} current The current box, which fits.
+ * @param {Object} frame The {angle, center} of the frame.
+ * @param {Object} bounds The boundary.
+ * @returns {Box} The box in the coordinates of the boxes.
+ */
+function constrainRotatedBox(box, current, frame, bounds) {
+  // Turn the center of the box around the center of the frame
+  const place = (b) => {
+    const [x, y] = rotatePoint(b.getAbsolutePoint([0.5, 0.5]), frame.center,
+      frame.angle);
+    const [width, height] = [b.width(), b.height()];
+    return new Box(x - (width / 2), y - (height / 2),
+      x + (width / 2), y + (height / 2));
+  };
+  const fits = (b) => {
+    const rotated = place(b).getRotatedBounds(frame.angle);
+    return rotated.x1 >= bounds.x - EPSILON && rotated.y1 >= bounds.y - EPSILON
+      && rotated.x2 <= bounds.x + bounds.width + EPSILON
+      && rotated.y2 <= bounds.y + bounds.height + EPSILON;
+  };
+
+  if (fits(box)) { return place(box); }
+
+  // Map the current box to the frame. The furthest box that fits on the way
+  // to the new box is found by bisection.
+  const [x, y] = rotatePoint(current.getAbsolutePoint([0.5, 0.5]),
+    frame.center, -frame.angle);
+  const [width, height] = [current.width(), current.height()];
+  const from = [x - (width / 2), y - (height / 2), x + (width / 2), y + (height / 2)];
+  const to = [box.x1, box.y1, box.x2, box.y2];
+  const between = t => new Box(...from.map((v, i) => v + ((to[i] - v) * t)));
+  let [low, high] = [0, 1];
+  for (let i = 0; i < BISECTION_STEPS; i += 1) {
+    const t = (low + high) / 2;
+    if (fits(between(t))) {
+      low = t;
+    } else {
+      high = t;
+    }
+  }
+  return place(between(low));
+}
+
+/**
+ * Parses a size option, given as [width, height, unit?] or as a parsed
+ * {width, height, unit} size.
+ * @param {Array|Object} size
+ * @param {String} unit The unit to use when the size has none.
+ * @returns {Object} The {width, height, unit} size. Missing dimensions are
+ *      null.
+ */
+export function parseSize(size, unit) {
+  const [width, height, sizeUnit] = size instanceof Array
+    ? size : [size.width, size.height, size.unit];
+  const parsed = {
+    width: width || null,
+    height: height || null,
+    unit: sizeUnit || unit,
+  };
+  if (UNITS.indexOf(parsed.unit) === -1) {
+    throw 'Invalid size unit.'; // eslint-disable-line no-throw-literal
+  }
+  return parsed;
+}
+
+/**
+ * Parses the bounds option.
+ * @param {Object} bounds The {x, y, width, height, unit?} boundary.
+ * @returns {Object} The boundary, with a unit.
+ */
+export function parseBounds(bounds) {
+  if (!['x', 'y', 'width', 'height'].every(k => typeof bounds[k] === 'number')) {
+    throw 'Invalid bounds.'; // eslint-disable-line no-throw-literal
+  }
+  const parsed = {
+    x: bounds.x,
+    y: bounds.y,
+    width: bounds.width,
+    height: bounds.height,
+    unit: bounds.unit || 'px',
+  };
+  if (UNITS.indexOf(parsed.unit) === -1) {
+    throw 'Invalid size unit.'; // eslint-disable-line no-throw-literal
+  }
+  return parsed;
+}
+
+/**
+ * Parses the options that constrain the boxes, as given to AreaSelection:
+ * `aspectRatio`, `aspectRatios`, `shape`, `minSize`, `maxSize`, `startSize`
+ * and `bounds`. Parsed options, such as the options of an instance, are
+ * accepted as well.
+ * @param {Object} [opts]
+ * @returns {Object} The parsed options.
+ */
+export function parseOptions(opts = {}) {
+  const has = key => opts[key] !== undefined && opts[key] !== null;
+  if (has('shape') && SHAPES.indexOf(opts.shape) === -1) {
+    throw 'Invalid shape.'; // eslint-disable-line no-throw-literal
+  }
+  return {
+    aspectRatio: parseRatio(opts.aspectRatio),
+    aspectRatios: opts.aspectRatios instanceof Array
+      && opts.aspectRatios.length > 0 ? opts.aspectRatios.map(parseRatio) : null,
+    shape: has('shape') ? opts.shape : 'rect',
+    minSize: has('minSize') ? parseSize(opts.minSize, 'px')
+      : { width: null, height: null, unit: 'px' },
+    maxSize: has('maxSize') ? parseSize(opts.maxSize, 'px')
+      : { width: null, height: null, unit: 'px' },
+    startSize: has('startSize') ? parseSize(opts.startSize, '%')
+      : { width: 100, height: 100, unit: '%' },
+    bounds: has('bounds') ? parseBounds(opts.bounds) : null,
+  };
+}
+
+/**
+ * Resolves a size option to raw pixels.
+ * @param {Object} size The parsed {width, height, unit} size option.
+ * @param {Object} space
+ * @returns {Object} The {width, height} in raw pixels. Either may be null
+ *      when it is not constrained.
+ */
+export function resolveSize(size, space) {
+  let [scaleX, scaleY] = [1, 1];
+  if (size.unit === '%') {
+    scaleX = space.width / 100;
+    scaleY = space.height / 100;
+  } else if (size.unit === 'real') {
+    const [naturalWidth, naturalHeight] = getDisplayedNaturalSize(space);
+    scaleX = space.width / naturalWidth;
+    scaleY = space.height / naturalHeight;
+  }
+  return {
+    width: size.width === null ? null : size.width * scaleX,
+    height: size.height === null ? null : size.height * scaleY,
+  };
+}
+
+/**
+ * Gets the area that the boxes must stay inside: the `bounds` option if it
+ * is set, otherwise the whole space.
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @returns {Object} The {x, y, width, height} in raw pixels.
+ */
+export function getBoundary(options, space) {
+  const { width, height } = space;
+  const { bounds } = options;
+  if (bounds === null) {
+    return {
+      x: 0, y: 0, width, height,
+    };
+  }
+
+  let rect;
+  if (bounds.unit === 'real') {
+    const naturalWidth = space.naturalWidth || width;
+    const naturalHeight = space.naturalHeight || height;
+    rect = fromSourceRect({
+      x: bounds.x / naturalWidth,
+      y: bounds.y / naturalHeight,
+      width: bounds.width / naturalWidth,
+      height: bounds.height / naturalHeight,
+    }, getTransform(space));
+    rect = {
+      x: rect.x * width,
+      y: rect.y * height,
+      width: rect.width * width,
+      height: rect.height * height,
+    };
+  } else if (bounds.unit === '%') {
+    rect = {
+      x: (bounds.x / 100) * width,
+      y: (bounds.y / 100) * height,
+      width: (bounds.width / 100) * width,
+      height: (bounds.height / 100) * height,
+    };
+  } else {
+    rect = Object.assign({}, bounds);
+  }
+
+  // Keep the boundary within the space
+  const x = Math.min(Math.max(rect.x, 0), width);
+  const y = Math.min(Math.max(rect.y, 0), height);
+  return {
+    x,
+    y,
+    width: Math.max(0, Math.min(rect.x + rect.width, width) - x),
+    height: Math.max(0, Math.min(rect.y + rect.height, height) - y),
+  };
+}
+
+/**
+ * Gets the aspect ratio to constrain a box to: 1 for circles, the
+ * `aspectRatio` option if it is set, otherwise the ratio of the
+ * `aspectRatios` option closest to the box.
+ * @param {Box} box
+ * @param {Object} options The parsed options.
+ * @returns {Number} The ratio, or null if the box is free.
+ */
+export function getBoxRatio(box, options) {
+  if (options.shape === 'circle') { return 1; }
+  if (options.aspectRatio !== null) { return options.aspectRatio; }
+  if (options.aspectRatios === null) { return null; }
+  return closestRatio(options.aspectRatios, box.width(), box.height());
+}
+
+/**
+ * Moves a box so that it lies within the boundaries, without resizing it.
+ * @param {Box} box
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @param {Number} [angle] The rotation of the box in degrees. The box is
+ *      kept within the boundaries once rotated.
+ * @returns {Box}
+ */
+export function moveWithinBoundary(box, options, space, angle = 0) {
+  const bounds = getBoundary(options, space);
+  const rotated = box.getRotatedBounds(angle);
+  if (rotated.x1 < bounds.x) {
+    rotated.move(bounds.x, null);
+  }
+  if (rotated.x2 > bounds.x + bounds.width) {
+    rotated.move(bounds.x + bounds.width - rotated.width(), null);
+  }
+  if (rotated.y1 < bounds.y) {
+    rotated.move(null, bounds.y);
+  }
+  if (rotated.y2 > bounds.y + bounds.height) {
+    rotated.move(null, bounds.y + bounds.height - rotated.height());
+  }
+
+  // The rotated bounds share their center with the box
+  if (angle % 180 === 0) { return box.move(rotated.x1, rotated.y1); }
+  const [x, y] = rotated.getAbsolutePoint([0.5, 0.5]);
+  return box.move(x - (box.width() / 2), y - (box.height() / 2));
+}
+
+/**
+ * Shrinks a box until it is no larger than the boundaries, and moves it
+ * within them.
+ * @param {Box} box
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @param {Number} [angle] The rotation of the box in degrees.
+ * @param {Array} [origin] The origin point to shrink from. Defaults to
+ *      [0.5, 0.5] (center).
+ * @returns {Box}
+ */
+export function fitToBoundary(box, options, space, angle = 0,
+  origin = [0.5, 0.5]) {
+  const bounds = getBoundary(options, space);
+  const rotated = box.getRotatedBounds(angle);
+  const factor = Math.min(bounds.width / rotated.width(),
+    bounds.height / rotated.height());
+  if (factor < 1) { box.scale(factor, origin); }
+  return moveWithinBoundary(box, options, space, angle);
+}
+
+/**
+ * Applies the ratio, minimum/maximum size and boundary constraints to a box.
+ * @param {Box} box
+ * @param {Array} origin The origin point to resize from.
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @param {Number} [angle] The rotation of the box in degrees. A rotated
+ *      box is shrunk and moved to fit within the boundary once rotated.
+ * @returns {Box}
+ */
+export function constrainBox(box, origin, options, space, angle = 0) {
+  // Maintain ratio
+  const ratio = getBoxRatio(box, options);
+  box.constrainToRatio(ratio, origin);
+
+  // Maintain minimum/maximum size
+  const min = resolveSize(options.minSize, space);
+  const max = resolveSize(options.maxSize, space);
+  box.constrainToSize(max.width, max.height, min.width, min.height,
+    origin, ratio);
+
+  // Constrain to boundary
+  if (angle !== 0) {
+    return fitToBoundary(box, options, space, angle, origin);
+  }
+  const bounds = getBoundary(options, space);
+  box.constrainToBoundary(bounds.width, bounds.height, origin,
+    [bounds.x, bounds.y]);
+
+  return box;
+}
+
+/**
+ * Moves a box within the boundaries and applies the ratio and
+ * minimum/maximum size constraints to it.
+ * @param {Box} box
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @param {Number} [angle] The rotation of the box in degrees.
+ * @returns {Box}
+ */
+export function fitBox(box, options, space, angle = 0) {
+  fitToBoundary(box, options, space, angle, [0, 0]);
+  return constrainBox(box, [0, 0], options, space, angle);
+}
+
+/**
+ * Creates the initial box: the start size at the center of the boundary.
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @returns {Box}
+ */
+export function initialBox(options, space) {
+  const { width, height } = resolveSize(options.startSize, space);
+  const bounds = getBoundary(options, space);
+  const x = bounds.x + ((bounds.width - width) / 2);
+  const y = bounds.y + ((bounds.height - height) / 2);
+  const box = new Box(x, y, x + width, y + height);
+
+  // Maintain ratio, minimum/maximum size and boundary
+  return constrainBox(box, [0.5, 0.5], options, space);
+}
+
+/**
+ * Moves a box by an offset, within the boundaries.
+ * @param {Box} box The box, which is left unchanged.
+ * @param {Array} delta The [x, y] offset in raw pixels.
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @param {Number} [angle] The rotation of the box in degrees.
+ * @returns {Box} The moved box.
+ */
+export function moveBox(box, delta, options, space, angle = 0) {
+  const moved = new Box(box.x1, box.y1, box.x2, box.y2)
+    .move(box.x1 + delta[0], box.y1 + delta[1]);
+  return moveWithinBoundary(moved, options, space, angle);
+}
+
+/**
+ * Checks if a box satisfies the ratio, minimum/maximum size and boundary
+ * constraints, such as a box submitted by a user.
+ * @param {Box} box
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @param {Number} [angle] The rotation of the box in degrees.
+ * @param {Number} [tolerance] The distance in raw pixels that the sides may
+ *      be off by, such as from rounding the value.
+ * @returns {Boolean}
+ */
+export function isValidBox(box, options, space, angle = 0, tolerance = EPSILON) {
+  const constrained = constrainBox(new Box(box.x1, box.y1, box.x2, box.y2),
+    [0, 0], options, space, angle);
+  return ['x1', 'y1', 'x2', 'y2'].every(k => (
+    Math.abs(constrained[k] - box[k]) <= tolerance
+  ));
+}
+
+/**
+ * Creates the frame that a rotated box is resized in: the box as it is
+ * before the rotation, turning around its center.
+ * @param {Box} box
+ * @param {Number} angle The rotation of the box in degrees.
+ * @returns {Object} The {angle, center, box} frame, or null if the box is
+ *      not rotated.
+ */
+export function createFrame(box, angle) {
+  if (angle === 0) { return null; }
+  return {
+    angle,
+    center: box.getAbsolutePoint([0.5, 0.5]),
+    box: new Box(box.x1, box.y1, box.x2, box.y2),
+  };
+}
+
+/**
+ * Resizes a box by dragging one of its handles to a point. The side or
+ * corner opposite to the handle stays in place, and the box flips when the
+ * handle is dragged past it.
+ * @param {Box} box The box, which is left unchanged.
+ * @param {String|Object} handle The direction of the handle ('nw', 'n',
+ *      'ne', 'e', 'se', 's', 'sw' or 'w'), or an entry of HANDLES.
+ * @param {Array} point The [x, y] point that the handle is dragged to.
+ * @param {Object} options The parsed options.
+ * @param {Object} space
+ * @param {Object} [drag] The state of a drag that spans several calls:
+ *      `origin`, the [x, y] point that stays in place, which defaults to the
+ *      point opposite to the handle; `ratio`, a ratio to keep, as while
+ *      Shift is held; `angle`, the rotation of the box in degrees; and
+ *      `frame`, the frame of a rotated box from createFrame, which defaults
+ *      to the frame of the box.
+ * @returns {Box} The resized box.
+ */
+export function resizeBox(box, handle, point, options, space, drag = {}) {
+  const entry = typeof handle === 'string'
+    ? HANDLES.filter(h => h.direction === handle)[0] : handle;
+  if (entry === undefined) { throw 'Invalid handle.'; } // eslint-disable-line no-throw-literal
+  const frame = drag.frame || createFrame(box, drag.angle || 0);
+  const bounds = getBoundary(options, space);
+  let [mouseX, mouseY] = point;
+
+  if (frame !== null) {
+    // Map the point to the frame of the rotated box
+    [mouseX, mouseY] = rotatePoint(point, frame.center, -frame.angle);
+  } else {
+    // Ensure the point is within the boundaries
+    mouseX = Math.min(Math.max(mouseX, bounds.x), bounds.x + bounds.width);
+    mouseY = Math.min(Math.max(mouseY, bounds.y), bounds.y + bounds.height);
+  }
+
+  // Bootstrap helper variables
+  const current = frame === null ? box : frame.box;
+  const origin = [1 - entry.position[0], 1 - entry.position[1]];
+  const [originX, originY] = drag.origin || current.getAbsolutePoint(origin);
+  const TOP_MOVABLE = entry.constraints[0] === 1;
+  const RIGHT_MOVABLE = entry.constraints[1] === 1;
+  const BOTTOM_MOVABLE = entry.constraints[2] === 1;
+  const LEFT_MOVABLE = entry.constraints[3] === 1;
+  const MULTI_AXIS = (LEFT_MOVABLE || RIGHT_MOVABLE)
+    && (TOP_MOVABLE || BOTTOM_MOVABLE);
+
+  // Apply movement to respective sides according to the handle's
+  // constraint values.
+  let x1 = LEFT_MOVABLE || RIGHT_MOVABLE ? originX : current.x1;
+  let x2 = LEFT_MOVABLE || RIGHT_MOVABLE ? originX : current.x2;
+  let y1 = TOP_MOVABLE || BOTTOM_MOVABLE ? originY : current.y1;
+  let y2 = TOP_MOVABLE || BOTTOM_MOVABLE ? originY : current.y2;
+  x1 = LEFT_MOVABLE ? mouseX : x1;
+  x2 = RIGHT_MOVABLE ? mouseX : x2;
+  y1 = TOP_MOVABLE ? mouseY : y1;
+  y2 = BOTTOM_MOVABLE ? mouseY : y2;
+
+  // Check if the user dragged past the origin point. If it did,
+  // we set the flipped flag to true.
+  let [isFlippedX, isFlippedY] = [false, false];
+  if (LEFT_MOVABLE || RIGHT_MOVABLE) {
+    isFlippedX = LEFT_MOVABLE ? mouseX > originX : mouseX < originX;
+  }
+  if (TOP_MOVABLE || BOTTOM_MOVABLE) {
+    isFlippedY = TOP_MOVABLE ? mouseY > originY : mouseY < originY;
+  }
+
+  // If it is flipped, we swap the coordinates and flip the origin point.
+  if (isFlippedX) {
+    const tmp = x1; x1 = x2; x2 = tmp; // Swap x1 and x2
+    origin[0] = 1 - origin[0]; // Flip origin x point
+  }
+  if (isFlippedY) {
+    const tmp = y1; y1 = y2; y2 = tmp; // Swap y1 and y2
+    origin[1] = 1 - origin[1]; // Flip origin y point
+  }
+
+  // Create new box object
+  let next = new Box(x1, y1, x2, y2);
+
+  // Maintain aspect ratio, or the ratio to keep
+  const keepRatio = options.shape !== 'circle' && Number.isFinite(drag.ratio)
+    && drag.ratio > 0;
+  const ratio = keepRatio ? drag.ratio : getBoxRatio(next, options);
+  if (ratio) {
+    let isVerticalMovement = false;
+    if (MULTI_AXIS) {
+      isVerticalMovement = (mouseY > next.y1 + next.width() / ratio)
+        || (mouseY < next.y2 - next.width() / ratio);
+    } else if (TOP_MOVABLE || BOTTOM_MOVABLE) {
+      isVerticalMovement = true;
+    }
+    const ratioMode = isVerticalMovement ? 'width' : 'height';
+    next.constrainToRatio(ratio, origin, ratioMode);
+  }
+
+  // Maintain minimum/maximum size
+  const min = resolveSize(options.minSize, space);
+  const max = resolveSize(options.maxSize, space);
+  next.constrainToSize(max.width, max.height, min.width,
+    min.height, origin, ratio);
+
+  // Constrain to boundary
+  if (frame === null) {
+    next.constrainToBoundary(bounds.width, bounds.height, origin,
+      [bounds.x, bounds.y]);
+  } else {
+    next = constrainRotatedBox(next, box, frame, bounds);
+  }
+  return next;
+}
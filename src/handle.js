@@ -1,3 +1,6 @@
+import enableKeyboard from './keyboard';
+import { capturePointer, releasePointer, getModifiers } from './pointer';
+
 /**
  * Handle component
  */
@@ -27,13 +30,26 @@ export default class Handle {
     this.el = document.createElement('div');
     this.el.className = 'area-selection-handle' + ` area-selection-handle-${direction}`;
 
-    // Attach initial listener
-    this.el.addEventListener('mousedown', onMouseDown);
+    // Attach listeners. The pointer is captured on pointerdown, so all of
+    // its further events are dispatched to this element.
+    let pointerId = null;
+    this.el.addEventListener('pointerdown', onPointerDown);
+    this.el.addEventListener('pointermove', onPointerMove);
+    this.el.addEventListener('pointerup', onPointerUp);
+    this.el.addEventListener('pointercancel', onPointerUp);
+
+    // Resize from this handle with the arrow keys
+    enableKeyboard(this.el, (detail) => {
+      self.eventBus.dispatchEvent(new CustomEvent('handlekey', {
+        detail: Object.assign({ handle: self }, detail)
+      }));
+    });
 
-    function onMouseDown(e) {
+    function onPointerDown(e) {
       e.stopPropagation();
-      document.addEventListener('mouseup', onMouseUp);
-      document.addEventListener('mousemove', onMouseMove);
+      if (pointerId !== null) { return; }
+      pointerId = e.pointerId;
+      capturePointer(self.el, pointerId);
 
       // Notify parent
       self.eventBus.dispatchEvent(new CustomEvent('handlestart', {
@@ -41,10 +57,11 @@ export default class Handle {
       }));
     }
 
-    function onMouseUp(e) {
+    function onPointerUp(e) {
+      if (e.pointerId !== pointerId) { return; }
       e.stopPropagation();
-      document.removeEventListener('mouseup', onMouseUp);
-      document.removeEventListener('mousemove', onMouseMove);
+      releasePointer(self.el, pointerId);
+      pointerId = null;
 
       // Notify parent
       self.eventBus.dispatchEvent(new CustomEvent('handleend', {
@@ -52,13 +69,31 @@ export default class Handle {
       }));
     }
 
-    function onMouseMove(e) {
+    function onPointerMove(e) {
+      if (e.pointerId !== pointerId) { return; }
       e.stopPropagation();
 
       // Notify parent
       self.eventBus.dispatchEvent(new CustomEvent('handlemove', {
-        detail: { mouseX: e.clientX, mouseY: e.clientY }
+        detail: Object.assign({ mouseX: e.clientX, mouseY: e.clientY },
+          getModifiers(e))
       }));
     }
   }
+
+  /**
+   * Replaces the default look of this handle with custom content.
+   * @param {Element} content The element to show, or null for the default
+   *      look.
+   */
+  setContent(content) {
+    while (this.el.firstChild) { this.el.removeChild(this.el.firstChild); }
+    if (content) {
+      this.el.appendChild(content);
+      this.el.classList.add('area-selection-handle-custom');
+    } else {
+      this.el.classList.remove('area-selection-handle-custom');
+    }
+    return this;
+  }
 }
@@ -0,0 +1,90 @@
+/**
+ * History component
+ * A bounded undo/redo stack of snapshots.
+ */
+export default class History {
+
+  /**
+   * Creates a new History instance.
+   * @constructor
+   * @param {Number} [limit] The maximum number of snapshots to undo.
+   *      Defaults to 100.
+   * @param {Function} [isEqual] Compares two snapshots. Defaults to
+   *      comparing their JSON.
+   */
+  constructor(limit = 100, isEqual = null) {
+    this.limit = limit;
+    this.isEqual = isEqual || ((a, b) => JSON.stringify(a) === JSON.stringify(b));
+    this.past = [];
+    this.future = [];
+    this.present = null;
+  }
+
+  /**
+   * Clears the history and sets the current snapshot.
+   * @param {Object} snapshot
+   */
+  reset(snapshot) {
+    this.past = [];
+    this.future = [];
+    this.present = snapshot;
+    return this;
+  }
+
+  /**
+   * Records a new snapshot. A snapshot equal to the current one replaces it
+   * instead. Clears the snapshots that could be redone.
+   * @param {Object} snapshot
+   * @returns {Boolean} Whether the snapshot was recorded.
+   */
+  push(snapshot) {
+    if (this.isEqual(snapshot, this.present)) {
+      this.present = snapshot;
+      return false;
+    }
+
+    this.past.push(this.present);
+    if (this.past.length > this.limit) {
+      this.past.shift();
+    }
+    this.present = snapshot;
+    this.future = [];
+    return true;
+  }
+
+  /**
+   * Steps back to the previous snapshot.
+   * @returns {Object} The previous snapshot, or null if there is none.
+   */
+  undo() {
+    if (!this.canUndo()) { return null; }
+    this.future.push(this.present);
+    this.present = this.past.pop();
+    return this.present;
+  }
+
+  /**
+   * Steps forward to the next snapshot.
+   * @returns {Object} The next snapshot, or null if there is none.
+   */
+  redo() {
+    if (!this.canRedo()) { return null; }
+    this.past.push(this.present);
+    this.present = this.future.pop();
+    return this.present;
+  }
+
+  /**
+   * @returns {Boolean}
+   */
+  canUndo() {
+    return this.past.length > 0;
+  }
+
+  /**
+   * @returns {Boolean}
+   */
+  canRedo() {
+    return this.future.length > 0;
+  }
+}
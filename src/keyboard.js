@@ -0,0 +1,44 @@
+/**
+ * AreaSelection Keyboard
+ * Enables keyboard control by translating arrow keys to movement directions.
+ */
+
+/**
+ * Map of arrow keys to [x, y] directions. Includes the non-standard key
+ * names used by older browsers.
+ */
+const KEY_DIRECTIONS = {
+  ArrowUp: [0, -1],
+  ArrowRight: [1, 0],
+  ArrowDown: [0, 1],
+  ArrowLeft: [-1, 0],
+  Up: [0, -1],
+  Right: [1, 0],
+  Down: [0, 1],
+  Left: [-1, 0]
+};
+
+/**
+ * Makes an element focusable and binds its arrow keys.
+ * @param {Element} element
+ * @param {Function} callback Called with `{ direction, large, resize }` for
+ *      every arrow key press. `large` is set when Ctrl (or Cmd) is held and
+ *      `resize` is set when Shift is held.
+ */
+export default function enableKeyboard(element, callback) {
+  element.tabIndex = 0;
+  element.addEventListener('keydown', (e) => {
+    const direction = KEY_DIRECTIONS[e.key];
+    if (direction === undefined || e.altKey) { return; }
+
+    // Prevent scrolling and keep parent elements from handling it twice
+    e.preventDefault();
+    e.stopPropagation();
+
+    callback({
+      direction: direction,
+      large: e.ctrlKey || e.metaKey,
+      resize: e.shiftKey
+    });
+  });
+}
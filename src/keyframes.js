@@ -0,0 +1,78 @@
+/**
+ * Keyframes component
+ * A list of region values by timestamp, for regions that change over time.
+ */
+export default class Keyframes {
+
+  /**
+   * Creates a new Keyframes instance.
+   * @constructor
+   */
+  constructor() {
+    this.frames = [];
+  }
+
+  /**
+   * The number of keyframes.
+   * @type {Number}
+   */
+  get size() {
+    return this.frames.length;
+  }
+
+  /**
+   * Sets the value at a timestamp, replacing any keyframe at that time.
+   * @param {Number} time The timestamp in seconds.
+   * @param {Object} value The {x, y, width, height} value.
+   */
+  set(time, value) {
+    this.remove(time);
+    this.frames.push({ time, value });
+    this.frames.sort((a, b) => a.time - b.time);
+    return this;
+  }
+
+  /**
+   * Removes the keyframe at a timestamp.
+   * @param {Number} time The timestamp in seconds.
+   */
+  remove(time) {
+    this.frames = this.frames.filter(frame => frame.time !== time);
+    return this;
+  }
+
+  /**
+   * Removes all keyframes.
+   */
+  clear() {
+    this.frames = [];
+    return this;
+  }
+
+  /**
+   * Gets the value at a timestamp. Values between two keyframes are
+   * interpolated linearly, values outside of the keyframes are held.
+   * @param {Number} time The timestamp in seconds.
+   * @returns {Object} The {x, y, width, height} value, or null if there are
+   *      no keyframes.
+   */
+  get(time) {
+    const frames = this.frames;
+    if (frames.length === 0) { return null; }
+    if (time <= frames[0].time) { return frames[0].value; }
+
+    // Interpolate between the keyframes around the time
+    const i = frames.findIndex(frame => time <= frame.time);
+    if (i === -1) { return frames[frames.length - 1].value; }
+    const from = frames[i - 1];
+    const to = frames[i];
+    const t = (time - from.time) / (to.time - from.time);
+    const lerp = key => from.value[key] + ((to.value[key] - from.value[key]) * t);
+    return {
+      x: lerp('x'),
+      y: lerp('y'),
+      width: lerp('width'),
+      height: lerp('height')
+    };
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * AreaSelection Orientation
+ * Helpers to rotate and flip rectangles expressed as {x, y, width, height}
+ * ratios of the element they lie in.
+ */
+
+/**
+ * Normalizes a rotation to 0, 90, 180 or 270 degrees.
+ * @param {Number} deg The rotation in degrees. Must be a multiple of 90.
+ * @returns {Number}
+ */
+export function normalizeRotation(deg) {
+  if (typeof deg !== 'number' || deg % 90 !== 0) {
+    throw 'Rotation must be a multiple of 90 degrees.';
+  }
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Rotates a rectangle clockwise around the center of its element.
+ * @param {Object} rect
+ * @param {Number} deg The rotation in degrees. Must be a multiple of 90.
+ * @returns {Object}
+ */
+export function rotateRect(rect, deg) {
+  switch (normalizeRotation(deg)) {
+    case 90:
+      return {
+        x: 1 - rect.y - rect.height,
+        y: rect.x,
+        width: rect.height,
+        height: rect.width
+      };
+    case 180:
+      return {
+        x: 1 - rect.x - rect.width,
+        y: 1 - rect.y - rect.height,
+        width: rect.width,
+        height: rect.height
+      };
+    case 270:
+      return {
+        x: rect.y,
+        y: 1 - rect.x - rect.width,
+        width: rect.height,
+        height: rect.width
+      };
+    default:
+      return Object.assign({}, rect);
+  }
+}
+
+/**
+ * Mirrors a rectangle within its element.
+ * @param {Object} rect
+ * @param {Boolean} flipX Mirror horizontally.
+ * @param {Boolean} flipY Mirror vertically.
+ * @returns {Object}
+ */
+export function flipRect(rect, flipX, flipY) {
+  return {
+    x: flipX ? 1 - rect.x - rect.width : rect.x,
+    y: flipY ? 1 - rect.y - rect.height : rect.y,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+/**
+ * Maps a rectangle of the displayed element back to the original element.
+ * The element is displayed rotated first, then flipped.
+ * @param {Object} rect
+ * @param {Object} transform The {rotate, flipX, flipY} of the element.
+ * @returns {Object}
+ */
+export function toSourceRect(rect, transform) {
+  return rotateRect(flipRect(rect, transform.flipX, transform.flipY),
+    -transform.rotate);
+}
+
+/**
+ * Maps a rectangle of the original element to the displayed element.
+ * This is the inverse of toSourceRect.
+ * @param {Object} rect
+ * @param {Object} transform The {rotate, flipX, flipY} of the element.
+ * @returns {Object}
+ */
+export function fromSourceRect(rect, transform) {
+  return flipRect(rotateRect(rect, transform.rotate),
+    transform.flipX, transform.flipY);
+}
+
+/**
+ * Checks if a transform leaves the element as is.
+ * @param {Object} transform The {rotate, flipX, flipY} of the element.
+ * @returns {Boolean}
+ */
+export function isIdentity(transform) {
+  return transform.rotate === 0 && !transform.flipX && !transform.flipY;
+}
+
+/**
+ * Maps a line of the displayed element back to the original element.
+ * @param {Object} line The {axis, position} of the line. `axis` is 'x' for
+ *      a vertical line at a ratio `position` from the left, or 'y' for a
+ *      horizontal line at a ratio `position` from the top.
+ * @param {Object} transform The {rotate, flipX, flipY} of the element.
+ * @returns {Object}
+ */
+export function toSourceLine(line, transform) {
+  return rectToLine(toSourceRect(lineToRect(line), transform));
+}
+
+/**
+ * Maps a line of the original element to the displayed element.
+ * This is the inverse of toSourceLine.
+ * @param {Object} line The {axis, position} of the line.
+ * @param {Object} transform The {rotate, flipX, flipY} of the element.
+ * @returns {Object}
+ */
+export function fromSourceLine(line, transform) {
+  return rectToLine(fromSourceRect(lineToRect(line), transform));
+}
+
+// A line is mapped as a rectangle with no width (or height)
+function lineToRect(line) {
+  if (line.axis === 'x') {
+    return { x: line.position, y: 0, width: 0, height: 1 };
+  }
+  return { x: 0, y: line.position, width: 1, height: 0 };
+}
+
+function rectToLine(rect) {
+  if (rect.width === 0) {
+    return { axis: 'x', position: rect.x };
+  }
+  return { axis: 'y', position: rect.y };
+}
+
+/**
+ * Normalizes a free rotation to the range (-180, 180] degrees.
+ * @param {Number} deg The rotation in degrees.
+ * @returns {Number}
+ */
+export function normalizeAngle(deg) {
+  const angle = ((deg % 360) + 360) % 360;
+  return angle > 180 ? angle - 360 : angle;
+}
+
+/**
+ * Maps the clockwise rotation of a shape in the displayed element back to
+ * the original element. Turning the element leaves the rotation of the
+ * shape as is, while mirroring it reverses it.
+ * @param {Number} deg The rotation in degrees.
+ * @param {Object} transform The {rotate, flipX, flipY} of the element.
+ * @returns {Number}
+ */
+export function toSourceAngle(deg, transform) {
+  return normalizeAngle(transform.flipX !== transform.flipY ? -deg : deg);
+}
+
+/**
+ * Maps the rotation of a shape in the original element to the displayed
+ * element. This is the inverse of toSourceAngle, which is its own inverse.
+ * @param {Number} deg The rotation in degrees.
+ * @param {Object} transform The {rotate, flipX, flipY} of the element.
+ * @returns {Number}
+ */
+export function fromSourceAngle(deg, transform) {
+  return toSourceAngle(deg, transform);
+}
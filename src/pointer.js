@@ -0,0 +1,66 @@
+/**
+ * AreaSelection Pointer
+ * Helpers for handling mouse, touch and pen input through Pointer Events.
+ */
+
+/**
+ * Routes all further events of a pointer to an element, even when the
+ * pointer leaves it.
+ * @param {Element} element
+ * @param {Number} pointerId
+ */
+export function capturePointer(element, pointerId) {
+  if (typeof element.setPointerCapture === 'function') {
+    try {
+      element.setPointerCapture(pointerId);
+    } catch (e) {
+      // The pointer is no longer active
+    }
+  }
+}
+
+/**
+ * Releases a pointer captured with capturePointer.
+ * @param {Element} element
+ * @param {Number} pointerId
+ */
+export function releasePointer(element, pointerId) {
+  if (typeof element.hasPointerCapture === 'function' &&
+    element.hasPointerCapture(pointerId)) {
+    element.releasePointerCapture(pointerId);
+  }
+}
+
+/**
+ * Calculates the distance between two points.
+ * @param {Array} a The first point [x, y].
+ * @param {Array} b The second point [x, y].
+ * @returns {Number}
+ */
+export function getDistance(a, b) {
+  return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+/**
+ * Gets the modifier keys held during a pointer event.
+ * @param {Event} e
+ * @returns {Object} The {altKey, ctrlKey, metaKey, shiftKey} flags.
+ */
+export function getModifiers(e) {
+  return {
+    altKey: e.altKey,
+    ctrlKey: e.ctrlKey,
+    metaKey: e.metaKey,
+    shiftKey: e.shiftKey
+  };
+}
+
+/**
+ * Checks if a pointer pans the zoomed image rather than drawing a new box:
+ * the middle button, or any button while Ctrl or Cmd is held.
+ * @param {Event} e
+ * @returns {Boolean}
+ */
+export function isPanGesture(e) {
+  return e.button === 1 || e.ctrlKey || e.metaKey;
+}
@@ -0,0 +1,142 @@
+import Box from './box';
+import { capturePointer, releasePointer, getModifiers } from './pointer';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Polygon component
+ * A freeform selection made of vertices, in the coordinates of the boxes.
+ */
+export default class Polygon {
+
+  /**
+   * Creates a new Polygon instance.
+   * @constructor
+   * @param {Element} eventBus The element to dispatch events to.
+   */
+  constructor(eventBus) {
+
+    const self = this;
+    this.points = [];
+    this.closed = false;
+    this.eventBus = eventBus;
+    this.vertexEls = [];
+
+    // Create polygon element. It is focusable so that Enter can close it.
+    this.el = document.createElement('div');
+    this.el.className = 'area-selection-polygon';
+    this.el.tabIndex = 0;
+
+    // Create the outline
+    this.svgEl = document.createElementNS(SVG_NS, 'svg');
+    this.svgEl.setAttribute('class', 'area-selection-polygon-outline');
+    this.pathEl = document.createElementNS(SVG_NS, 'path');
+    this.svgEl.appendChild(this.pathEl);
+    this.el.appendChild(this.svgEl);
+
+    // Attach listeners. Each vertex captures its pointer, like a handle.
+    let pointerId = null;
+    let index = null;
+    this.el.addEventListener('pointerdown', onPointerDown);
+    this.el.addEventListener('pointermove', onPointerMove);
+    this.el.addEventListener('pointerup', onPointerUp);
+    this.el.addEventListener('pointercancel', onPointerUp);
+
+    function onPointerDown(e) {
+      const i = self.vertexEls.indexOf(e.target);
+      if (i === -1) { return; }
+      e.stopPropagation();
+      if (pointerId !== null) { return; }
+      pointerId = e.pointerId;
+      index = i;
+      capturePointer(e.target, pointerId);
+      notify('vertexstart', e);
+    }
+
+    function onPointerMove(e) {
+      if (e.pointerId !== pointerId) { return; }
+      e.stopPropagation();
+      notify('vertexmove', e);
+    }
+
+    function onPointerUp(e) {
+      if (e.pointerId !== pointerId) { return; }
+      e.stopPropagation();
+      releasePointer(e.target, pointerId);
+      pointerId = null;
+      notify('vertexend', e);
+    }
+
+    // Notify parent
+    function notify(type, e) {
+      self.eventBus.dispatchEvent(new CustomEvent(type, {
+        detail: Object.assign({
+          mouseX: e.clientX, mouseY: e.clientY, index
+        }, getModifiers(e))
+      }));
+    }
+  }
+
+  /**
+   * Sets the vertices of this polygon.
+   * @param {Array} points The [x, y] vertices.
+   * @param {Boolean} closed Whether the shape is closed.
+   */
+  setPoints(points, closed) {
+    this.points = points;
+    this.closed = closed;
+
+    // Add or remove vertex elements to match the points
+    while (this.vertexEls.length < points.length) {
+      const vertex = document.createElement('div');
+      vertex.className = 'area-selection-vertex';
+      this.vertexEls.push(vertex);
+      this.el.appendChild(vertex);
+    }
+    while (this.vertexEls.length > points.length) {
+      this.el.removeChild(this.vertexEls.pop());
+    }
+    return this;
+  }
+
+  /**
+   * Draws the outline and vertices at their current positions.
+   */
+  draw() {
+    this.pathEl.setAttribute('d', toPath(this.points, this.closed));
+    this.points.forEach(([x, y], i) => {
+      this.vertexEls[i].style.transform = `translate(${x}px, ${y}px)`;
+    });
+    if (this.closed) {
+      this.el.classList.add('area-selection-polygon-closed');
+    } else {
+      this.el.classList.remove('area-selection-polygon-closed');
+    }
+    return this;
+  }
+
+  /**
+   * Gets the bounding box of the vertices.
+   * @returns {Box} The box, or null if there are no vertices.
+   */
+  getBoundingBox() {
+    if (this.points.length === 0) { return null; }
+    const xs = this.points.map(p => p[0]);
+    const ys = this.points.map(p => p[1]);
+    return new Box(Math.min(...xs), Math.min(...ys),
+      Math.max(...xs), Math.max(...ys));
+  }
+}
+
+/**
+ * Creates SVG path data from a list of vertices.
+ * @param {Array} points The [x, y] vertices.
+ * @param {Boolean} closed Whether to close the path.
+ * @returns {String}
+ */
+export function toPath(points, closed) {
+  if (points.length === 0) { return ''; }
+  const path = points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x} ${y}`);
+  if (closed) { path.push('Z'); }
+  return path.join(' ');
+}
@@ -0,0 +1,77 @@
+import drawCrop, { getAreaSize } from './canvas';
+
+/**
+ * Preview component
+ * A canvas in a container element that shows the selected area of the
+ * target, scaled to fit the container.
+ */
+export default class Preview {
+
+  /**
+   * Creates a new Preview instance.
+   * @constructor
+   * @param {Element} container The element to add the canvas to.
+   */
+  constructor(container) {
+    this.container = container;
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'area-selection-preview';
+    this.container.appendChild(this.canvas);
+  }
+
+  /**
+   * Draws an area of a source element onto the canvas.
+   * @param {Element} source The `img`, `video` or `canvas` element to draw.
+   * @param {Object} rect The {x, y, width, height} area of the source, in
+   *      the source's natural pixels.
+   * @param {Object} opts The options of drawCrop.
+   * @param {Object} transform The {rotate, flipX, flipY} of the source.
+   */
+  draw(source, rect, opts, transform) {
+    const [areaWidth, areaHeight] = getAreaSize(rect, transform);
+    const ratio = areaWidth / areaHeight;
+
+    // Fit the area in the container. A container without a height takes
+    // the ratio of the area.
+    let width = this.container.clientWidth;
+    let height = this.container.clientHeight;
+    if (height === 0 || width / height < ratio) {
+      height = width / ratio;
+    } else {
+      width = height * ratio;
+    }
+    if (!(width > 0 && height > 0 && Number.isFinite(ratio))) {
+      this.clear();
+      return this;
+    }
+
+    // Draw at the resolution of the screen
+    const scale = window.devicePixelRatio || 1;
+    drawCrop(source, rect, Object.assign({}, opts, {
+      canvas: this.canvas,
+      width: width * scale,
+      height: height * scale
+    }), transform);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+    return this;
+  }
+
+  /**
+   * Clears the canvas, when there is no area to show.
+   */
+  clear() {
+    this.canvas.width = 0;
+    this.canvas.height = 0;
+    this.canvas.style.width = '0px';
+    this.canvas.style.height = '0px';
+    return this;
+  }
+
+  /**
+   * Removes the canvas from the container.
+   */
+  destroy() {
+    this.container.removeChild(this.canvas);
+  }
+}
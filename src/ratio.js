@@ -0,0 +1,52 @@
+/**
+ * AreaSelection Ratio
+ * Helpers for parsing and picking aspect ratios, expressed as width / height.
+ */
+
+/**
+ * Parses an aspect ratio.
+ * @param {Number|String|Array} ratio A number, a 'width:height' string or a
+ *      [width, height] array.
+ * @returns {Number} The ratio of width to height, or null for no ratio.
+ */
+export function parseRatio(ratio) {
+  if (ratio === undefined || ratio === null) { return null; }
+
+  let value = ratio;
+  if (typeof ratio === 'string') {
+    const parts = ratio.split(':').map(Number);
+    value = parts.length === 2 ? parts[0] / parts[1] : parts[0];
+  } else if (ratio instanceof Array) {
+    value = ratio[0] / ratio[1];
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw 'Invalid aspect ratio.';
+  }
+  return value;
+}
+
+/**
+ * Picks the ratio closest to the ratio of a size. Ratios are compared on a
+ * logarithmic scale, so that 1:2 and 2:1 are as far from 1:1.
+ * @param {Array} ratios The ratios to pick from.
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Number}
+ */
+export function closestRatio(ratios, width, height) {
+  const target = Math.log(width / height);
+  if (Number.isNaN(target)) { return ratios[0]; }
+  if (!Number.isFinite(target)) {
+    return target > 0 ? Math.max(...ratios) : Math.min(...ratios);
+  }
+
+  let closest = ratios[0];
+  ratios.forEach((ratio) => {
+    if (Math.abs(Math.log(ratio) - target) <
+      Math.abs(Math.log(closest) - target)) {
+      closest = ratio;
+    }
+  });
+  return closest;
+}
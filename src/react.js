@@ -0,0 +1,86 @@
+import {
+  createElement, forwardRef, useImperativeHandle, useLayoutEffect, useRef,
+  useState
+} from 'react';
+import Binding from './binding';
+
+/**
+ * AreaSelection React bindings
+ * The instance is created and destroyed in layout effects, so that the
+ * target is back in its place before React removes it from the document.
+ */
+
+/**
+ * Creates an AreaSelection instance on the image or video of a ref.
+ * @param {Object} [props]
+ * @param {Object} [props.options] The options. When they change, they are
+ *      set with setOptions, which resets the selection unless it is
+ *      controlled. Callbacks may change without setting the options.
+ * @param {Object|Array} [props.value] The controlled value, as returned by
+ *      getValue. Defaults to null, which leaves the selection to the user.
+ * @param {Function} [props.onChange] Called with the value when the
+ *      selection changes.
+ * @param {String} [props.src] The source of the target. When it changes, it
+ *      is set with setImage.
+ * @returns {Array} The [ref, instance]: the ref to pass to the image or
+ *      video, and the instance once it is initialized.
+ */
+export function useAreaSelection({
+  options = null, value = null, onChange = null, src = null
+} = {}) {
+  const ref = useRef(null);
+  const [instance, setInstance] = useState(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const binding = useRef(null);
+  if (binding.current === null) {
+    binding.current = new Binding((v) => {
+      if (onChangeRef.current !== null) { onChangeRef.current(v); }
+    }, setInstance);
+  }
+
+  useLayoutEffect(() => {
+    binding.current.update({ options, value, src });
+    binding.current.mount(ref.current);
+    return () => binding.current.unmount();
+  }, []);
+
+  useLayoutEffect(() => {
+    binding.current.update({ options, value, src });
+  });
+
+  return [ref, instance];
+}
+
+/**
+ * Renders an image, or a video, with an AreaSelection instance. Its ref is
+ * the instance once it is initialized.
+ * @param {Object} props The props of useAreaSelection, and:
+ * @param {Boolean} [props.video] Whether to render a video. Defaults to an
+ *      image. Read once, as the target cannot change its kind.
+ * @param {String} [props.alt] The alternative text of the image.
+ * @param {String} [props.crossOrigin] The CORS setting of the target, needed
+ *      to crop images from other origins.
+ * @param {String} [props.className] The class name of the wrapper.
+ * @param {Object} [props.style] The style of the wrapper.
+ */
+const AreaSelection = forwardRef((props, ref) => {
+  const {
+    options = null, value = null, onChange = null, src = null, video = false,
+    alt, crossOrigin, className, style
+  } = props;
+  const [targetRef, instance] = useAreaSelection({
+    options, value, onChange, src
+  });
+  const [tag] = useState(video ? 'video' : 'img');
+  useImperativeHandle(ref, () => instance, [instance]);
+
+  // The wrapper keeps React away from the container, which replaces the
+  // target in its parent
+  return createElement('div', { className, style },
+    createElement(tag, { ref: targetRef, alt, crossOrigin }));
+});
+AreaSelection.displayName = 'AreaSelection';
+
+export default AreaSelection;
@@ -0,0 +1,254 @@
+import Handle from './handle';
+import Keyframes from './keyframes';
+import enableKeyboard from './keyboard';
+import {
+  capturePointer, releasePointer, getDistance, getModifiers,
+} from './pointer';
+
+/**
+ * Region component
+ */
+export default class Region {
+  /**
+   * Creates a new Region instance.
+   * @constructor
+   * @param {String|Number} id The identifier of this region.
+   * @param {Array} handles The list of handles to create. Refer to the
+   *      HANDLES table in Core for the format.
+   * @param {Element} eventBus The element to dispatch events to.
+   */
+  constructor(id, handles, eventBus) {
+    const self = this;
+    this.id = id;
+    this.box = null;
+    this.angle = 0;
+    this.keyframes = new Keyframes();
+    this.eventBus = eventBus;
+
+    // Create region box element
+    this.el = document.createElement('div');
+    this.el.className = 'area-selection-region';
+    this.el.setAttribute('data-region-id', id);
+
+    // Create dashed lines
+    ['h', 'v'].forEach((item) => {
+      const dashedLine = document.createElement('div');
+      dashedLine.className = `area-selection-dashed area-selection-dashed-${item}`;
+      this.el.appendChild(dashedLine);
+    });
+
+    // Create center crosshair
+    const center = document.createElement('div');
+    center.className = 'area-selection-center';
+    this.el.appendChild(center);
+
+    // Create handles element
+    this.handles = handles.map(({ position, constraints, direction }) => {
+      const handle = new Handle(position, constraints, direction, eventBus);
+      this.el.appendChild(handle.el);
+      return handle;
+    });
+
+    // Notify parent
+    function notify(type, e, detail = {}) {
+      self.eventBus.dispatchEvent(new CustomEvent(type, {
+        detail: Object.assign({
+          mouseX: e.clientX, mouseY: e.clientY, region: self,
+        }, getModifiers(e), detail),
+      }));
+    }
+
+    // Pointers are captured on pointerdown, so all of their further events
+    // are dispatched to this element. One pointer moves the region, two
+    // pointers pinch to scale it.
+    const pointers = {};
+    let pinchDistance = null;
+
+    function getPinchDistance() {
+      const ids = Object.keys(pointers);
+      return getDistance(pointers[ids[0]], pointers[ids[1]]);
+    }
+
+    function onPointerDown(e) {
+      e.stopPropagation();
+      const ids = Object.keys(pointers);
+      if (ids.length >= 2) { return; }
+      pointers[e.pointerId] = [e.clientX, e.clientY];
+      capturePointer(self.el, e.pointerId);
+
+      if (ids.length === 0) {
+        notify('regionstart', e);
+      } else {
+        // A second pointer turns the move into a pinch
+        notify('regionend', e);
+        pinchDistance = getPinchDistance();
+        notify('regionpinchstart', e);
+      }
+    }
+
+    function onPointerMove(e) {
+      if (pointers[e.pointerId] === undefined) { return; }
+      e.stopPropagation();
+      pointers[e.pointerId] = [e.clientX, e.clientY];
+
+      if (pinchDistance === null) {
+        notify('regionmove', e);
+      } else {
+        const distance = getPinchDistance();
+        const factor = pinchDistance > 0 ? distance / pinchDistance : 1;
+        pinchDistance = distance;
+        notify('regionpinch', e, { factor });
+      }
+    }
+
+    function onPointerUp(e) {
+      if (pointers[e.pointerId] === undefined) { return; }
+      e.stopPropagation();
+      delete pointers[e.pointerId];
+      releasePointer(self.el, e.pointerId);
+
+      if (pinchDistance !== null) {
+        // Continue moving with the remaining pointer
+        pinchDistance = null;
+        notify('regionpinchend', e);
+        const [mouseX, mouseY] = pointers[Object.keys(pointers)[0]];
+        notify('regionstart', e, { mouseX, mouseY });
+      } else {
+        notify('regionend', e);
+      }
+    }
+
+    // Create rotation handle, shown with the `rotatable` option
+    this.rotatorEl = document.createElement('div');
+    this.rotatorEl.className = 'area-selection-rotator';
+    this.el.appendChild(this.rotatorEl);
+    let rotatorPointerId = null;
+
+    function onRotatorDown(e) {
+      e.stopPropagation();
+      if (rotatorPointerId !== null) { return; }
+      rotatorPointerId = e.pointerId;
+      capturePointer(self.rotatorEl, rotatorPointerId);
+      notify('rotatestart', e);
+    }
+
+    function onRotatorMove(e) {
+      if (e.pointerId !== rotatorPointerId) { return; }
+      e.stopPropagation();
+      notify('rotatemove', e);
+    }
+
+    function onRotatorUp(e) {
+      if (e.pointerId !== rotatorPointerId) { return; }
+      e.stopPropagation();
+      releasePointer(self.rotatorEl, rotatorPointerId);
+      rotatorPointerId = null;
+      notify('rotateend', e);
+    }
+
+    // Attach listeners
+    this.rotatorEl.addEventListener('pointerdown', onRotatorDown);
+    this.rotatorEl.addEventListener('pointermove', onRotatorMove);
+    this.rotatorEl.addEventListener('pointerup', onRotatorUp);
+    this.rotatorEl.addEventListener('pointercancel', onRotatorUp);
+    this.el.addEventListener('pointerdown', onPointerDown);
+    this.el.addEventListener('pointermove', onPointerMove);
+    this.el.addEventListener('pointerup', onPointerUp);
+    this.el.addEventListener('pointercancel', onPointerUp);
+
+    // Rotate this region with the arrow keys
+    enableKeyboard(this.rotatorEl, (detail) => {
+      self.eventBus.dispatchEvent(new CustomEvent('rotatekey', {
+        detail: Object.assign({ region: self }, detail),
+      }));
+    });
+
+    // Move (or resize with Shift) this region with the arrow keys
+    enableKeyboard(this.el, (detail) => {
+      self.eventBus.dispatchEvent(new CustomEvent('regionkey', {
+        detail: Object.assign({ region: self }, detail),
+      }));
+    });
+  }
+
+  /**
+   * Toggles the active state of this region.
+   * @param {Boolean} active
+   */
+  setActive(active) {
+    if (active) {
+      this.el.classList.add('area-selection-region-active');
+    } else {
+      this.el.classList.remove('area-selection-region-active');
+    }
+    return this;
+  }
+
+  /**
+   * Sets the shape of this region.
+   * @param {String} shape 'rect', 'ellipse' or 'circle'.
+   */
+  setShape(shape) {
+    if (shape === 'rect') {
+      this.el.classList.remove('area-selection-region-ellipse');
+    } else {
+      this.el.classList.add('area-selection-region-ellipse');
+    }
+    return this;
+  }
+
+  /**
+   * Toggles the rotation handle of this region.
+   * @param {Boolean} rotatable
+   */
+  setRotatable(rotatable) {
+    if (rotatable) {
+      this.el.classList.add('area-selection-region-rotatable');
+    } else {
+      this.el.classList.remove('area-selection-region-rotatable');
+    }
+    return this;
+  }
+
+  /**
+   * Shows the handles of some directions only.
+   * @param {Array} directions The directions of the handles to show.
+   */
+  setHandles(directions) {
+    this.handles.forEach((handle) => {
+      if (handle.el.parentNode === this.el) { this.el.removeChild(handle.el); }
+      if (directions.indexOf(handle.direction) !== -1) {
+        this.el.insertBefore(handle.el, this.rotatorEl);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Toggles the dashed lines and the center crosshair of this region.
+   * @param {Boolean} guides
+   * @param {Boolean} crosshair
+   */
+  setGuides(guides, crosshair) {
+    if (guides) {
+      this.el.classList.remove('area-selection-region-no-guides');
+    } else {
+      this.el.classList.add('area-selection-region-no-guides');
+    }
+    if (crosshair) {
+      this.el.classList.remove('area-selection-region-no-crosshair');
+    } else {
+      this.el.classList.add('area-selection-region-no-crosshair');
+    }
+    return this;
+  }
+
+  /**
+   * Checks if a handle belongs to this region.
+   * @param {Handle} handle
+   * @returns {Boolean}
+   */
+  hasHandle(handle) {
+    return this.handles.indexOf(handle) !== -1;
+  }
+}
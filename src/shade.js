@@ -0,0 +1,91 @@
+import { toPath } from './polygon';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Counts the shades, so that each gets a unique mask id
+let shadeCount = 0;
+
+/**
+ * Creates an SVG element with attributes.
+ * @param {String} name
+ * @param {Object} attributes
+ * @returns {Element}
+ */
+function createSVGElement(name, attributes) {
+  const el = document.createElementNS(SVG_NS, name);
+  Object.keys(attributes).forEach(key => el.setAttribute(key, attributes[key]));
+  return el;
+}
+
+/**
+ * Shade component
+ * Darkens the target outside of the selection. The color and opacity come
+ * from the `--area-selection-overlay-color` and
+ * `--area-selection-overlay-opacity` CSS custom properties.
+ */
+export default class Shade {
+  /**
+   * Creates a new Shade instance.
+   * @constructor
+   */
+  constructor() {
+    shadeCount += 1;
+    const maskId = `area-selection-shade-${shadeCount}`;
+
+    this.el = document.createElementNS(SVG_NS, 'svg');
+    this.el.setAttribute('class', 'area-selection-shade');
+
+    // The mask is white where the shade shows, and black over the holes
+    const mask = createSVGElement('mask', { id: maskId });
+    mask.appendChild(createSVGElement('rect', {
+      width: '100%', height: '100%', fill: '#fff',
+    }));
+    this.holesEl = createSVGElement('g', { fill: '#000' });
+    mask.appendChild(this.holesEl);
+    this.el.appendChild(mask);
+
+    this.el.appendChild(createSVGElement('rect', {
+      class: 'area-selection-shade-fill',
+      width: '100%',
+      height: '100%',
+      mask: `url(#${maskId})`,
+    }));
+  }
+
+  /**
+   * Cuts holes into the shade.
+   * @param {Array} regions The {x, y, width, height, angle, round} rects to
+   *      cut out. Round rects cut out an ellipse.
+   * @param {Array} [points] The [x, y] vertices of a polygon to cut out.
+   */
+  draw(regions, points = null) {
+    while (this.holesEl.firstChild) {
+      this.holesEl.removeChild(this.holesEl.firstChild);
+    }
+
+    regions.forEach(({
+      x, y, width, height, angle, round,
+    }) => {
+      const cx = x + (width / 2);
+      const cy = y + (height / 2);
+      const hole = round
+        ? createSVGElement('ellipse', {
+          cx, cy, rx: width / 2, ry: height / 2,
+        })
+        : createSVGElement('rect', {
+          x, y, width, height,
+        });
+      if (angle !== 0) {
+        hole.setAttribute('transform', `rotate(${angle} ${cx} ${cy})`);
+      }
+      this.holesEl.appendChild(hole);
+    });
+
+    if (points !== null) {
+      this.holesEl.appendChild(createSVGElement('path', {
+        d: toPath(points, true),
+      }));
+    }
+    return this;
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * AreaSelection Snap
+ * Helpers for snapping the selection to a grid, the edges of the target and
+ * guide lines.
+ */
+
+/**
+ * Default snap settings.
+ * @property {Array} grid - The [x, y] spacing of the grid in real pixels, or
+ *      null for no grid.
+ * @property {Boolean} edges - Snap to the edges and center of the target.
+ * @property {Object} guides - The {x, y} positions of vertical and
+ *      horizontal guide lines in real pixels.
+ * @property {Number} threshold - The distance in screen pixels within which
+ *      edges and guides snap.
+ * @property {String} disableKey - The modifier key that disables snapping
+ *      while held: 'alt', 'ctrl', 'meta' or 'shift'.
+ */
+export const DEFAULT_SNAP = {
+  grid: null,
+  edges: true,
+  guides: { x: [], y: [] },
+  threshold: 8,
+  disableKey: 'alt'
+};
+
+/**
+ * Merges user snap settings with the default settings.
+ * @param {Boolean|Object} snap `true` for the default settings.
+ * @returns {Object} The settings, or null if snapping is disabled.
+ */
+export function parseSnap(snap) {
+  if (snap === undefined || snap === null || snap === false) { return null; }
+  const opts = snap === true ? {} : snap;
+
+  let grid = null;
+  if (opts.grid !== undefined && opts.grid !== null) {
+    grid = [].concat(opts.grid);
+    if (grid.length === 1) { grid.push(grid[0]); }
+    if (grid.length !== 2 || !grid.every(n => typeof n === 'number' && n > 0)) {
+      throw 'Invalid snap grid.';
+    }
+  }
+
+  const guides = Object.assign({}, opts.guides);
+  const disableKey = opts.disableKey || DEFAULT_SNAP.disableKey;
+  if (['alt', 'ctrl', 'meta', 'shift'].indexOf(disableKey) === -1) {
+    throw 'Invalid snap key.';
+  }
+
+  return {
+    grid,
+    edges: opts.edges === undefined ? DEFAULT_SNAP.edges : !!opts.edges,
+    guides: {
+      x: (guides.x || DEFAULT_SNAP.guides.x).slice(),
+      y: (guides.y || DEFAULT_SNAP.guides.y).slice()
+    },
+    threshold: opts.threshold === undefined ?
+      DEFAULT_SNAP.threshold : opts.threshold,
+    disableKey
+  };
+}
+
+/**
+ * Finds the line closest to any of the positions, within a threshold.
+ * @param {Array} positions The positions that can snap, such as the edges
+ *      and center of a box.
+ * @param {Array} lines The positions of the lines to snap to.
+ * @param {Number} threshold
+ * @returns {Object} The {offset, line} to move the positions by and the line
+ *      they snap to, or null if no line is close enough.
+ */
+export function findClosest(positions, lines, threshold) {
+  let closest = null;
+  positions.forEach((position) => {
+    lines.forEach((line) => {
+      const offset = line - position;
+      if (Math.abs(offset) <= threshold &&
+        (closest === null || Math.abs(offset) < Math.abs(closest.offset))) {
+        closest = { offset, line };
+      }
+    });
+  });
+  return closest;
+}
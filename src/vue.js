@@ -0,0 +1,77 @@
+import { h } from 'vue';
+import Binding from './binding';
+
+/**
+ * AreaSelection Vue component
+ * Renders an image, or a video, with an AreaSelection instance. The value is
+ * bound with `v-model`, and the instance is destroyed before the component
+ * is unmounted. Emits `ready` with the instance.
+ */
+export default {
+  name: 'AreaSelection',
+
+  props: {
+    // The source of the target. When it changes, it is set with setImage.
+    src: { type: String, default: null },
+    // Whether to render a video. Read once, as the target cannot change its
+    // kind.
+    video: { type: Boolean, default: false },
+    // The options. When they change, they are set with setOptions, which
+    // resets the selection unless it is bound.
+    options: { type: Object, default: null },
+    // The value, as returned by getValue. Null leaves the selection to the
+    // user.
+    modelValue: { type: [Object, Array], default: null }
+  },
+
+  emits: ['update:modelValue', 'ready'],
+
+  data() {
+    return { tag: this.video ? 'video' : 'img' };
+  },
+
+  watch: {
+    src() { this.sync(); },
+    options: { handler() { this.sync(); }, deep: true },
+    modelValue: { handler() { this.sync(); }, deep: true }
+  },
+
+  created() {
+    // Not reactive, as Vue would wrap the instance
+    this.binding = new Binding(
+      value => this.$emit('update:modelValue', value),
+      instance => this.$emit('ready', instance)
+    );
+  },
+
+  mounted() {
+    this.sync();
+    this.binding.mount(this.$refs.target);
+  },
+
+  beforeUnmount() {
+    this.binding.unmount();
+  },
+
+  methods: {
+    /**
+     * Gets the AreaSelection instance.
+     * @returns {AreaSelection}
+     */
+    getInstance() {
+      return this.binding.instance;
+    },
+
+    sync() {
+      this.binding.update({
+        options: this.options,
+        value: this.modelValue,
+        src: this.src
+      });
+    }
+  },
+
+  render() {
+    return h('div', [h(this.tag, { ref: 'target' })]);
+  }
+};
@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import {
+  createImage, drag, keydown, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import { parseLabels, formatLabel } from '../src/a11y';
+
+describe('a11y', () => {
+
+  describe('parseLabels', () => {
+
+    it('falls back to the default labels', () => {
+      const labels = parseLabels({ rotator: 'Drehen', directions: { nw: 'oben links' } });
+      expect(labels.rotator).to.equal('Drehen');
+      expect(labels.container).to.equal('Area selection');
+      expect(labels.directions.nw).to.equal('oben links');
+      expect(labels.directions.se).to.equal('bottom right corner');
+    });
+
+  });
+
+  describe('formatLabel', () => {
+
+    it('fills in the placeholders it has values for', () => {
+      expect(formatLabel('{width} by {height} {unit}', { width: 10, height: 0 }))
+        .to.equal('10 by 0 {unit}');
+    });
+
+  });
+
+  let selection = null;
+  const create = (options = {}) => {
+    selection = new AreaSelection(createImage(),
+      Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+    return selection;
+  };
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    cleanup();
+  });
+
+  it('describes the role of the region', () => {
+    create();
+    expect(selection.regionEl.getAttribute('role')).to.equal('group');
+    expect(selection.regionEl.getAttribute('aria-roledescription')).to.equal('selection');
+  });
+
+  it('localizes the role of the region', () => {
+    create({ labels: { regionRole: 'sélection' } });
+    expect(selection.regionEl.getAttribute('aria-roledescription')).to.equal('sélection');
+    expect(selection.options.labels.rotator).to.equal('Rotate selection');
+  });
+
+  it('labels the container, the handles and the rotation handle', () => {
+    create({ rotatable: true, labels: { directions: { se: 'unten rechts' } } });
+    expect(selection.containerEl.getAttribute('role')).to.equal('group');
+    expect(selection.containerEl.getAttribute('aria-label')).to.equal('Area selection');
+    const labels = {};
+    selection.handles.forEach((h) => {
+      expect(h.el.getAttribute('role')).to.equal('button');
+      labels[h.direction] = h.el.getAttribute('aria-label');
+    });
+    expect(labels.nw).to.equal('Resize from top left corner');
+    expect(labels.se).to.equal('Resize from unten rechts');
+    const rotator = selection.regions[0].rotatorEl;
+    expect(rotator.getAttribute('aria-label')).to.equal('Rotate selection');
+  });
+
+  it('labels the region with its value', () => {
+    create({ labels: { region: 'Region {id}: {x}, {y}, {width} x {height}' } });
+    expect(selection.regionEl.getAttribute('aria-label'))
+      .to.equal(`Region ${selection.regions[0].id}: 100, 75, 200 x 150`);
+    keydown(selection.regionEl, 'ArrowRight');
+    expect(selection.regionEl.getAttribute('aria-label'))
+      .to.equal(`Region ${selection.regions[0].id}: 101, 75, 200 x 150`);
+  });
+
+  it('announces the selection when a move or resize finishes', () => {
+    create();
+    const live = selection.containerEl.querySelector('[aria-live="polite"]');
+    expect(live.textContent).to.equal('');
+    drag(selection.regionEl, [[200, 150], [250, 100]]);
+    expect(live.textContent).to.equal('Selection is 200 by 150, at 150, 25');
+    keydown(selection.regionEl, 'ArrowDown', { shiftKey: true });
+    expect(live.textContent).to.equal('Selection is 200 by 151, at 150, 25');
+  });
+
+  it('relabels the elements when the labels change', () => {
+    create();
+    selection.setOptions({ labels: { container: 'Zuschnitt', regionRole: 'Auswahl' } });
+    expect(selection.containerEl.getAttribute('aria-label')).to.equal('Zuschnitt');
+    expect(selection.regionEl.getAttribute('aria-roledescription')).to.equal('Auswahl');
+  });
+
+});
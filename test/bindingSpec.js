@@ -0,0 +1,140 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createImage, drag, cleanup } from './helpers/dom';
+import Binding from '../src/binding';
+
+const VALUE = {
+  x: 10, y: 20, width: 100, height: 50,
+};
+
+describe('Binding', () => {
+  let binding = null;
+  let onChange = null;
+  let onReady = null;
+  const mount = (props = {}) => {
+    onChange = sinon.spy();
+    onReady = sinon.spy();
+    binding = new Binding(onChange, onReady);
+    binding.update(props);
+    binding.mount(createImage());
+    return binding.instance.ready.then(() => binding.instance);
+  };
+
+  afterEach(() => {
+    if (binding !== null) { binding.unmount(); }
+    binding = null;
+    cleanup();
+  });
+
+  it('creates the instance with the props', () => mount({
+    options: { returnMode: 'raw' }, value: VALUE,
+  }).then((instance) => {
+    expect(onReady.calledOnceWith(instance)).to.be.true;
+    expect(instance.getValue()).to.deep.equal(VALUE);
+    expect(binding.getValue()).to.deep.equal(VALUE);
+    expect(onChange.called).to.be.false;
+  }));
+
+  it('reports a value given in another mode as it is returned', () => mount({
+    options: { returnMode: 'raw' },
+    value: {
+      mode: 'ratio', x: 0.5, y: 0.5, width: 0.25, height: 0.25,
+    },
+  }).then(() => {
+    expect(onChange.calledOnceWith({
+      x: 200, y: 150, width: 100, height: 75,
+    })).to.be.true;
+  }));
+
+  it('reads the value of the props until the instance is ready', () => {
+    binding = new Binding();
+    binding.update({ value: VALUE });
+    expect(binding.getValue()).to.equal(VALUE);
+  });
+
+  it('reports the changes of an uncontrolled selection once', () => mount({
+    options: { returnMode: 'raw', startSize: [50, 50] },
+  }).then((instance) => {
+    // The initial value is reported once the instance is ready
+    expect(onChange.calledOnceWith({
+      x: 100, y: 75, width: 200, height: 150,
+    })).to.be.true;
+
+    onChange.resetHistory();
+    drag(instance.regionEl, [[200, 150], [210, 150], [250, 100]]);
+    expect(onChange.calledOnce).to.be.true;
+    expect(onChange.firstCall.args[0]).to.deep.equal({
+      x: 150, y: 25, width: 200, height: 150,
+    });
+  }));
+
+  it('sets a controlled value without reporting it', () => mount({
+    options: { returnMode: 'raw' }, value: VALUE,
+  }).then((instance) => {
+    const value = Object.assign({}, VALUE, { x: 50 });
+    binding.update({ options: { returnMode: 'raw' }, value });
+    expect(instance.getValue()).to.include({ x: 50 });
+    expect(onChange.called).to.be.false;
+
+    // The same value again is not set again
+    const setValue = sinon.spy(instance, 'setValue');
+    binding.update({ options: { returnMode: 'raw' }, value: Object.assign({}, value) });
+    expect(setValue.called).to.be.false;
+  }));
+
+  it('sets the options only when they change', () => mount({
+    options: { returnMode: 'raw', aspectRatios: [1, 2] },
+  }).then((instance) => {
+    const setOptions = sinon.spy(instance, 'setOptions');
+    binding.update({ options: { returnMode: 'raw', aspectRatios: [1, 2] } });
+    expect(setOptions.called).to.be.false;
+
+    binding.update({ options: { returnMode: 'raw', aspectRatios: [1] } });
+    expect(setOptions.calledOnce).to.be.true;
+    expect(instance.getValue().width / instance.getValue().height).to.equal(1);
+  }));
+
+  it('notices options changed in place', () => {
+    const options = { returnMode: 'raw', aspectRatio: null };
+    return mount({ options }).then((instance) => {
+      const setOptions = sinon.spy(instance, 'setOptions');
+      options.aspectRatio = 1;
+      binding.update({ options });
+      expect(setOptions.calledOnce).to.be.true;
+    });
+  });
+
+  it('calls the latest callbacks without setting the options', () => {
+    const first = sinon.spy();
+    const second = sinon.spy();
+    return mount({ options: { onSelectEnd: first } }).then((instance) => {
+      const setOptions = sinon.spy(instance, 'setOptions');
+      binding.update({ options: { onSelectEnd: second } });
+      instance.setValue(VALUE);
+      expect(setOptions.called).to.be.false;
+      expect(first.called).to.be.false;
+      expect(second.calledOnce).to.be.true;
+    });
+  });
+
+  it('sets the image once the instance is ready', () => mount({
+    src: 'first.png',
+  }).then((instance) => {
+    expect(binding.target.getAttribute('src')).to.equal('first.png');
+    const setImage = sinon.stub(instance, 'setImage').resolves(instance);
+    binding.update({ src: 'first.png' });
+    expect(setImage.called).to.be.false;
+    binding.update({ src: 'second.png' });
+    expect(setImage.calledOnceWith('second.png')).to.be.true;
+  }));
+
+  it('destroys the instance when unmounted', () => mount().then((instance) => {
+    const img = binding.target;
+    binding.unmount();
+    expect(binding.instance).to.be.null;
+    expect(binding.getValue()).to.be.null;
+    expect(img.parentNode).to.equal(document.body);
+    expect(() => instance.getValue()).to.throw();
+  }));
+
+});
@@ -0,0 +1,177 @@
+import { expect } from 'chai';
+import Box from '../src/box';
+
+const coords = box => [box.x1, box.y1, box.x2, box.y2];
+
+describe('Box', () => {
+
+  it('measures its width and height, even when flipped', () => {
+    const box = new Box(110, 70, 10, 20);
+    expect(box.width()).to.equal(100);
+    expect(box.height()).to.equal(50);
+  });
+
+  it('sets only the coordinates that are given', () => {
+    expect(coords(new Box(0, 0, 10, 10).set(null, 5, 20))).to.deep.equal([0, 5, 20, 10]);
+  });
+
+  describe('resize', () => {
+
+    it('resizes from the top left corner by default', () => {
+      expect(coords(new Box(10, 10, 110, 60).resize(50, 20))).to.deep.equal([10, 10, 60, 30]);
+    });
+
+    it('resizes from an origin', () => {
+      expect(coords(new Box(0, 0, 100, 50).resize(50, 20, [1, 1])))
+        .to.deep.equal([50, 30, 100, 50]);
+      expect(coords(new Box(0, 0, 100, 100).resize(50, 50, [0.5, 0.5])))
+        .to.deep.equal([25, 25, 75, 75]);
+    });
+
+    it('scales by a factor', () => {
+      expect(coords(new Box(0, 0, 100, 50).scale(2))).to.deep.equal([0, 0, 200, 100]);
+      expect(coords(new Box(0, 0, 100, 50).scale(0.5, [1, 1]))).to.deep.equal([50, 25, 100, 50]);
+    });
+
+  });
+
+  describe('move', () => {
+
+    it('moves without resizing', () => {
+      expect(coords(new Box(10, 10, 60, 40).move(100, 0))).to.deep.equal([100, 0, 150, 30]);
+    });
+
+    it('keeps the coordinates that are null', () => {
+      expect(coords(new Box(10, 10, 60, 40).move(100))).to.deep.equal([100, 10, 150, 40]);
+      expect(coords(new Box(10, 10, 60, 40).move(null, 0))).to.deep.equal([10, 0, 60, 30]);
+    });
+
+  });
+
+  describe('points', () => {
+
+    it('gets relative and absolute points', () => {
+      const box = new Box(10, 20, 110, 70);
+      expect(box.getRelativePoint([0.5, 0.5])).to.deep.equal([50, 25]);
+      expect(box.getAbsolutePoint([0.5, 0.5])).to.deep.equal([60, 45]);
+      expect(box.getAbsolutePoint()).to.deep.equal([10, 20]);
+    });
+
+  });
+
+  describe('getRotatedBounds', () => {
+
+    it('copies the box for half turns', () => {
+      const box = new Box(0, 0, 100, 50);
+      const bounds = box.getRotatedBounds(180);
+      expect(bounds).to.not.equal(box);
+      expect(coords(bounds)).to.deep.equal([0, 0, 100, 50]);
+    });
+
+    it('swaps the sides for quarter turns', () => {
+      const bounds = new Box(0, 0, 100, 50).getRotatedBounds(90);
+      [25, -25, 75, 75].forEach((v, i) => expect(coords(bounds)[i]).to.be.closeTo(v, 1e-9));
+    });
+
+    it('grows around the center for other angles', () => {
+      const bounds = new Box(0, 0, 100, 100).getRotatedBounds(45);
+      const half = 50 * Math.SQRT2;
+      expect(bounds.getAbsolutePoint([0.5, 0.5])).to.deep.equal([50, 50]);
+      expect(bounds.width()).to.be.closeTo(half * 2, 1e-9);
+      expect(bounds.height()).to.be.closeTo(half * 2, 1e-9);
+    });
+
+  });
+
+  describe('constrainToRatio', () => {
+
+    it('grows the height by default', () => {
+      expect(coords(new Box(0, 0, 100, 100).constrainToRatio(2))).to.deep.equal([0, 0, 100, 50]);
+    });
+
+    it('grows the width from an origin', () => {
+      expect(coords(new Box(0, 0, 100, 100).constrainToRatio(2, [1, 1], 'width')))
+        .to.deep.equal([-100, 0, 100, 100]);
+    });
+
+    it('leaves the box alone without a ratio', () => {
+      const box = new Box(0, 0, 100, 100);
+      box.constrainToRatio(null);
+      expect(coords(box)).to.deep.equal([0, 0, 100, 100]);
+    });
+
+  });
+
+  describe('constrainToBoundary', () => {
+
+    it('shrinks the box to fit from its origin', () => {
+      expect(coords(new Box(50, 50, 350, 250).constrainToBoundary(200, 200)))
+        .to.deep.equal([50, 50, 200, 150]);
+    });
+
+    it('accounts for the offset of the boundary', () => {
+      expect(coords(new Box(100, 100, 300, 200).constrainToBoundary(150, 150, [0, 0], [50, 50])))
+        .to.deep.equal([100, 100, 200, 150]);
+    });
+
+    it('grows both ways from a center origin', () => {
+      expect(coords(new Box(0, 50, 200, 150).constrainToBoundary(400, 300, [0.5, 0.5], [20, 0])))
+        .to.deep.equal([20, 60, 180, 140]);
+    });
+
+  });
+
+  describe('constrainToSize', () => {
+
+    it('applies the maximum size', () => {
+      expect(coords(new Box(0, 0, 300, 150).constrainToSize(100, 100)))
+        .to.deep.equal([0, 0, 100, 100]);
+      expect(coords(new Box(0, 0, 300, 150).constrainToSize(100, null, null, null, [1, 1])))
+        .to.deep.equal([200, 0, 300, 150]);
+    });
+
+    it('applies the minimum size', () => {
+      expect(coords(new Box(0, 0, 10, 10).constrainToSize(null, null, 50, 20)))
+        .to.deep.equal([0, 0, 50, 20]);
+    });
+
+    describe('with a ratio', () => {
+
+      it('keeps a wide ratio within the maximum size', () => {
+        expect(coords(new Box(0, 0, 300, 150).constrainToSize(100, 100, null, null, [0, 0], 2)))
+          .to.deep.equal([0, 0, 100, 50]);
+        expect(coords(new Box(0, 0, 300, 150).constrainToSize(null, 60, null, null, [0, 0], 2)))
+          .to.deep.equal([0, 0, 120, 60]);
+        expect(coords(new Box(0, 0, 300, 150).constrainToSize(100, null, null, null, [0, 0], 2)))
+          .to.deep.equal([0, 0, 100, 50]);
+      });
+
+      it('keeps a tall ratio within the maximum size', () => {
+        expect(coords(new Box(0, 0, 100, 200).constrainToSize(100, 100, null, null, [0, 0], 0.5)))
+          .to.deep.equal([0, 0, 50, 100]);
+        expect(coords(new Box(0, 0, 100, 200).constrainToSize(40, null, null, null, [1, 1], 0.5)))
+          .to.deep.equal([60, 120, 100, 200]);
+      });
+
+      it('keeps a square ratio within the tighter side', () => {
+        expect(coords(new Box(0, 0, 200, 200).constrainToSize(150, 100, null, null, [0, 0], 1)))
+          .to.deep.equal([0, 0, 100, 100]);
+      });
+
+      it('grows to the minimum size', () => {
+        expect(coords(new Box(0, 0, 20, 10).constrainToSize(null, null, 50, 50, [0, 0], 2)))
+          .to.deep.equal([0, 0, 100, 50]);
+        expect(coords(new Box(0, 0, 10, 20).constrainToSize(null, null, 30, null, [0, 0], 0.5)))
+          .to.deep.equal([0, 0, 30, 60]);
+      });
+
+      it('leaves a box within the limits alone', () => {
+        expect(coords(new Box(0, 0, 80, 40).constrainToSize(100, 100, 20, 20, [0, 0], 2)))
+          .to.deep.equal([0, 0, 80, 40]);
+      });
+
+    });
+
+  });
+
+});
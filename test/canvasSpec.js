@@ -0,0 +1,163 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createImage, createVideo, cleanup } from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import drawCrop, { getAreaSize } from '../src/canvas';
+
+const RECT = {
+  x: 10, y: 20, width: 200, height: 100,
+};
+
+describe('canvas', () => {
+  let context = null;
+
+  beforeEach(() => {
+    // jsdom has no canvas, so the drawing is recorded
+    context = {};
+    ['translate', 'rotate', 'scale', 'drawImage', 'beginPath', 'ellipse',
+      'lineTo', 'closePath', 'clip', 'fillRect'].forEach((method) => {
+      context[method] = sinon.spy();
+    });
+    sinon.stub(HTMLCanvasElement.prototype, 'getContext').returns(context);
+  });
+
+  afterEach(() => {
+    HTMLCanvasElement.prototype.getContext.restore();
+    cleanup();
+  });
+
+  describe('drawCrop', () => {
+
+    it('draws the area onto a canvas of its size', () => {
+      const source = createImage();
+      const canvas = drawCrop(source, RECT);
+      expect([canvas.width, canvas.height]).to.deep.equal([200, 100]);
+      expect(context.translate.calledWith(100, 50)).to.be.true;
+      expect(context.drawImage.calledWith(source, 10, 20, 200, 100,
+        -100, -50, 200, 100)).to.be.true;
+    });
+
+    it('keeps the ratio of the area when only one side is given', () => {
+      const source = createImage();
+      const canvas = drawCrop(source, RECT, { height: 50 });
+      expect([canvas.width, canvas.height]).to.deep.equal([100, 50]);
+    });
+
+    it('fills the canvas and masks round shapes', () => {
+      drawCrop(createImage(), RECT, { fillColor: '#fff', shape: 'circle' });
+      expect(context.ellipse.calledWith(100, 50, 100, 50)).to.be.true;
+      expect(context.clip.calledOnce).to.be.true;
+      expect(context.fillStyle).to.equal('#fff');
+      expect(context.fillRect.calledWith(0, 0, 200, 100)).to.be.true;
+    });
+
+    it('masks the canvas with a polygon', () => {
+      drawCrop(createImage(), RECT, { polygon: [[0, 0], [1, 0], [0, 1]] });
+      expect(context.lineTo.args).to.deep.equal([[0, 0], [200, 0], [0, 100]]);
+      expect(context.clip.calledOnce).to.be.true;
+    });
+
+    it('swaps the sides of an area turned a quarter', () => {
+      const transform = { rotate: 90, flipX: true, flipY: false };
+      expect(getAreaSize(RECT, transform)).to.deep.equal([100, 200]);
+      const canvas = drawCrop(createImage(), RECT, {}, transform);
+      expect([canvas.width, canvas.height]).to.deep.equal([100, 200]);
+      expect(context.scale.calledWith(-1, 1)).to.be.true;
+      expect(context.rotate.calledWith(Math.PI / 2)).to.be.true;
+    });
+
+    it('draws a rotated area upright', () => {
+      const source = createImage();
+      drawCrop(source, RECT, { angle: 90 });
+      expect(context.rotate.firstCall.args).to.deep.equal([-Math.PI / 2]);
+      expect(context.drawImage.calledWith(source, -110, -70)).to.be.true;
+    });
+
+  });
+
+  // The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+  // pixels of the 400x300 image, which is {x: 200, y: 150, width: 400,
+  // height: 300} in real pixels.
+  describe('export', () => {
+    let selection = null;
+    let blob = null;
+    const create = (options = {}, target = createImage()) => {
+      selection = new AreaSelection(target,
+        Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+      return selection;
+    };
+
+    beforeEach(() => {
+      blob = new Blob([]);
+      sinon.stub(HTMLCanvasElement.prototype, 'toDataURL')
+        .returns('data:image/jpeg;base64,');
+      sinon.stub(HTMLCanvasElement.prototype, 'toBlob')
+        .callsFake((callback) => { callback(blob); });
+    });
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      HTMLCanvasElement.prototype.toDataURL.restore();
+      HTMLCanvasElement.prototype.toBlob.restore();
+    });
+
+    it('draws the selection in natural pixels', () => {
+      create();
+      const canvas = selection.getCroppedCanvas();
+      expect([canvas.width, canvas.height]).to.deep.equal([400, 300]);
+      expect(context.drawImage.calledWith(selection.targetEl, 200, 150, 400, 300,
+        -200, -150, 400, 300)).to.be.true;
+    });
+
+    it('draws nothing without a selection', () => {
+      create({ shape: 'polygon' });
+      expect(selection.getCroppedCanvas()).to.be.null;
+      expect(selection.toDataURL()).to.be.null;
+    });
+
+    it('exports the selection as a data URL', () => {
+      create();
+      expect(selection.toDataURL('image/jpeg', 0.8)).to.equal('data:image/jpeg;base64,');
+      expect(HTMLCanvasElement.prototype.toDataURL.calledWith('image/jpeg', 0.8)).to.be.true;
+    });
+
+    it('exports the selection as a Blob', () => {
+      create();
+      return selection.toBlob().then((result) => {
+        expect(result).to.equal(blob);
+        expect(HTMLCanvasElement.prototype.toBlob.firstCall.args[1]).to.equal('image/png');
+      });
+    });
+
+    it('rejects when the canvas cannot be exported', () => {
+      blob = null;
+      create();
+      return selection.toBlob().then(() => {
+        throw new Error('Expected a rejection.');
+      }, (err) => {
+        expect(err.message).to.equal('Unable to export the crop region.');
+      });
+    });
+
+    it('rejects when there is nothing to export', () => {
+      create({ shape: 'polygon' });
+      return selection.toBlob().then(() => {
+        throw new Error('Expected a rejection.');
+      }, (err) => {
+        expect(err.message).to.equal('No crop region to export.');
+      });
+    });
+
+    it('captures the current frame of a video only', () => {
+      create();
+      expect(() => selection.captureFrame()).to.throw('Target is not a video element.');
+      selection.destroy();
+      create({}, createVideo());
+      const canvas = selection.captureFrame({ width: 200 });
+      expect([canvas.width, canvas.height]).to.deep.equal([200, 150]);
+    });
+
+  });
+
+});
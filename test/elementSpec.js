@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createImage, drag, cleanup } from './helpers/dom';
+import defineElement from '../src/element';
+
+describe('defineElement', () => {
+  const AreaSelectionElement = defineElement();
+
+  // Connects an element with an image, and resolves once it is ready
+  const connect = (el) => {
+    el.appendChild(createImage());
+    const ready = new Promise((resolve) => {
+      el.addEventListener('ready', e => resolve(e.detail));
+    });
+    document.body.appendChild(el);
+    return ready;
+  };
+
+  afterEach(cleanup);
+
+  it('defines the element once', () => {
+    expect(window.customElements.get('area-selection')).to.equal(AreaSelectionElement);
+    expect(defineElement()).to.equal(AreaSelectionElement);
+    expect(document.createElement('area-selection')).to.be.an.instanceof(AreaSelectionElement);
+  });
+
+  it('defines other tag names', () => {
+    const Other = defineElement('other-selection');
+    expect(Other).to.not.equal(AreaSelectionElement);
+    expect(window.customElements.get('other-selection')).to.equal(Other);
+  });
+
+  it('creates the instance on its image with the options', () => {
+    const el = document.createElement('area-selection');
+    el.options = { returnMode: 'raw', startSize: [50, 50] };
+    expect(el.instance).to.be.null;
+    return connect(el).then((instance) => {
+      expect(el.instance).to.equal(instance);
+      expect(el.value).to.deep.equal({
+        x: 100, y: 75, width: 200, height: 150,
+      });
+    });
+  });
+
+  it('creates an image when it has none', () => {
+    const el = document.createElement('area-selection');
+    el.setAttribute('src', 'image.png');
+    document.body.appendChild(el);
+    expect(el.instance).to.not.be.null;
+    expect(el.querySelector('img').getAttribute('src')).to.equal('image.png');
+  });
+
+  it('upgrades the properties set before it was defined', () => {
+    const el = document.createElement('late-selection');
+    el.options = { returnMode: 'raw' };
+    el.value = {
+      x: 10, y: 10, width: 50, height: 50,
+    };
+    defineElement('late-selection');
+    return connect(el).then(() => {
+      expect(el.value).to.deep.equal({
+        x: 10, y: 10, width: 50, height: 50,
+      });
+    });
+  });
+
+  it('dispatches the changes', () => {
+    const el = document.createElement('area-selection');
+    el.options = { returnMode: 'raw', startSize: [50, 50] };
+    const onChange = sinon.spy();
+    el.addEventListener('change', e => onChange(e.detail));
+    return connect(el).then((instance) => {
+      onChange.resetHistory();
+      drag(instance.regionEl, [[200, 150], [250, 100]]);
+      expect(onChange.calledOnceWith({
+        x: 150, y: 25, width: 200, height: 150,
+      })).to.be.true;
+    });
+  });
+
+  it('controls the selection with its value', () => {
+    const el = document.createElement('area-selection');
+    el.options = { returnMode: 'raw' };
+    return connect(el).then((instance) => {
+      el.value = {
+        x: 20, y: 30, width: 40, height: 50,
+      };
+      expect(instance.getValue()).to.deep.equal({
+        x: 20, y: 30, width: 40, height: 50,
+      });
+    });
+  });
+
+  it('sets the options as they change', () => {
+    const el = document.createElement('area-selection');
+    return connect(el).then((instance) => {
+      const setOptions = sinon.spy(instance, 'setOptions');
+      el.options = { aspectRatio: 1 };
+      expect(setOptions.calledOnce).to.be.true;
+      expect(instance.options.aspectRatio).to.equal(1);
+    });
+  });
+
+  it('sets the image of its src attribute', () => {
+    const el = document.createElement('area-selection');
+    return connect(el).then((instance) => {
+      const setImage = sinon.stub(instance, 'setImage').resolves(instance);
+      el.setAttribute('src', 'other.png');
+      expect(setImage.calledOnceWith('other.png')).to.be.true;
+    });
+  });
+
+  it('destroys the instance when it is removed', () => {
+    const el = document.createElement('area-selection');
+    return connect(el).then((instance) => {
+      const destroy = sinon.spy(instance, 'destroy');
+      document.body.removeChild(el);
+      expect(destroy.calledOnce).to.be.true;
+      expect(el.instance).to.be.null;
+      expect(el.querySelector('img')).to.not.be.null;
+    });
+  });
+
+});
@@ -0,0 +1,160 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createImage, pointer, cleanup } from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import Emitter from '../src/emitter';
+
+describe('emitter', () => {
+
+  describe('Emitter', () => {
+    let target = null;
+    let emitter = null;
+
+    beforeEach(() => {
+      target = {};
+      emitter = new Emitter(target);
+    });
+
+    it('calls the listeners in order with an event object', () => {
+      const first = sinon.spy();
+      const second = sinon.spy();
+      emitter.on('change', first).on('change', second);
+      const e = emitter.emit('change', { x: 1 });
+      expect(first.calledBefore(second)).to.be.true;
+      expect(first.calledOnceWith(e)).to.be.true;
+      expect(first.firstCall.thisValue).to.equal(target);
+      expect(e).to.include({
+        type: 'change', target, cancelable: false, defaultPrevented: false,
+      });
+      expect(e.detail).to.deep.equal({ x: 1 });
+    });
+
+    it('rejects listeners that are not functions', () => {
+      expect(() => emitter.on('change', null)).to.throw('Listener must be a function.');
+    });
+
+    it('removes a listener, the listeners of an event or all of them', () => {
+      const a = sinon.spy();
+      const b = sinon.spy();
+      const c = sinon.spy();
+      emitter.on('change', a).on('change', b).on('init', c);
+      emitter.off('change', a).emit('change');
+      expect(a.called).to.be.false;
+      expect(b.calledOnce).to.be.true;
+
+      emitter.off('change').emit('change');
+      expect(b.calledOnce).to.be.true;
+      emitter.emit('init');
+      expect(c.calledOnce).to.be.true;
+
+      emitter.off().emit('init');
+      expect(c.calledOnce).to.be.true;
+    });
+
+    it('calls a once listener a single time, unless it is removed first', () => {
+      const a = sinon.spy();
+      const b = sinon.spy();
+      emitter.once('change', a).once('change', b).off('change', b);
+      emitter.emit('change');
+      emitter.emit('change');
+      expect(a.calledOnce).to.be.true;
+      expect(b.called).to.be.false;
+    });
+
+    it('only lets the listeners cancel a cancelable event', () => {
+      emitter.on('change', e => e.preventDefault());
+      expect(emitter.emit('change').defaultPrevented).to.be.false;
+      expect(emitter.emit('change', null, true).defaultPrevented).to.be.true;
+    });
+
+  });
+
+  // The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+  // pixels of the 400x300 image.
+  describe('events', () => {
+    let selection = null;
+    const create = (options = {}) => {
+      selection = new AreaSelection(createImage(),
+        Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+      return selection;
+    };
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      cleanup();
+    });
+
+    it('emits init to the listeners added after the constructor', () => {
+      const onInit = sinon.spy();
+      create().on('init', onInit);
+      expect(onInit.called).to.be.false;
+      return selection.ready.then(() => {
+        expect(onInit.calledOnce).to.be.true;
+        expect(onInit.firstCall.args[0].detail).to.deep.equal({
+          x: 100, y: 75, width: 200, height: 150,
+        });
+      });
+    });
+
+    it('reviews a drag when it ends, not while it moves', () => {
+      const onBeforeChange = sinon.spy();
+      create().on('beforechange', onBeforeChange);
+      pointer('pointerdown', selection.regionEl, 200, 150);
+      pointer('pointermove', selection.regionEl, 210, 150);
+      pointer('pointermove', selection.regionEl, 220, 150);
+      expect(onBeforeChange.called).to.be.false;
+
+      pointer('pointerup', selection.regionEl, 220, 150);
+      expect(onBeforeChange.calledOnce).to.be.true;
+      const e = onBeforeChange.firstCall.args[0];
+      expect(e.cancelable).to.be.true;
+      expect(e.detail).to.deep.equal({
+        region: selection.regions[0].id,
+        value: {
+          x: 120, y: 75, width: 200, height: 150,
+        },
+        previous: {
+          x: 100, y: 75, width: 200, height: 150,
+        },
+      });
+    });
+
+    it('keeps the previous box when beforechange is canceled', () => {
+      const onChange = sinon.spy();
+      create().on('change', onChange);
+      selection.on('beforechange', e => e.preventDefault());
+      selection.moveTo(150, 25);
+      expect(selection.getValue()).to.deep.equal({
+        x: 100, y: 75, width: 200, height: 150,
+      });
+      expect(onChange.called).to.be.false;
+      expect(selection.canUndo()).to.be.false;
+    });
+
+    it('replaces the box with a modified value', () => {
+      create().on('beforechange', (e) => {
+        e.detail.value.x = Math.round(e.detail.value.x / 25) * 25;
+      });
+      selection.moveTo(137, 12);
+      expect(selection.getValue()).to.deep.equal({
+        x: 125, y: 12, width: 200, height: 150,
+      });
+      selection.undo();
+      expect(selection.getValue().x).to.equal(100);
+    });
+
+    it('fits a modified value to the boundary with the angle of the region', () => {
+      create({ rotatable: true }).setValue({
+        x: 100, y: 100, width: 200, height: 100, angle: 90,
+      });
+      selection.on('beforechange', (e) => { e.detail.value.y = 0; });
+      selection.moveTo(110, 100);
+      expect(selection.getValue()).to.include({
+        x: 110, y: 50, angle: 90,
+      });
+    });
+
+  });
+
+});
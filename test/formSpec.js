@@ -0,0 +1,202 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createImage, drag, cleanup } from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import { parseInput } from '../src/form';
+
+const VALUE = {
+  x: 10, y: 20, width: 100, height: 50,
+};
+const START = {
+  x: 0, y: 0, width: 50, height: 50,
+};
+// A PNG signature, enough to check the decoding
+const DATA_URL = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('form', () => {
+
+  describe('parseInput', () => {
+
+    it('takes the name alone', () => {
+      expect(parseInput('crop')).to.deep.equal({
+        name: 'crop',
+        format: 'json',
+        mode: null,
+        blob: null,
+        type: 'image/png',
+        quality: undefined,
+      });
+    });
+
+    it('takes the settings', () => {
+      expect(parseInput({
+        name: 'crop_', format: 'fields', mode: 'RATIO', blob: 'image', type: 'image/jpeg',
+      })).to.include({
+        name: 'crop_', format: 'fields', mode: 'ratio', blob: 'image', type: 'image/jpeg',
+      });
+    });
+
+    it('rejects invalid settings', () => {
+      expect(() => parseInput('')).to.throw('Invalid input.');
+      expect(() => parseInput(null)).to.throw('Invalid input.');
+      expect(() => parseInput({ name: 'crop', format: 'xml' })).to.throw('Invalid input format.');
+      expect(() => parseInput({ name: 'crop', mode: 'px' })).to.throw('Invalid return mode.');
+    });
+
+  });
+
+  describe('inputs', () => {
+    let selection = null;
+    let form = null;
+    const create = (options, html = '') => {
+      form = document.createElement('form');
+      form.innerHTML = html;
+      document.body.appendChild(form);
+      form.appendChild(createImage());
+      selection = new AreaSelection(form.querySelector('img'),
+        Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+      return selection;
+    };
+    const field = name => form.querySelector(`input[name="${name}"]`);
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      cleanup();
+    });
+
+    it('creates hidden inputs with the value', () => {
+      create({ input: 'crop' });
+      expect(field('crop').type).to.equal('hidden');
+      expect(JSON.parse(field('crop').value)).to.deep.equal({
+        x: 100, y: 75, width: 200, height: 150,
+      });
+
+      drag(selection.regionEl, [[200, 150], [250, 100]]);
+      expect(JSON.parse(field('crop').value)).to.deep.equal({
+        x: 150, y: 25, width: 200, height: 150,
+      });
+    });
+
+    it('writes the fields and strings formats in their mode', () => {
+      create({ input: { name: 'crop_', format: 'fields', mode: 'real' } });
+      expect(['x', 'y', 'width', 'height'].map(f => field(`crop_${f}`).value))
+        .to.deep.equal(['200', '150', '400', '300']);
+      selection.destroy();
+
+      create({ input: { name: 'crop', format: 'string' } });
+      expect(field('crop').value).to.equal('100,75,200,150');
+    });
+
+    it('removes the inputs it created', () => {
+      create({ input: 'crop' }, '<input name="other">');
+      selection.destroy();
+      selection = null;
+      expect(field('crop')).to.be.null;
+      expect(field('other')).to.not.be.null;
+    });
+
+    it('starts with the value of the inputs over startValue', () => {
+      create({ input: 'crop', startValue: START },
+        `<input name="crop" value='${JSON.stringify(VALUE)}'>`);
+      expect(selection.getValue()).to.deep.equal(VALUE);
+      expect(form.querySelectorAll('input')).to.have.lengthOf(1);
+    });
+
+    it('reads the inputs in their mode', () => {
+      create({ input: { name: 'crop_', format: 'fields', mode: 'ratio' }, startValue: START },
+        '<input name="crop_x" value="0.5"><input name="crop_y" value="0.5">'
+        + '<input name="crop_width" value="0.25"><input name="crop_height" value="0.25">');
+      expect(selection.getValue()).to.deep.equal({
+        x: 200, y: 150, width: 100, height: 75,
+      });
+    });
+
+    it('starts with startValue when the inputs are empty or invalid', () => {
+      create({ input: 'crop', startValue: START }, '<input name="crop" value="{x: 1}">');
+      expect(selection.getValue()).to.deep.equal(START);
+      selection.destroy();
+
+      create({ input: { name: 'crop', format: 'string' }, startValue: START },
+        '<input name="crop" value="1,2,3">');
+      expect(selection.getValue()).to.deep.equal(START);
+    });
+
+  });
+
+  describe('formdata', () => {
+    let selection = null;
+    let form = null;
+    const create = (input) => {
+      form = document.createElement('form');
+      document.body.appendChild(form);
+      form.appendChild(createImage());
+      selection = new AreaSelection(form.querySelector('img'), { input });
+      return selection;
+    };
+    // jsdom does not fire formdata events, so the event is dispatched as the
+    // FormData constructor would
+    const collect = () => {
+      const e = new Event('formdata');
+      e.formData = new FormData(form);
+      form.dispatchEvent(e);
+      return e.formData;
+    };
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      cleanup();
+    });
+
+    it('renders the image when the data is collected', () => {
+      create({ name: 'crop', blob: 'image' });
+      const toDataURL = sinon.stub(selection, 'toDataURL').returns(DATA_URL);
+      selection.setValue(VALUE);
+      expect(toDataURL.called).to.be.false;
+
+      const file = collect().get('image');
+      expect(toDataURL.calledOnceWith('image/png')).to.be.true;
+      expect(file).to.be.an.instanceof(Blob);
+      expect(file.name).to.equal('image.png');
+      expect(file.type).to.equal('image/png');
+      expect(file.size).to.equal(8);
+    });
+
+    it('renders the image in its type and quality', () => {
+      create({
+        name: 'crop', blob: 'image', type: 'image/jpeg', quality: 0.8,
+      });
+      const toDataURL = sinon.stub(selection, 'toDataURL')
+        .returns('data:image/jpeg;base64,/9j/');
+      expect(collect().get('image').name).to.equal('image.jpeg');
+      expect(toDataURL.calledOnceWith('image/jpeg', 0.8)).to.be.true;
+    });
+
+    it('leaves the image out when it cannot be rendered', () => {
+      create({ name: 'crop', blob: 'image' });
+      sinon.stub(selection, 'toDataURL').throws(new Error('The canvas is tainted.'));
+      const data = collect();
+      expect(data.get('image')).to.be.null;
+      expect(data.get('crop')).to.not.be.null;
+    });
+
+    it('adds no image without the blob setting', () => {
+      create('crop');
+      const toDataURL = sinon.spy(selection, 'toDataURL');
+      expect(collect().get('image')).to.be.null;
+      expect(toDataURL.called).to.be.false;
+    });
+
+    it('stops listening when destroyed', () => {
+      create({ name: 'crop', blob: 'image' });
+      const toDataURL = sinon.stub(selection, 'toDataURL').returns(DATA_URL);
+      selection.destroy();
+      selection = null;
+      expect(collect().get('image')).to.be.null;
+      expect(toDataURL.called).to.be.false;
+    });
+
+  });
+
+});
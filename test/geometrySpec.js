@@ -0,0 +1,175 @@
+import { expect } from 'chai';
+import {
+  Box, parseOptions, getBoundary, initialBox, moveBox, isValidBox, resizeBox,
+} from '../src/geometry';
+
+const SPACE = {
+  width: 400, height: 300, naturalWidth: 800, naturalHeight: 600,
+};
+const coords = box => [box.x1, box.y1, box.x2, box.y2];
+
+describe('geometry', () => {
+
+  describe('parseOptions', () => {
+
+    it('defaults to a free box of the whole space', () => {
+      expect(parseOptions()).to.deep.equal({
+        aspectRatio: null,
+        aspectRatios: null,
+        shape: 'rect',
+        minSize: { width: null, height: null, unit: 'px' },
+        maxSize: { width: null, height: null, unit: 'px' },
+        startSize: { width: 100, height: 100, unit: '%' },
+        bounds: null,
+      });
+    });
+
+    it('accepts parsed options', () => {
+      const parsed = parseOptions({
+        aspectRatio: '16:9',
+        minSize: [10, 10],
+        bounds: {
+          x: 0, y: 0, width: 50, height: 50,
+        },
+      });
+      expect(parsed.aspectRatio).to.equal(16 / 9);
+      expect(parseOptions(parsed)).to.deep.equal(parsed);
+    });
+
+    it('rejects invalid sizes and bounds', () => {
+      expect(() => parseOptions({ maxSize: [10, 10, 'em'] })).to.throw('Invalid size unit.');
+      expect(() => parseOptions({ bounds: { x: 0, y: 0 } })).to.throw('Invalid bounds.');
+    });
+
+    it('rejects unknown shapes', () => {
+      expect(() => parseOptions({ shape: 'star' })).to.throw('Invalid shape.');
+      expect(parseOptions({ shape: 'polygon' }).shape).to.equal('polygon');
+    });
+
+  });
+
+  describe('getBoundary', () => {
+
+    it('resolves the bounds within the space', () => {
+      const options = parseOptions({
+        bounds: {
+          x: 50, y: 50, width: 100, height: 100, unit: '%',
+        },
+      });
+      expect(getBoundary(options, SPACE))
+        .to.deep.equal({
+          x: 200, y: 150, width: 200, height: 150,
+        });
+    });
+
+    it('scales real bounds to the displayed size', () => {
+      const options = parseOptions({
+        bounds: {
+          x: 100, y: 100, width: 200, height: 200, unit: 'real',
+        },
+      });
+      expect(getBoundary(options, SPACE)).to.deep.equal({
+        x: 50, y: 50, width: 100, height: 100,
+      });
+    });
+
+  });
+
+  describe('initialBox', () => {
+
+    it('centers the start size in the boundary', () => {
+      const box = initialBox(parseOptions({ startSize: [50, 50] }), SPACE);
+      expect(coords(box)).to.deep.equal([100, 75, 300, 225]);
+    });
+
+  });
+
+  describe('moveBox', () => {
+
+    it('moves a copy of the box within the boundary', () => {
+      const box = new Box(100, 100, 200, 200);
+      const moved = moveBox(box, [500, -500], parseOptions(), SPACE);
+      expect(coords(moved)).to.deep.equal([300, 0, 400, 100]);
+      expect(coords(box)).to.deep.equal([100, 100, 200, 200]);
+    });
+
+  });
+
+  describe('isValidBox', () => {
+
+    it('checks the ratio and the boundary', () => {
+      const options = parseOptions({ aspectRatio: 1 });
+      expect(isValidBox(new Box(0, 0, 100, 100), options, SPACE)).to.be.true;
+      expect(isValidBox(new Box(0, 0, 100, 50), options, SPACE)).to.be.false;
+      expect(isValidBox(new Box(350, 0, 450, 100), options, SPACE)).to.be.false;
+    });
+
+    it('tolerates rounding errors', () => {
+      const options = parseOptions({ aspectRatio: 1 });
+      expect(isValidBox(new Box(0, 0, 100, 100.4), options, SPACE, 0, 0.5)).to.be.true;
+    });
+
+  });
+
+  describe('resizeBox', () => {
+    const box = new Box(100, 100, 200, 200);
+
+    it('moves the sides of the handle', () => {
+      expect(coords(resizeBox(box, 'se', [300, 250], parseOptions(), SPACE)))
+        .to.deep.equal([100, 100, 300, 250]);
+      expect(coords(resizeBox(box, 'n', [0, 50], parseOptions(), SPACE)))
+        .to.deep.equal([100, 50, 200, 200]);
+      expect(coords(box)).to.deep.equal([100, 100, 200, 200]);
+    });
+
+    it('keeps the handle within the boundary', () => {
+      expect(coords(resizeBox(box, 'se', [1000, 1000], parseOptions(), SPACE)))
+        .to.deep.equal([100, 100, 400, 300]);
+    });
+
+    it('flips when dragged past the opposite corner', () => {
+      expect(coords(resizeBox(box, 'se', [50, 60], parseOptions(), SPACE)))
+        .to.deep.equal([50, 60, 100, 100]);
+    });
+
+    it('flips when dragged past the opposite side', () => {
+      expect(coords(resizeBox(box, 'w', [250, 0], parseOptions(), SPACE)))
+        .to.deep.equal([200, 100, 250, 200]);
+      expect(coords(resizeBox(box, 's', [0, 20], parseOptions(), SPACE)))
+        .to.deep.equal([100, 20, 200, 100]);
+    });
+
+    it('keeps the ratio from the flipped origin', () => {
+      const options = parseOptions({ aspectRatio: 1 });
+      expect(coords(resizeBox(box, 'se', [50, 80], options, SPACE)))
+        .to.deep.equal([50, 50, 100, 100]);
+    });
+
+    it('keeps the ratio of the drag', () => {
+      const resized = resizeBox(new Box(100, 100, 200, 150), 'se', [300, 300],
+        parseOptions(), SPACE, { ratio: 2 });
+      expect(coords(resized)).to.deep.equal([100, 100, 400, 250]);
+    });
+
+    it('keeps the minimum size', () => {
+      const options = parseOptions({ minSize: [50, 50] });
+      expect(coords(resizeBox(box, 'se', [110, 110], options, SPACE)))
+        .to.deep.equal([100, 100, 150, 150]);
+    });
+
+    it('resizes rotated boxes in their frame', () => {
+      // Turned a quarter, the east handle points down and the top stays
+      const resized = resizeBox(box, 'e', [150, 250], parseOptions(), SPACE, { angle: 90 });
+      [75, 125, 225, 225].forEach((v, i) => expect(coords(resized)[i]).to.be.closeTo(v, 1e-9));
+      [100, 100, 200, 250].forEach((v, i) => (
+        expect(coords(resized.getRotatedBounds(90))[i]).to.be.closeTo(v, 1e-9)
+      ));
+    });
+
+    it('rejects unknown handles', () => {
+      expect(() => resizeBox(box, 'up', [0, 0], parseOptions(), SPACE)).to.throw('Invalid handle.');
+    });
+
+  });
+
+});
@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import { createImage, cleanup } from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+
+// The image is displayed at 400x300, from a natural size of 800x600
+const VALUE = {
+  x: 50, y: 60, width: 100, height: 120,
+};
+
+describe('getValue', () => {
+  let selection = null;
+  const create = (options = {}) => {
+    selection = new AreaSelection(createImage(), options);
+    return selection;
+  };
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    cleanup();
+  });
+
+  it('defaults to the start size in real pixels', () => {
+    expect(create().getValue()).to.deep.equal({
+      x: 0, y: 0, width: 800, height: 600,
+    });
+    selection.destroy();
+    expect(create({ startSize: [50, 50] }).getValue())
+      .to.deep.equal({
+        x: 200, y: 150, width: 400, height: 300,
+      });
+  });
+
+  it('calculates each mode', () => {
+    create().setValue(VALUE, 'raw');
+    expect(selection.getValue('raw')).to.deep.equal(VALUE);
+    expect(selection.getValue('real')).to.deep.equal({
+      x: 100, y: 120, width: 200, height: 240,
+    });
+    expect(selection.getValue('ratio')).to.deep.equal({
+      x: 0.125, y: 0.2, width: 0.25, height: 0.4,
+    });
+  });
+
+  it('uses the return mode', () => {
+    create({ returnMode: 'ratio', startValue: Object.assign({ mode: 'raw' }, VALUE) });
+    expect(selection.getValue()).to.deep.equal({
+      x: 0.125, y: 0.2, width: 0.25, height: 0.4,
+    });
+  });
+
+  it('rounds the values', () => {
+    create().setValue({
+      x: 10.4, y: 10.6, width: 100.5, height: 33.333,
+    }, 'raw');
+    expect(selection.getValue('raw')).to.deep.equal({
+      x: 10, y: 11, width: 101, height: 33,
+    });
+    expect(selection.getValue('ratio')).to.deep.equal({
+      x: 0.026, y: 0.035, width: 0.251, height: 0.111,
+    });
+  });
+
+  it('includes the shape', () => {
+    create({ shape: 'circle' }).setValue({
+      x: 0, y: 0, width: 100, height: 100,
+    }, 'raw');
+    expect(selection.getValue('raw')).to.deep.equal({
+      x: 0, y: 0, width: 100, height: 100, shape: 'circle',
+    });
+  });
+
+  it('includes the center and angle of rotated regions', () => {
+    create({ rotatable: true }).setValue(VALUE, 'raw');
+    expect(selection.getValue('raw')).to.deep.equal(Object.assign({
+      center: { x: 100, y: 120 }, angle: 0,
+    }, VALUE));
+    selection.rotateSelection(30);
+    expect(selection.getValue('ratio')).to.include({ angle: 30 });
+  });
+
+  it('keeps the real value of a transformed target', () => {
+    create().setValue(VALUE, 'raw');
+    selection.flipHorizontal();
+    expect(selection.getValue('raw')).to.deep.equal({
+      x: 250, y: 60, width: 100, height: 120,
+    });
+    expect(selection.getValue('real')).to.deep.equal({
+      x: 100,
+      y: 120,
+      width: 200,
+      height: 240,
+      transform: { rotate: 0, flipX: true, flipY: false },
+    });
+  });
+
+  it('lists the regions with their ids', () => {
+    create({ multiple: true, startSize: [50, 50] });
+    selection.addRegion(Object.assign({ mode: 'raw' }, VALUE));
+    expect(selection.getValue('raw')).to.deep.equal([
+      {
+        id: 1, x: 100, y: 75, width: 200, height: 150,
+      },
+      Object.assign({ id: 2 }, VALUE),
+    ]);
+  });
+
+  it('describes polygons by their points', () => {
+    create({ shape: 'polygon' });
+    expect(selection.getValue()).to.be.null;
+    selection.setValue({ points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }] }, 'raw');
+    expect(selection.getValue('raw')).to.deep.equal({
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 50,
+      shape: 'polygon',
+      closed: true,
+      points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }],
+    });
+  });
+
+  it('rejects unknown modes', () => {
+    create();
+    expect(() => selection.setValue(VALUE, 'pixels')).to.throw('Invalid value mode.');
+  });
+
+});
@@ -0,0 +1,188 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Emulates the browser for the specs. jsdom has no layout, so elements are
+ * as large as their inline style, or as the target by default, and animation
+ * frames only run when they are flushed: the specs check the values, and
+ * draw only to check the drawing.
+ */
+
+export const WIDTH = 400;
+export const HEIGHT = 300;
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', {
+  pretendToBeVisual: true,
+});
+const { window } = dom;
+const { document } = window;
+
+global.window = window;
+['document', 'navigator', 'Event', 'CustomEvent', 'MouseEvent', 'KeyboardEvent',
+  'Node', 'Element', 'HTMLElement', 'HTMLCanvasElement', 'Blob', 'FormData',
+  'atob'].forEach((key) => {
+  global[key] = window[key];
+});
+
+// Animation frames
+let frameId = 0;
+let frames = {};
+window.requestAnimationFrame = (callback) => {
+  frameId += 1;
+  frames[frameId] = callback;
+  return frameId;
+};
+window.cancelAnimationFrame = (id) => {
+  delete frames[id];
+};
+
+// Layout
+const proto = window.HTMLElement.prototype;
+Object.defineProperty(proto, 'offsetWidth', {
+  get() { return parseFloat(this.style.width) || WIDTH; },
+});
+Object.defineProperty(proto, 'offsetHeight', {
+  get() { return parseFloat(this.style.height) || HEIGHT; },
+});
+proto.getBoundingClientRect = function getBoundingClientRect() {
+  let [width, height, left, top] = [this.offsetWidth, this.offsetHeight, 0, 0];
+  if (/rotate\((90|270)deg/.test(this.style.transform)) {
+    [width, height] = [height, width];
+  }
+
+  // Apply the zoom of the element and its ancestors
+  for (let el = this; el; el = el.parentElement) {
+    const match = /translate\(([-\d.e]+)px, ([-\d.e]+)px\) scale\(([\d.e]+)\)/
+      .exec(el.style.transform);
+    if (match) {
+      const [x, y, level] = match.slice(1).map(Number);
+      [width, height] = [width * level, height * level];
+      [left, top] = [(left * level) + x, (top * level) + y];
+    }
+  }
+  return {
+    left, top, width, height, right: left + width, bottom: top + height,
+  };
+};
+
+/**
+ * Creates an image in the document, as if it were loaded.
+ * @param {Object} [size]
+ * @param {Number} [size.width] The displayed width.
+ * @param {Number} [size.height] The displayed height.
+ * @param {Number} [size.naturalWidth] Defaults to twice the width.
+ * @param {Number} [size.naturalHeight] Defaults to twice the height.
+ * @returns {Element}
+ */
+export function createImage({
+  width = WIDTH, height = HEIGHT, naturalWidth = width * 2,
+  naturalHeight = height * 2,
+} = {}) {
+  const img = document.createElement('img');
+  const sizes = {
+    width, height, naturalWidth, naturalHeight,
+  };
+  Object.keys(sizes).forEach((key) => {
+    Object.defineProperty(img, key, { get: () => sizes[key] });
+  });
+  document.body.appendChild(img);
+  return img;
+}
+
+/**
+ * Creates a video in the document, paused at its start with its metadata
+ * loaded. Its currentTime and paused can be set to emulate playback.
+ * @param {Object} [size] As for createImage, with the natural size as the
+ *      videoWidth and videoHeight.
+ * @returns {Element}
+ */
+export function createVideo({
+  width = WIDTH, height = HEIGHT, videoWidth = width * 2,
+  videoHeight = height * 2,
+} = {}) {
+  const video = document.createElement('video');
+  const state = {
+    width,
+    height,
+    videoWidth,
+    videoHeight,
+    readyState: 1,
+    currentTime: 0,
+    paused: true,
+    ended: false,
+  };
+  Object.keys(state).forEach((key) => {
+    Object.defineProperty(video, key, {
+      get: () => state[key],
+      set: (value) => { state[key] = value; },
+    });
+  });
+  document.body.appendChild(video);
+  return video;
+}
+
+/**
+ * Dispatches a pointer event. jsdom has no PointerEvent, so it is a mouse
+ * event with a pointer id.
+ * @param {String} type
+ * @param {Element} element
+ * @param {Number} x The client x coordinate.
+ * @param {Number} y The client y coordinate.
+ * @param {Object} [init] The pointerId, which defaults to 1, and the
+ *      modifier keys.
+ * @returns {Event}
+ */
+export function pointer(type, element, x, y, init = {}) {
+  const e = new window.MouseEvent(type, Object.assign({
+    bubbles: true, cancelable: true, clientX: x, clientY: y,
+  }, init));
+  Object.defineProperty(e, 'pointerId', { value: init.pointerId || 1 });
+  element.dispatchEvent(e);
+  return e;
+}
+
+/**
+ * Drags a pointer over an element, through each of the points. Without
+ * pointer capture, all of the events are dispatched to the element.
+ * @param {Element} element
+ * @param {Array} points The [x, y] client coordinates, from the first.
+ * @param {Object} [init] As for pointer.
+ */
+export function drag(element, points, init = {}) {
+  const [first, ...rest] = points;
+  const last = points[points.length - 1];
+  pointer('pointerdown', element, first[0], first[1], init);
+  rest.forEach(([x, y]) => pointer('pointermove', element, x, y, init));
+  pointer('pointerup', element, last[0], last[1], init);
+}
+
+/**
+ * Dispatches a keydown event.
+ * @param {Element} element
+ * @param {String} key
+ * @param {Object} [init] The modifier keys.
+ * @returns {Event}
+ */
+export function keydown(element, key, init = {}) {
+  const e = new window.KeyboardEvent('keydown', Object.assign({
+    bubbles: true, cancelable: true, key,
+  }, init));
+  element.dispatchEvent(e);
+  return e;
+}
+
+/**
+ * Runs the pending animation frames, as the next frame would.
+ */
+export function flushFrames() {
+  const callbacks = Object.keys(frames).map(id => frames[id]);
+  frames = {};
+  callbacks.forEach(callback => callback(Date.now()));
+}
+
+/**
+ * Empties the document and drops the pending animation frames.
+ */
+export function cleanup() {
+  document.body.innerHTML = '';
+  frames = {};
+}
@@ -0,0 +1,154 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  createImage, drag, keydown, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import History from '../src/history';
+
+describe('history', () => {
+
+  describe('History', () => {
+
+    it('undoes and redoes the snapshots', () => {
+      const history = new History().reset(1);
+      expect(history.push(2)).to.be.true;
+      expect(history.push(3)).to.be.true;
+      expect(history.undo()).to.equal(2);
+      expect(history.undo()).to.equal(1);
+      expect(history.undo()).to.be.null;
+      expect(history.redo()).to.equal(2);
+      expect(history.canUndo()).to.be.true;
+      expect(history.canRedo()).to.be.true;
+    });
+
+    it('does not record a snapshot equal to the current one', () => {
+      const history = new History().reset({ x: 1 });
+      expect(history.push({ x: 1 })).to.be.false;
+      expect(history.canUndo()).to.be.false;
+    });
+
+    it('clears the snapshots to redo when one is recorded', () => {
+      const history = new History().reset(1);
+      history.push(2);
+      history.undo();
+      history.push(3);
+      expect(history.canRedo()).to.be.false;
+      expect(history.undo()).to.equal(1);
+    });
+
+    it('keeps the last snapshots within the limit', () => {
+      const history = new History(2).reset(1);
+      [2, 3, 4].forEach(n => history.push(n));
+      expect(history.undo()).to.equal(3);
+      expect(history.undo()).to.equal(2);
+      expect(history.canUndo()).to.be.false;
+    });
+
+  });
+
+  // The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+  // pixels of the 400x300 image.
+  describe('AreaSelection', () => {
+    let selection = null;
+    const create = (options = {}) => {
+      selection = new AreaSelection(createImage(),
+        Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+      return selection;
+    };
+    const START = {
+      x: 100, y: 75, width: 200, height: 150,
+    };
+    const MOVED = {
+      x: 150, y: 25, width: 200, height: 150,
+    };
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      cleanup();
+    });
+
+    it('starts with nothing to undo', () => {
+      create();
+      expect(selection.canUndo()).to.be.false;
+      expect(selection.canRedo()).to.be.false;
+      expect(selection.undo()).to.equal(selection);
+      expect(selection.getValue()).to.deep.equal(START);
+    });
+
+    it('undoes and redoes a drag as one change', () => {
+      const onSelectEnd = sinon.spy();
+      const onChange = sinon.spy();
+      create({ onSelectEnd }).on('change', onChange);
+      drag(selection.regionEl, [[200, 150], [220, 140], [250, 100]]);
+      onSelectEnd.resetHistory();
+      onChange.resetHistory();
+
+      selection.undo();
+      expect(selection.getValue()).to.deep.equal(START);
+      expect(selection.canUndo()).to.be.false;
+      expect(onSelectEnd.calledOnceWith(START)).to.be.true;
+      expect(onChange.firstCall.args[0].detail).to.deep.equal(START);
+
+      selection.redo();
+      expect(selection.getValue()).to.deep.equal(MOVED);
+      expect(selection.canRedo()).to.be.false;
+    });
+
+    it('records the changes made through the methods', () => {
+      create();
+      selection.moveTo(0, 0);
+      selection.resizeTo(100, 100, [0, 0]);
+      selection.undo();
+      expect(selection.getValue()).to.deep.equal({
+        x: 0, y: 0, width: 200, height: 150,
+      });
+      selection.undo();
+      expect(selection.getValue()).to.deep.equal(START);
+    });
+
+    it('reports the state of the history', () => {
+      const onHistoryChange = sinon.spy();
+      create({ onHistoryChange });
+      selection.moveTo(0, 0);
+      expect(onHistoryChange.lastCall.args[0])
+        .to.deep.equal({ canUndo: true, canRedo: false });
+      selection.undo();
+      expect(onHistoryChange.lastCall.args[0])
+        .to.deep.equal({ canUndo: false, canRedo: true });
+      expect(onHistoryChange.callCount).to.equal(2);
+    });
+
+    it('keeps the changes within the limit', () => {
+      create({ historyLimit: 1 });
+      selection.moveTo(0, 0);
+      selection.moveTo(10, 10);
+      selection.undo();
+      expect(selection.canUndo()).to.be.false;
+      expect(selection.getValue()).to.include({ x: 0, y: 0 });
+    });
+
+    it('undoes and redoes with the keyboard shortcuts', () => {
+      create({ historyKeys: true });
+      selection.moveTo(0, 0);
+      const e = keydown(selection.regionEl, 'z', { ctrlKey: true });
+      expect(e.defaultPrevented).to.be.true;
+      expect(selection.getValue()).to.deep.equal(START);
+      keydown(selection.regionEl, 'Z', { metaKey: true, shiftKey: true });
+      expect(selection.getValue()).to.include({ x: 0, y: 0 });
+      keydown(selection.regionEl, 'z', { ctrlKey: true });
+      keydown(selection.regionEl, 'y', { ctrlKey: true });
+      expect(selection.getValue()).to.include({ x: 0, y: 0 });
+    });
+
+    it('ignores the keyboard shortcuts unless they are enabled', () => {
+      create();
+      selection.moveTo(0, 0);
+      keydown(selection.regionEl, 'z', { ctrlKey: true });
+      expect(selection.getValue()).to.include({ x: 0, y: 0 });
+    });
+
+  });
+
+});
@@ -0,0 +1,200 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  createImage, pointer, drag, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+
+// The image is displayed at 400x300 at the top left of the page, so that
+// client coordinates are raw coordinates. The start size puts the region at
+// {x: 100, y: 75, width: 200, height: 150}.
+describe('interaction', () => {
+  let selection = null;
+  const create = (options = {}) => {
+    selection = new AreaSelection(createImage(),
+      Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+    return selection;
+  };
+  const handle = direction => selection.handles
+    .filter(h => h.direction === direction)[0].el;
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    cleanup();
+  });
+
+  describe('Handle', () => {
+
+    it('resizes the region and reports the drag', () => {
+      const onSelectStart = sinon.spy();
+      const onSelectMove = sinon.spy();
+      const onSelectEnd = sinon.spy();
+      const onChange = sinon.spy();
+      create({ onSelectStart, onSelectMove, onSelectEnd }).on('change', onChange);
+
+      drag(handle('se'), [[300, 225], [320, 240], [350, 275]]);
+      const value = {
+        x: 100, y: 75, width: 250, height: 200,
+      };
+      expect(selection.getValue()).to.deep.equal(value);
+      expect(onSelectStart.calledOnce).to.be.true;
+      expect(onSelectMove.callCount).to.equal(2);
+      expect(onSelectEnd.calledOnceWith(value)).to.be.true;
+      expect(onChange.calledOnce).to.be.true;
+      expect(onChange.firstCall.args[0].detail).to.deep.equal(value);
+    });
+
+    it('moves only the side of an edge handle', () => {
+      create();
+      drag(handle('n'), [[200, 75], [260, 25]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 100, y: 25, width: 200, height: 200,
+      });
+    });
+
+    it('flips the region when dragged past the opposite corner', () => {
+      create();
+      drag(handle('se'), [[300, 225], [50, 25]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 50, y: 25, width: 50, height: 50,
+      });
+    });
+
+    it('stays within the boundary', () => {
+      create();
+      drag(handle('nw'), [[100, 75], [-50, -50]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 0, y: 0, width: 300, height: 225,
+      });
+    });
+
+    it('keeps the aspect ratio', () => {
+      create({ aspectRatio: 1, startSize: [100, 100, 'px'] });
+      drag(handle('se'), [[250, 200], [350, 220]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 150, y: 100, width: 200, height: 200,
+      });
+    });
+
+    it('keeps the ratio of the region while Shift is held', () => {
+      create();
+      drag(handle('se'), [[300, 225], [400, 250]], { shiftKey: true });
+      const { width, height } = selection.getValue();
+      expect(width / height).to.be.closeTo(4 / 3, 0.01);
+      expect(width).to.equal(300);
+    });
+
+    it('ignores other pointers during a drag', () => {
+      create();
+      const el = handle('se');
+      pointer('pointerdown', el, 300, 225);
+      pointer('pointermove', el, 50, 50, { pointerId: 2 });
+      pointer('pointermove', el, 320, 245);
+      pointer('pointerup', el, 0, 0, { pointerId: 2 });
+      pointer('pointercancel', el, 320, 245);
+      expect(selection.getValue()).to.deep.equal({
+        x: 100, y: 75, width: 220, height: 170,
+      });
+      pointer('pointermove', el, 390, 290);
+      expect(selection.getValue()).to.deep.equal({
+        x: 100, y: 75, width: 220, height: 170,
+      });
+    });
+
+  });
+
+  describe('region', () => {
+
+    it('moves the region', () => {
+      const onSelectEnd = sinon.spy();
+      create({ onSelectEnd });
+      drag(selection.regionEl, [[200, 150], [220, 160], [250, 100]]);
+      const value = {
+        x: 150, y: 25, width: 200, height: 150,
+      };
+      expect(selection.getValue()).to.deep.equal(value);
+      expect(onSelectEnd.calledOnceWith(value)).to.be.true;
+    });
+
+    it('stays within the boundary', () => {
+      create();
+      drag(selection.regionEl, [[200, 150], [700, 650]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 200, y: 150, width: 200, height: 150,
+      });
+    });
+
+    it('records a single change in the history', () => {
+      create();
+      drag(selection.regionEl, [[200, 150], [210, 150], [220, 150]]);
+      expect(selection.canUndo()).to.be.true;
+      selection.undo();
+      expect(selection.getValue()).to.deep.equal({
+        x: 100, y: 75, width: 200, height: 150,
+      });
+      expect(selection.canUndo()).to.be.false;
+    });
+
+  });
+
+  describe('overlay', () => {
+
+    it('draws a new selection', () => {
+      create();
+      drag(selection.overlayEl, [[10, 20], [40, 30], [60, 70]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 10, y: 20, width: 50, height: 50,
+      });
+    });
+
+    it('draws the selection in any direction', () => {
+      create();
+      drag(selection.overlayEl, [[60, 70], [10, 20]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 10, y: 20, width: 50, height: 50,
+      });
+    });
+
+    it('keeps the selection after a click', () => {
+      const onChange = sinon.spy();
+      create().on('change', onChange);
+      drag(selection.overlayEl, [[10, 20]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 100, y: 75, width: 200, height: 150,
+      });
+      expect(onChange.called).to.be.false;
+    });
+
+    it('tells a click from a drag by the distance of the pointer', () => {
+      create({ minSize: [20, 20, 'px'], aspectRatio: 2 });
+      const value = selection.getValue();
+      drag(selection.overlayEl, [[10, 20], [12, 22]]);
+      expect(selection.getValue()).to.deep.equal(value);
+
+      drag(selection.overlayEl, [[10, 20], [14, 20]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 10, y: 20, width: 40, height: 20,
+      });
+    });
+
+    it('adds regions with the multiple option', () => {
+      create({ multiple: true });
+      drag(selection.overlayEl, [[10, 20], [60, 70]]);
+      expect(selection.getValue()).to.deep.equal([
+        {
+          id: 1, x: 100, y: 75, width: 200, height: 150,
+        },
+        {
+          id: 2, x: 10, y: 20, width: 50, height: 50,
+        },
+      ]);
+      expect(selection.getActiveRegion()).to.equal(2);
+
+      drag(selection.overlayEl, [[350, 250]]);
+      expect(selection.getValue()).to.have.length(2);
+    });
+
+  });
+
+});
@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createImage, keydown, cleanup } from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+
+// The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+// pixels of the 400x300 image.
+describe('keyboard', () => {
+  let selection = null;
+  const create = (options = {}) => {
+    selection = new AreaSelection(createImage(),
+      Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+    return selection;
+  };
+  const handle = direction => selection.handles
+    .filter(h => h.direction === direction)[0].el;
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    cleanup();
+  });
+
+  it('makes the region and its handles focusable', () => {
+    create();
+    expect(selection.regionEl.tabIndex).to.equal(0);
+    selection.handles.forEach(h => expect(h.el.tabIndex).to.equal(0));
+  });
+
+  it('moves the region with the arrow keys', () => {
+    create();
+    const e = keydown(selection.regionEl, 'ArrowRight');
+    keydown(selection.regionEl, 'Up');
+    expect(e.defaultPrevented).to.be.true;
+    expect(selection.getValue()).to.deep.equal({
+      x: 101, y: 74, width: 200, height: 150,
+    });
+  });
+
+  it('uses the large step with Ctrl or Cmd', () => {
+    create({ keyboardStep: 5 });
+    keydown(selection.regionEl, 'ArrowLeft', { ctrlKey: true });
+    keydown(selection.regionEl, 'ArrowDown', { metaKey: true });
+    expect(selection.getValue()).to.deep.equal({
+      x: 50, y: 125, width: 200, height: 150,
+    });
+  });
+
+  it('resizes the region from its bottom right corner with Shift', () => {
+    create();
+    keydown(selection.regionEl, 'ArrowRight', { shiftKey: true });
+    keydown(selection.regionEl, 'ArrowUp', { shiftKey: true });
+    expect(selection.getValue()).to.deep.equal({
+      x: 100, y: 75, width: 201, height: 149,
+    });
+  });
+
+  it('resizes the region from a focused handle', () => {
+    create();
+    keydown(handle('w'), 'ArrowLeft');
+    keydown(handle('n'), 'ArrowDown', { ctrlKey: true });
+    expect(selection.getValue()).to.deep.equal({
+      x: 99, y: 85, width: 201, height: 140,
+    });
+  });
+
+  it('keeps the region within the boundary', () => {
+    create({
+      startValue: {
+        x: 0, y: 0, width: 50, height: 50,
+      },
+    });
+    keydown(selection.regionEl, 'ArrowLeft');
+    keydown(handle('n'), 'ArrowUp');
+    expect(selection.getValue()).to.deep.equal({
+      x: 0, y: 0, width: 50, height: 50,
+    });
+  });
+
+  it('calls the callbacks once per key press', () => {
+    const onSelectStart = sinon.spy();
+    const onSelectMove = sinon.spy();
+    const onSelectEnd = sinon.spy();
+    create({ onSelectStart, onSelectMove, onSelectEnd });
+    keydown(selection.regionEl, 'ArrowRight');
+    keydown(handle('se'), 'ArrowRight');
+    expect(onSelectStart.callCount).to.equal(2);
+    expect(onSelectMove.callCount).to.equal(2);
+    expect(onSelectEnd.callCount).to.equal(2);
+    expect(onSelectEnd.lastCall.args[0]).to.deep.equal({
+      x: 101, y: 75, width: 201, height: 150,
+    });
+  });
+
+  it('ignores the other keys and Alt', () => {
+    create();
+    const e = keydown(selection.regionEl, 'a');
+    keydown(selection.regionEl, 'ArrowRight', { altKey: true });
+    expect(e.defaultPrevented).to.be.false;
+    expect(selection.getValue()).to.deep.equal({
+      x: 100, y: 75, width: 200, height: 150,
+    });
+  });
+
+});
@@ -0,0 +1,142 @@
+import { expect } from 'chai';
+import {
+  createVideo, drag, flushFrames, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import Keyframes from '../src/keyframes';
+
+const FROM = {
+  x: 0, y: 0, width: 100, height: 100,
+};
+const TO = {
+  x: 200, y: 100, width: 100, height: 100,
+};
+
+describe('keyframes', () => {
+
+  describe('Keyframes', () => {
+
+    it('sorts the keyframes by time and replaces a keyframe at the same time', () => {
+      const keyframes = new Keyframes().set(4, TO).set(0, TO).set(0, FROM);
+      expect(keyframes.size).to.equal(2);
+      expect(keyframes.frames.map(frame => frame.time)).to.deep.equal([0, 4]);
+      expect(keyframes.get(0)).to.equal(FROM);
+    });
+
+    it('interpolates between the keyframes and holds the values outside of them', () => {
+      const keyframes = new Keyframes();
+      expect(keyframes.get(1)).to.be.null;
+      keyframes.set(2, FROM).set(6, TO);
+      expect(keyframes.get(0)).to.equal(FROM);
+      expect(keyframes.get(3)).to.deep.equal({
+        x: 50, y: 25, width: 100, height: 100,
+      });
+      expect(keyframes.get(9)).to.equal(TO);
+    });
+
+    it('removes the keyframes', () => {
+      const keyframes = new Keyframes().set(0, FROM).set(4, TO);
+      expect(keyframes.remove(0).size).to.equal(1);
+      expect(keyframes.clear().size).to.equal(0);
+    });
+
+  });
+
+  // The video is 400x300, and 800x600 real pixels
+  describe('video', () => {
+    let selection = null;
+    let video = null;
+    const create = () => {
+      video = createVideo();
+      selection = new AreaSelection(video, { startSize: [50, 50], returnMode: 'raw' });
+      selection.addKeyframe(0, FROM).addKeyframe(4, TO);
+      return selection;
+    };
+    const seek = (time) => {
+      video.currentTime = time;
+      video.dispatchEvent(new Event('seeked'));
+    };
+    const times = () => selection.getKeyframes().map(frame => frame.time);
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      video = null;
+      cleanup();
+    });
+
+    it('returns the keyframes of the active region in each mode', () => {
+      create();
+      expect(selection.getKeyframes()).to.deep.equal([
+        Object.assign({ time: 0 }, FROM),
+        Object.assign({ time: 4 }, TO),
+      ]);
+      expect(selection.getKeyframes('real')[1]).to.deep.equal({
+        time: 4, x: 400, y: 200, width: 200, height: 200,
+      });
+    });
+
+    it('stores the current value at the current time by default', () => {
+      video = createVideo();
+      selection = new AreaSelection(video, { startSize: [50, 50], returnMode: 'raw' });
+      video.currentTime = 3;
+      selection.addKeyframe();
+      expect(selection.getKeyframes()).to.deep.equal([{
+        time: 3, x: 100, y: 75, width: 200, height: 150,
+      }]);
+    });
+
+    it('follows the keyframes when the video seeks', () => {
+      create();
+      seek(1);
+      expect(selection.getValue()).to.deep.equal({
+        x: 50, y: 25, width: 100, height: 100,
+      });
+      seek(9);
+      expect(selection.getValue()).to.deep.equal(TO);
+    });
+
+    it('follows the keyframes on every frame while the video plays', () => {
+      create();
+      video.currentTime = 2;
+      video.paused = false;
+      video.dispatchEvent(new Event('play'));
+      expect(selection.getValue()).to.include({ x: 100, y: 50 });
+      video.currentTime = 3;
+      flushFrames();
+      expect(selection.getValue()).to.include({ x: 150, y: 75 });
+
+      // Pausing stops following after the next frame
+      video.paused = true;
+      flushFrames();
+      video.currentTime = 4;
+      flushFrames();
+      expect(selection.getValue()).to.include({ x: 150, y: 75 });
+    });
+
+    it('stores a keyframe at the current time when the region is moved', () => {
+      create();
+      seek(2);
+      drag(selection.regions[0].el, [[150, 100], [160, 100]]);
+      expect(times()).to.deep.equal([0, 2, 4]);
+      expect(selection.getKeyframes()[1]).to.deep.equal({
+        time: 2, x: 110, y: 50, width: 100, height: 100,
+      });
+    });
+
+    it('removes the keyframes of the active region', () => {
+      create();
+      seek(1);
+      selection.removeKeyframe(0);
+      expect(times()).to.deep.equal([4]);
+      selection.clearKeyframes();
+      expect(selection.getKeyframes()).to.deep.equal([]);
+
+      // The region no longer follows the video
+      seek(4);
+      expect(selection.getValue()).to.include({ x: 50, y: 25 });
+    });
+
+  });
+
+});
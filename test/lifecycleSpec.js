@@ -0,0 +1,161 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createImage, cleanup } from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+
+// The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+// pixels of the 400x300 image, which is {x: 200, y: 150, width: 400,
+// height: 300} in real pixels.
+describe('lifecycle', () => {
+  let selection = null;
+  const create = (options = {}, target = createImage()) => {
+    selection = new AreaSelection(target,
+      Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+    return selection;
+  };
+  // Creates an image that is still loading, and a function to load it
+  const createPendingImage = () => {
+    const img = document.createElement('img');
+    document.body.appendChild(img);
+    const load = () => {
+      const sizes = {
+        width: 400, height: 300, naturalWidth: 800, naturalHeight: 600,
+      };
+      Object.keys(sizes).forEach((key) => {
+        Object.defineProperty(img, key, { get: () => sizes[key] });
+      });
+      img.dispatchEvent(new Event('load'));
+    };
+    return [img, load];
+  };
+  const expectRejection = (promise, message) => promise.then(() => {
+    throw new Error('Expected a rejection.');
+  }, (err) => {
+    expect(err.message).to.equal(message);
+  });
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    cleanup();
+  });
+
+  describe('ready', () => {
+
+    it('resolves with the instance once the image is loaded', () => {
+      const [img, load] = createPendingImage();
+      create({}, img);
+      expect(() => selection.getValue()).to.throw('AreaSelection is not initialized.');
+
+      // The options are stored to initialize with
+      selection.setOptions({ aspectRatio: 1 });
+      load();
+      return selection.ready.then((instance) => {
+        expect(instance).to.equal(selection);
+        expect(selection.getValue()).to.deep.equal({
+          x: 100, y: 50, width: 200, height: 200,
+        });
+      });
+    });
+
+    it('rejects when the image fails to load', () => {
+      const [img] = createPendingImage();
+      create({}, img);
+      img.dispatchEvent(new Event('error'));
+      return expectRejection(selection.ready, 'Unable to load target.');
+    });
+
+    it('rejects when the instance is destroyed before it is initialized', () => {
+      const [img] = createPendingImage();
+      create({}, img);
+      selection.destroy();
+      return expectRejection(selection.ready, 'AreaSelection was destroyed.');
+    });
+
+  });
+
+  describe('destroy', () => {
+
+    it('restores the target and emits destroy once', () => {
+      const img = createImage();
+      const onDestroy = sinon.spy();
+      create({}, img).on('destroy', onDestroy);
+      expect(img.parentNode).to.equal(selection.selectionEl);
+      selection.destroy();
+      selection.destroy();
+      expect(img.parentNode).to.equal(document.body);
+      expect(document.querySelector('.area-selection')).to.be.null;
+      expect(onDestroy.calledOnce).to.be.true;
+      expect(() => selection.getValue()).to.throw('AreaSelection is not initialized.');
+      selection = null;
+    });
+
+  });
+
+  describe('setImage', () => {
+
+    it('keeps the selection, with the rotation, once the new source is loaded', () => {
+      create().moveTo(0, 0).rotate(90);
+      const loaded = selection.setImage('next.jpg');
+      expect(selection.targetEl.getAttribute('src')).to.equal('next.jpg');
+      selection.targetEl.dispatchEvent(new Event('load'));
+      return loaded.then((instance) => {
+        expect(instance).to.equal(selection);
+        expect(selection.getValue()).to.deep.equal({
+          x: 150, y: 0, width: 150, height: 200,
+        });
+        expect(selection.transform.rotate).to.equal(90);
+      });
+    });
+
+    it('resets the selection, with the rotation, on request', () => {
+      create().moveTo(0, 0).rotate(90);
+      const loaded = selection.setImage('next.jpg', false);
+      selection.targetEl.dispatchEvent(new Event('load'));
+      return loaded.then(() => {
+        expect(selection.getValue()).to.deep.equal({
+          x: 100, y: 75, width: 200, height: 150,
+        });
+        expect(selection.transform.rotate).to.equal(0);
+      });
+    });
+
+    it('rejects when the new source fails to load', () => {
+      create();
+      const loaded = selection.setImage('missing.jpg');
+      selection.targetEl.dispatchEvent(new Event('error'));
+      return expectRejection(loaded, 'Unable to load target.');
+    });
+
+  });
+
+  describe('replaceTarget', () => {
+
+    it('moves the new target into the instance and removes the previous one', () => {
+      const previous = createImage();
+      const next = createImage({ naturalWidth: 1600, naturalHeight: 1200 });
+      next.id = 'next';
+      create({}, previous).moveTo(10, 10);
+      return selection.replaceTarget('#next').then(() => {
+        expect(selection.targetEl).to.equal(next);
+        expect(next.parentNode).to.equal(selection.selectionEl);
+        expect(previous.parentNode).to.be.null;
+        expect(selection.getValue('real')).to.deep.equal({
+          x: 40, y: 40, width: 800, height: 600,
+        });
+
+        // The new target is restored on destroy
+        selection.destroy();
+        selection = null;
+        expect(next.parentNode).to.equal(document.body);
+      });
+    });
+
+    it('rejects missing elements', () => {
+      create();
+      expect(() => selection.replaceTarget('#missing')).to.throw('Unable to find element.');
+    });
+
+  });
+
+});
@@ -0,0 +1,135 @@
+import { expect } from 'chai';
+import { createImage, cleanup } from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import {
+  normalizeRotation, toSourceRect, fromSourceRect, toSourceAngle,
+} from '../src/orientation';
+
+// A rect in the top left corner of its element, as ratios
+const RECT = {
+  x: 0, y: 0, width: 0.25, height: 0.5,
+};
+
+describe('orientation', () => {
+
+  describe('normalizeRotation', () => {
+
+    it('takes multiples of 90 degrees only', () => {
+      expect(normalizeRotation(-90)).to.equal(270);
+      expect(normalizeRotation(450)).to.equal(90);
+      expect(() => normalizeRotation(45)).to.throw('Rotation must be a multiple of 90 degrees.');
+    });
+
+  });
+
+  describe('toSourceRect and fromSourceRect', () => {
+    const transforms = [
+      { rotate: 90, flipX: false, flipY: false },
+      { rotate: 180, flipX: true, flipY: false },
+      { rotate: 270, flipX: false, flipY: true },
+    ];
+
+    it('turns a rect clockwise with the element', () => {
+      expect(fromSourceRect(RECT, transforms[0])).to.deep.equal({
+        x: 0.5, y: 0, width: 0.5, height: 0.25,
+      });
+    });
+
+    it('rotates before it mirrors', () => {
+      expect(fromSourceRect(RECT, { rotate: 90, flipX: true, flipY: false }))
+        .to.deep.equal({
+          x: 0, y: 0, width: 0.5, height: 0.25,
+        });
+    });
+
+    it('maps a rect back to the original element', () => {
+      transforms.forEach((transform) => {
+        expect(toSourceRect(fromSourceRect(RECT, transform), transform))
+          .to.deep.equal(RECT);
+      });
+    });
+
+  });
+
+  describe('toSourceAngle', () => {
+
+    it('reverses the angle of a mirrored element only', () => {
+      expect(toSourceAngle(30, { rotate: 90, flipX: false, flipY: false })).to.equal(30);
+      expect(toSourceAngle(30, { rotate: 0, flipX: true, flipY: false })).to.equal(-30);
+      expect(toSourceAngle(30, { rotate: 0, flipX: true, flipY: true })).to.equal(30);
+    });
+
+  });
+
+  // The image is 400x300, and 800x600 real pixels
+  describe('target', () => {
+    let selection = null;
+    const create = () => {
+      selection = new AreaSelection(createImage(), {
+        returnMode: 'raw',
+        startValue: {
+          x: 0, y: 0, width: 100, height: 50,
+        },
+      });
+      return selection;
+    };
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      cleanup();
+    });
+
+    it('turns the selection with the target', () => {
+      create();
+      expect(selection.rotate(90)).to.equal(selection);
+      expect(selection.targetEl.style.transform).to.equal('scale(1, 1) rotate(90deg)');
+      expect(selection.getValue()).to.deep.equal({
+        x: 250, y: 0, width: 50, height: 100,
+      });
+      selection.rotate(90);
+      expect(selection.getValue()).to.deep.equal({
+        x: 300, y: 250, width: 100, height: 50,
+      });
+      selection.rotate(180);
+      expect(selection.getValue()).to.deep.equal({
+        x: 0, y: 0, width: 100, height: 50,
+      });
+    });
+
+    it('returns the area of the original image in real mode', () => {
+      create();
+      selection.rotate(90);
+      expect(selection.getValue('real')).to.deep.equal({
+        x: 0,
+        y: 0,
+        width: 200,
+        height: 100,
+        transform: { rotate: 90, flipX: false, flipY: false },
+      });
+    });
+
+    it('mirrors the selection with the target', () => {
+      create();
+      selection.flipHorizontal();
+      expect(selection.targetEl.style.transform).to.equal('scale(-1, 1) rotate(0deg)');
+      expect(selection.getValue()).to.deep.equal({
+        x: 300, y: 0, width: 100, height: 50,
+      });
+      selection.flipVertical();
+      expect(selection.getValue()).to.deep.equal({
+        x: 300, y: 250, width: 100, height: 50,
+      });
+      expect(selection.getValue('real')).to.include({
+        x: 0, y: 0, width: 200, height: 100,
+      });
+    });
+
+    it('rejects rotations that are not multiples of 90 degrees', () => {
+      create();
+      expect(() => selection.rotate(45)).to.throw('Rotation must be a multiple of 90 degrees.');
+    });
+
+  });
+
+});
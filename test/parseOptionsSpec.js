@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import Core from '../src/core';
+
+describe('Core.parseOptions', () => {
+
+  it('sets the default values', () => {
+    const options = Core.parseOptions({});
+    expect(options.aspectRatio).to.be.null;
+    expect(options.startSize).to.deep.equal({ width: 100, height: 100, unit: '%' });
+    expect(options.shape).to.equal('rect');
+    expect(options.returnMode).to.equal('real');
+    expect(options.multiple).to.be.false;
+    expect(options.input).to.be.null;
+  });
+
+  it('normalizes the values', () => {
+    const options = Core.parseOptions({
+      aspectRatio: '16:9',
+      minSize: [10, 20],
+      keyboardStep: 5,
+      handles: 'corners',
+      returnMode: 'RAW',
+      input: 'crop',
+    });
+    expect(options.aspectRatio).to.equal(16 / 9);
+    expect(options.minSize).to.deep.equal({ width: 10, height: 20, unit: 'px' });
+    expect(options.keyboardStep).to.deep.equal([5, 50]);
+    expect(options.handles).to.deep.equal(['nw', 'ne', 'se', 'sw']);
+    expect(options.returnMode).to.equal('raw');
+    expect(options.input).to.include({ name: 'crop', format: 'json', mode: null });
+  });
+
+  it('keeps callbacks', () => {
+    const onSelectEnd = () => {};
+    expect(Core.parseOptions({ onSelectEnd }).onSelectEnd).to.equal(onSelectEnd);
+    expect(Core.parseOptions({ onSelectEnd: 'end' }).onSelectEnd).to.be.null;
+  });
+
+  describe('validation', () => {
+    const invalid = {
+      'Invalid aspect ratio.': { aspectRatio: 0 },
+      'Invalid size unit.': { minSize: [10, 10, 'em'] },
+      'Invalid bounds.': { bounds: { x: 0, y: 0, width: '50%' } },
+      'Invalid shape.': { shape: 'triangle' },
+      'Invalid zoom limits.': { minZoom: 2, maxZoom: 1 },
+      'Invalid start value.': { startValue: [{ x: 0, y: 0, width: 10 }] },
+      'Invalid preview.': { preview: [null] },
+      'Invalid input.': { input: { format: 'json' } },
+      'Invalid input format.': { input: { name: 'crop', format: 'fields' }, multiple: true },
+      'Invalid handles.': { handles: ['up'] },
+      'Invalid overlay opacity.': { overlayOpacity: 2 },
+      'Invalid return mode.': { returnMode: 'pixels' },
+    };
+
+    Object.keys(invalid).forEach((message) => {
+      it(`throws "${message}"`, () => {
+        expect(() => Core.parseOptions(invalid[message])).to.throw(message);
+      });
+    });
+
+    it('rejects unknown handle sets', () => {
+      expect(() => Core.parseOptions({ handles: 'some' })).to.throw('Invalid handles.');
+    });
+
+    it('accepts the same input formats for a single rectangle', () => {
+      expect(() => Core.parseOptions({ input: { name: 'crop', format: 'fields' } })).to.not.throw();
+      expect(() => Core.parseOptions({ input: { name: 'crop', format: 'string' } })).to.not.throw();
+    });
+
+  });
+
+});
@@ -0,0 +1,146 @@
+import { expect } from 'chai';
+import {
+  createImage, pointer, drag, keydown, flushFrames, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import { toPath } from '../src/polygon';
+
+const TRIANGLE = [[10, 10], [100, 10], [100, 80]];
+
+describe('polygon', () => {
+
+  describe('toPath', () => {
+
+    it('creates path data from the vertices', () => {
+      expect(toPath([], true)).to.equal('');
+      expect(toPath(TRIANGLE, false)).to.equal('M10 10 L100 10 L100 80');
+      expect(toPath(TRIANGLE, true)).to.equal('M10 10 L100 10 L100 80 Z');
+    });
+
+  });
+
+  // The image is 400x300, and 800x600 real pixels
+  describe('shape', () => {
+    let selection = null;
+    const create = (options = {}) => {
+      selection = new AreaSelection(createImage(), Object.assign({
+        shape: 'polygon', returnMode: 'raw',
+      }, options));
+      return selection;
+    };
+    const click = (x, y) => {
+      pointer('pointerdown', selection.overlayEl, x, y);
+      pointer('pointerup', selection.overlayEl, x, y);
+    };
+    const points = () => selection.getValue().points.map(p => [p.x, p.y]);
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      cleanup();
+    });
+
+    it('starts without a selection', () => {
+      create();
+      expect(selection.getValue()).to.be.null;
+      expect(selection.getPolygonPath()).to.be.null;
+    });
+
+    it('adds a vertex on each click', () => {
+      create();
+      TRIANGLE.forEach(([x, y]) => click(x, y));
+      expect(selection.getValue()).to.deep.include({
+        x: 10, y: 10, width: 90, height: 70, shape: 'polygon', closed: false,
+      });
+      expect(points()).to.deep.equal(TRIANGLE);
+      expect(selection.getPolygonPath()).to.equal('M10 10 L100 10 L100 80');
+    });
+
+    it('ignores a click next to the last vertex', () => {
+      create();
+      TRIANGLE.forEach(([x, y]) => click(x, y));
+      click(101, 81);
+      expect(points()).to.deep.equal(TRIANGLE);
+    });
+
+    it('closes the polygon with a double click', () => {
+      create();
+      TRIANGLE.forEach(([x, y]) => click(x, y));
+      selection.selectionEl.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+      expect(selection.getValue().closed).to.be.true;
+      expect(selection.getPolygonPath()).to.equal('M10 10 L100 10 L100 80 Z');
+      flushFrames();
+      expect(selection.polygon.el.classList.contains('area-selection-polygon-closed')).to.be.true;
+    });
+
+    it('closes the polygon with the Enter key', () => {
+      create();
+      TRIANGLE.slice(0, 2).forEach(([x, y]) => click(x, y));
+      keydown(selection.polygon.el, 'Enter');
+      expect(selection.getValue().closed).to.be.false;
+      click(100, 80);
+      keydown(selection.polygon.el, 'Enter');
+      expect(selection.getValue().closed).to.be.true;
+    });
+
+    it('closes the polygon when its first vertex is pressed', () => {
+      create();
+      TRIANGLE.forEach(([x, y]) => click(x, y));
+      drag(selection.polygon.vertexEls[0], [[10, 10], [10, 10]]);
+      expect(selection.getValue().closed).to.be.true;
+      expect(points()).to.deep.equal(TRIANGLE);
+    });
+
+    it('starts a new polygon on a click once closed', () => {
+      create();
+      TRIANGLE.forEach(([x, y]) => click(x, y));
+      selection.closePolygon();
+      click(300, 200);
+      expect(selection.getValue()).to.deep.include({ closed: false, points: [{ x: 300, y: 200 }] });
+    });
+
+    it('moves a vertex by dragging it, with undo', () => {
+      create();
+      TRIANGLE.forEach(([x, y]) => click(x, y));
+      selection.closePolygon();
+      drag(selection.polygon.vertexEls[1], [[100, 10], [150, 20]]);
+      expect(points()).to.deep.equal([[10, 10], [150, 20], [100, 80]]);
+      expect(selection.getValue().width).to.equal(140);
+      selection.undo();
+      expect(points()).to.deep.equal(TRIANGLE);
+    });
+
+    it('returns the vertices in each mode', () => {
+      create();
+      TRIANGLE.forEach(([x, y]) => click(x, y));
+      expect(selection.getValue('real').points).to.deep.equal([
+        { x: 20, y: 20 }, { x: 200, y: 20 }, { x: 200, y: 160 },
+      ]);
+      expect(selection.getValue('ratio').points).to.deep.equal([
+        { x: 0.025, y: 0.033 }, { x: 0.25, y: 0.033 }, { x: 0.25, y: 0.267 },
+      ]);
+    });
+
+    it('sets the vertices within the boundary', () => {
+      create();
+      selection.setValue({ points: [{ x: 0, y: 0 }, { x: 500, y: 0 }, { x: 0, y: 100 }] });
+      expect(selection.getValue()).to.deep.include({ width: 400, closed: true });
+      expect(points()).to.deep.equal([[0, 0], [400, 0], [0, 100]]);
+    });
+
+    it('keeps a polygon with fewer than three vertices open', () => {
+      create();
+      selection.setValue({ points: [{ x: 0, y: 0 }, { x: 50, y: 0 }] });
+      expect(selection.getValue().closed).to.be.false;
+    });
+
+    it('rejects a value without vertices', () => {
+      create();
+      expect(() => selection.setValue({
+        x: 1, y: 1, width: 2, height: 3,
+      })).to.throw('Invalid polygon.');
+    });
+
+  });
+
+});
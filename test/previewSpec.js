@@ -0,0 +1,108 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  createImage, drag, flushFrames, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+
+// The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+// pixels of the 400x300 image, which is {x: 200, y: 150, width: 400,
+// height: 300} in real pixels.
+describe('preview', () => {
+  let selection = null;
+  let context = null;
+  const create = (options = {}) => {
+    selection = new AreaSelection(createImage(),
+      Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+    return selection;
+  };
+  // Creates a preview container of a size, as jsdom has no layout
+  const createContainer = (width, height = 0, id = 'preview') => {
+    const el = document.createElement('div');
+    el.id = id;
+    Object.defineProperty(el, 'clientWidth', { value: width });
+    Object.defineProperty(el, 'clientHeight', { value: height });
+    document.body.appendChild(el);
+    return el;
+  };
+
+  beforeEach(() => {
+    // jsdom has no canvas, so the drawing is recorded
+    context = {
+      translate: sinon.spy(),
+      rotate: sinon.spy(),
+      scale: sinon.spy(),
+      drawImage: sinon.spy(),
+    };
+    sinon.stub(HTMLCanvasElement.prototype, 'getContext').returns(context);
+  });
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    HTMLCanvasElement.prototype.getContext.restore();
+    cleanup();
+  });
+
+  it('adds a canvas to each container', () => {
+    const first = createContainer(200, 0, 'first');
+    const second = createContainer(100, 0, 'second');
+    create({ preview: ['#first', second] });
+    expect(first.querySelectorAll('canvas.area-selection-preview')).to.have.lengthOf(1);
+    expect(second.querySelectorAll('canvas.area-selection-preview')).to.have.lengthOf(1);
+
+    selection.destroy();
+    selection = null;
+    expect(first.querySelector('canvas')).to.be.null;
+    expect(second.querySelector('canvas')).to.be.null;
+  });
+
+  it('rejects missing containers', () => {
+    expect(() => create({ preview: '#missing' })).to.throw('Unable to find preview element.');
+  });
+
+  it('draws the selected area scaled to the container width', () => {
+    const container = createContainer(200);
+    create({ preview: container });
+    expect(context.drawImage.called).to.be.false;
+
+    flushFrames();
+    const canvas = container.querySelector('canvas');
+    expect(canvas.style.width).to.equal('200px');
+    expect(canvas.style.height).to.equal('150px');
+    expect(context.drawImage.calledOnce).to.be.true;
+    expect(context.drawImage.firstCall.args.slice(1, 5)).to.deep.equal([200, 150, 400, 300]);
+  });
+
+  it('fits the selected area in the container', () => {
+    const container = createContainer(300, 100);
+    create({ preview: container });
+    flushFrames();
+    const canvas = container.querySelector('canvas');
+    expect(canvas.style.width).to.equal(`${100 * (4 / 3)}px`);
+    expect(canvas.style.height).to.equal('100px');
+  });
+
+  it('draws once per frame', () => {
+    create({ preview: createContainer(200) });
+    flushFrames();
+    context.drawImage.resetHistory();
+
+    selection.moveTo(0, 0);
+    drag(selection.regionEl, [[100, 75], [120, 75], [150, 75]]);
+    flushFrames();
+    expect(context.drawImage.calledOnce).to.be.true;
+    expect(context.drawImage.firstCall.args.slice(1, 5)).to.deep.equal([100, 0, 400, 300]);
+  });
+
+  it('clears the canvas when nothing is selected', () => {
+    const container = createContainer(200);
+    create({ preview: container, shape: 'polygon' });
+    flushFrames();
+    const canvas = container.querySelector('canvas');
+    expect(context.drawImage.called).to.be.false;
+    expect(canvas.width).to.equal(0);
+    expect(canvas.style.width).to.equal('0px');
+  });
+
+});
@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createImage, cleanup } from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+
+// The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+// pixels of the 400x300 image, which is {x: 200, y: 150, width: 400,
+// height: 300} in real pixels.
+describe('resize', () => {
+  let selection = null;
+  const create = (options = {}) => {
+    selection = new AreaSelection(createImage(),
+      Object.assign({ startSize: [50, 50], returnMode: 'raw' }, options));
+    return selection;
+  };
+  // Resizes the target. jsdom has no layout, so the selection element,
+  // which wraps the target, is resized with it.
+  const resize = (width, height) => {
+    [selection.targetEl, selection.selectionEl].forEach(({ style }) => {
+      Object.assign(style, { width: `${width}px`, height: `${height}px` });
+    });
+  };
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    cleanup();
+  });
+
+  describe('window', () => {
+
+    it('rescales the regions to keep selecting the same area', () => {
+      const onResize = sinon.spy();
+      create({ onResize });
+      resize(200, 150);
+      window.dispatchEvent(new Event('resize'));
+      expect(selection.getValue()).to.deep.equal({
+        x: 50, y: 38, width: 100, height: 75,
+      });
+      expect(selection.getValue('real')).to.deep.equal({
+        x: 200, y: 150, width: 400, height: 300,
+      });
+      expect(onResize.calledOnce).to.be.true;
+      expect(onResize.firstCall.args[0]).to.deep.equal({ width: 200, height: 150 });
+    });
+
+    it('ignores events that do not change the size', () => {
+      const onResize = sinon.spy();
+      create({ onResize });
+      window.dispatchEvent(new Event('resize'));
+      expect(onResize.called).to.be.false;
+      expect(selection.getValue()).to.include({ x: 100, width: 200 });
+    });
+
+    it('resolves percentage sizes against the new size', () => {
+      create({ minSize: [20, 20, '%'] });
+      resize(200, 150);
+      window.dispatchEvent(new Event('resize'));
+      selection.setValue({
+        x: 0, y: 0, width: 10, height: 10,
+      });
+      expect(selection.getValue()).to.include({ width: 40, height: 30 });
+    });
+
+    it('rescales the vertices of a polygon', () => {
+      create({ shape: 'polygon' });
+      selection.setValue({ points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }] });
+      resize(200, 150);
+      window.dispatchEvent(new Event('resize'));
+      expect(selection.getValue().points).to.deep.equal([
+        { x: 0, y: 0 }, { x: 50, y: 0 }, { x: 0, y: 50 },
+      ]);
+      expect(selection.getValue('real').points[1]).to.deep.equal({ x: 200, y: 0 });
+    });
+
+  });
+
+  describe('ResizeObserver', () => {
+    let observer = null;
+
+    beforeEach(() => {
+      window.ResizeObserver = function ResizeObserver(callback) {
+        observer = this;
+        this.callback = callback;
+        this.elements = [];
+        this.observe = (el) => { this.elements.push(el); };
+        this.unobserve = (el) => {
+          this.elements = this.elements.filter(other => other !== el);
+        };
+        this.disconnect = () => { this.elements = []; };
+      };
+    });
+
+    afterEach(() => {
+      delete window.ResizeObserver;
+      observer = null;
+    });
+
+    it('observes the container and the target', () => {
+      create();
+      expect(observer.elements).to.deep.equal([selection.containerEl, selection.targetEl]);
+      resize(800, 600);
+      observer.callback([]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 200, y: 150, width: 400, height: 300,
+      });
+    });
+
+    it('stops observing when destroyed', () => {
+      create();
+      selection.destroy();
+      selection = null;
+      expect(observer.elements).to.deep.equal([]);
+    });
+
+  });
+
+});
@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  createImage, drag, keydown, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+
+// The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+// pixels of the 400x300 image, around the center (200, 150).
+describe('rotation', () => {
+  let selection = null;
+  const create = (options = {}) => {
+    selection = new AreaSelection(createImage(), Object.assign({
+      startSize: [50, 50], returnMode: 'raw', rotatable: true,
+    }, options));
+    return selection;
+  };
+  const rotator = () => selection.regions[0].rotatorEl;
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    cleanup();
+  });
+
+  it('rotates the region around its center', () => {
+    create();
+    expect(selection.rotateSelection(30)).to.equal(selection);
+    expect(selection.getValue()).to.deep.equal({
+      x: 100,
+      y: 75,
+      width: 200,
+      height: 150,
+      center: { x: 200, y: 150 },
+      angle: 30,
+    });
+  });
+
+  it('adds up the rotations within (-180, 180] degrees', () => {
+    create();
+    selection.rotateSelection(30).rotateSelection(-60);
+    expect(selection.getValue().angle).to.equal(-30);
+    selection.rotateSelection(400);
+    expect(selection.getValue().angle).to.equal(10);
+  });
+
+  it('scales the region down to keep it within the boundary once rotated', () => {
+    create({
+      startValue: {
+        x: 20, y: 100, width: 360, height: 100,
+      },
+    });
+    selection.rotateSelection(90);
+    expect(selection.getValue()).to.include({
+      x: 50, y: 108, width: 300, height: 83, angle: 90,
+    });
+  });
+
+  it('rotates the region by dragging the rotation handle', () => {
+    const onRotate = sinon.spy();
+    create().on('rotate', onRotate);
+    drag(rotator(), [[200, 65], [300, 150]]);
+    expect(selection.getValue().angle).to.equal(90);
+    expect(onRotate.called).to.be.true;
+    expect(onRotate.lastCall.args[0].detail.angle).to.equal(90);
+  });
+
+  it('snaps the rotation to steps of 15 degrees while Shift is held', () => {
+    create();
+    drag(rotator(), [[200, 65], [250, 100]], { shiftKey: true });
+    expect(selection.getValue().angle).to.equal(45);
+    selection.undo();
+    expect(selection.getValue().angle).to.equal(0);
+  });
+
+  it('rotates the region with the arrow keys on the rotation handle', () => {
+    create();
+    keydown(rotator(), 'ArrowRight');
+    expect(selection.getValue().angle).to.equal(1);
+    keydown(rotator(), 'ArrowRight', { ctrlKey: true });
+    expect(selection.getValue().angle).to.equal(16);
+  });
+
+});
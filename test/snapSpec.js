@@ -0,0 +1,126 @@
+import { expect } from 'chai';
+import {
+  createImage, pointer, drag, keydown, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+import { parseSnap, findClosest } from '../src/snap';
+
+describe('snap', () => {
+
+  describe('parseSnap', () => {
+
+    it('disables snapping by default', () => {
+      expect(parseSnap()).to.be.null;
+      expect(parseSnap(false)).to.be.null;
+    });
+
+    it('sets the default settings', () => {
+      expect(parseSnap(true)).to.deep.equal({
+        grid: null,
+        edges: true,
+        guides: { x: [], y: [] },
+        threshold: 8,
+        disableKey: 'alt',
+      });
+    });
+
+    it('takes the grid as a number or a pair', () => {
+      expect(parseSnap({ grid: 10 }).grid).to.deep.equal([10, 10]);
+      expect(parseSnap({ grid: [10, 20] }).grid).to.deep.equal([10, 20]);
+      expect(parseSnap({ guides: { x: [5] } }).guides).to.deep.equal({ x: [5], y: [] });
+    });
+
+    it('rejects invalid settings', () => {
+      expect(() => parseSnap({ grid: 0 })).to.throw('Invalid snap grid.');
+      expect(() => parseSnap({ grid: [1, 2, 3] })).to.throw('Invalid snap grid.');
+      expect(() => parseSnap({ disableKey: 'tab' })).to.throw('Invalid snap key.');
+    });
+
+  });
+
+  describe('findClosest', () => {
+
+    it('finds the closest line within the threshold', () => {
+      expect(findClosest([10, 50], [0, 55, 100], 8)).to.deep.equal({ offset: 5, line: 55 });
+      expect(findClosest([10, 50], [0, 100], 8)).to.be.null;
+    });
+
+  });
+
+  // The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+  // pixels of the 400x300 image, which is 800x600 real pixels.
+  describe('dragging', () => {
+    let selection = null;
+    const create = (snap) => {
+      selection = new AreaSelection(createImage(),
+        { startSize: [50, 50], returnMode: 'raw', snap });
+      return selection;
+    };
+    const guide = axis => selection.selectionEl
+      .querySelector(`.area-selection-snap-guide-${axis}`);
+    const visible = el => el.classList.contains('area-selection-snap-guide-visible');
+
+    afterEach(() => {
+      if (selection !== null) { selection.destroy(); }
+      selection = null;
+      cleanup();
+    });
+
+    it('snaps to the edges and center of the image', () => {
+      create(true);
+      drag(selection.regionEl, [[200, 150], [105, 154]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 0, y: 75, width: 200, height: 150,
+      });
+    });
+
+    it('shows the edge it snapped to while dragging', () => {
+      create(true);
+      pointer('pointerdown', selection.regionEl, 200, 150);
+      pointer('pointermove', selection.regionEl, 105, 120);
+      expect(visible(guide('x'))).to.be.true;
+      expect(guide('x').style.transform).to.equal('translateX(0px)');
+      expect(visible(guide('y'))).to.be.false;
+
+      pointer('pointerup', selection.regionEl, 105, 120);
+      expect(visible(guide('x'))).to.be.false;
+    });
+
+    it('snaps to guide lines in real pixels', () => {
+      create({ edges: false, guides: { x: [220] } });
+      drag(selection.regionEl, [[200, 150], [206, 150]]);
+      expect(selection.getValue().x).to.equal(110);
+    });
+
+    it('snaps to the grid outside of the threshold', () => {
+      create({ grid: 100 });
+      drag(selection.regionEl, [[200, 150], [230, 150]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 150, y: 75, width: 200, height: 150,
+      });
+    });
+
+    it('snaps the dragged sides of a resized region', () => {
+      create({ edges: false, grid: 100 });
+      const se = selection.handles.filter(h => h.direction === 'se')[0].el;
+      drag(se, [[300, 225], [320, 240]]);
+      expect(selection.getValue()).to.deep.equal({
+        x: 100, y: 75, width: 200, height: 175,
+      });
+    });
+
+    it('does not snap while the disable key is held', () => {
+      create({ grid: 100, disableKey: 'shift' });
+      drag(selection.regionEl, [[200, 150], [230, 150]], { shiftKey: true });
+      expect(selection.getValue().x).to.equal(130);
+    });
+
+    it('does not snap keyboard input', () => {
+      create({ grid: 100 });
+      keydown(selection.regionEl, 'ArrowRight');
+      expect(selection.getValue().x).to.equal(101);
+    });
+
+  });
+
+});
@@ -0,0 +1,164 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  createImage, pointer, drag, cleanup,
+} from './helpers/dom';
+import AreaSelection from '../src/area-selection';
+
+// The region starts at {x: 100, y: 75, width: 200, height: 150}, in raw
+// pixels of the 400x300 image.
+describe('zoom', () => {
+  let selection = null;
+  const create = (options = {}) => {
+    selection = new AreaSelection(createImage(), Object.assign({
+      startSize: [50, 50], returnMode: 'raw', zoomable: true,
+    }, options));
+    return selection;
+  };
+  const wheel = (deltaY, x, y) => {
+    const e = new window.WheelEvent('wheel', {
+      bubbles: true, cancelable: true, deltaY, clientX: x, clientY: y,
+    });
+    selection.viewportEl.dispatchEvent(e);
+    return e;
+  };
+  const VALUE = {
+    x: 100, y: 75, width: 200, height: 150,
+  };
+
+  afterEach(() => {
+    if (selection !== null) { selection.destroy(); }
+    selection = null;
+    cleanup();
+  });
+
+  it('zooms around the center of the viewport', () => {
+    const onZoom = sinon.spy();
+    create({ onZoom });
+    expect(selection.zoomTo(2)).to.equal(selection);
+    expect(selection.getZoom()).to.equal(2);
+    expect(selection.selectionEl.style.transform)
+      .to.equal('translate(-200px, -150px) scale(2)');
+    expect(onZoom.calledOnceWith(2)).to.be.true;
+    expect(selection.getValue()).to.deep.equal(VALUE);
+  });
+
+  it('zooms around a point', () => {
+    create();
+    selection.zoomTo(2, [0, 0]).zoomBy(2, [0, 0]);
+    expect(selection.getZoom()).to.equal(4);
+    expect(selection.selectionEl.style.transform)
+      .to.equal('translate(0px, 0px) scale(4)');
+  });
+
+  it('keeps the zoom within the limits', () => {
+    const onZoom = sinon.spy();
+    create({ minZoom: 1, maxZoom: 3, onZoom });
+    selection.zoomTo(5);
+    expect(selection.getZoom()).to.equal(3);
+    selection.zoomTo(0.5);
+    expect(selection.getZoom()).to.equal(1);
+    expect(selection.selectionEl.style.transform).to.equal('');
+    selection.zoomTo(1);
+    expect(onZoom.callCount).to.equal(2);
+  });
+
+  it('zooms with the mouse wheel around the pointer', () => {
+    create();
+    const e = wheel(-100, 0, 0);
+    expect(e.defaultPrevented).to.be.true;
+    expect(selection.getZoom()).to.be.closeTo(Math.exp(0.2), 1e-9);
+    wheel(100, 0, 0);
+    expect(selection.getZoom()).to.be.closeTo(1, 1e-9);
+  });
+
+  it('does not zoom with the wheel unless it is enabled', () => {
+    create({ zoomOnWheel: false });
+    expect(wheel(-100, 0, 0).defaultPrevented).to.be.false;
+    expect(selection.getZoom()).to.equal(1);
+    selection.destroy();
+
+    create({ zoomable: false });
+    wheel(-100, 0, 0);
+    expect(selection.getZoom()).to.equal(1);
+  });
+
+  it('maps the pointer to the zoomed image', () => {
+    create();
+    selection.zoomTo(2, [0, 0]);
+    drag(selection.regionEl, [[400, 300], [500, 200]]);
+    expect(selection.getValue()).to.deep.equal({
+      x: 150, y: 25, width: 200, height: 150,
+    });
+  });
+
+  it('draws a new selection on the zoomed image', () => {
+    create();
+    selection.zoomTo(2, [0, 0]);
+    drag(selection.overlayEl, [[10, 20], [60, 70]]);
+    expect(selection.getValue()).to.deep.equal({
+      x: 5, y: 10, width: 25, height: 25,
+    });
+    expect(selection.selectionEl.style.transform)
+      .to.equal('translate(0px, 0px) scale(2)');
+  });
+
+  it('pans the zoomed image by dragging the overlay with Ctrl or Cmd', () => {
+    create();
+    selection.zoomTo(2, [0, 0]);
+    drag(selection.overlayEl, [[50, 50], [-50, 0]], { ctrlKey: true });
+    expect(selection.selectionEl.style.transform)
+      .to.equal('translate(-100px, -50px) scale(2)');
+
+    // The image still covers the viewport
+    drag(selection.overlayEl, [[0, 0], [-1000, -1000]], { metaKey: true });
+    expect(selection.selectionEl.style.transform)
+      .to.equal('translate(-400px, -300px) scale(2)');
+    expect(selection.getValue()).to.deep.equal(VALUE);
+  });
+
+  it('pans the zoomed image with the middle button', () => {
+    create();
+    selection.zoomTo(2, [0, 0]);
+    drag(selection.overlayEl, [[50, 50], [0, 50]], { button: 1 });
+    expect(selection.selectionEl.style.transform)
+      .to.equal('translate(-50px, 0px) scale(2)');
+    expect(selection.getValue()).to.deep.equal(VALUE);
+  });
+
+  it('pinches with two pointers to zoom and pan', () => {
+    create();
+    selection.zoomTo(2, [0, 0]);
+    const el = selection.overlayEl;
+    pointer('pointerdown', el, 100, 100);
+    pointer('pointerdown', el, 200, 100, { pointerId: 2 });
+    pointer('pointermove', el, 50, 100);
+    expect(selection.getZoom()).to.equal(3);
+
+    // The point of the image between the pointers stays between them
+    pointer('pointermove', el, 150, 100, { pointerId: 2 });
+    pointer('pointerup', el, 150, 100, { pointerId: 2 });
+    pointer('pointerup', el, 50, 100);
+    expect(selection.getZoom()).to.equal(2);
+    expect(selection.selectionEl.style.transform)
+      .to.equal('translate(-50px, 0px) scale(2)');
+  });
+
+  it('gives up the new selection when a second pointer pinches', () => {
+    const onChange = sinon.spy();
+    create().on('change', onChange);
+    const el = selection.overlayEl;
+    pointer('pointerdown', el, 100, 100);
+    pointer('pointermove', el, 120, 120);
+    pointer('pointerdown', el, 200, 100, { pointerId: 2 });
+    expect(selection.getValue()).to.deep.equal(VALUE);
+
+    pointer('pointermove', el, 300, 100, { pointerId: 2 });
+    pointer('pointerup', el, 300, 100, { pointerId: 2 });
+    pointer('pointerup', el, 120, 120);
+    expect(selection.getZoom()).to.be.above(1);
+    expect(selection.getValue()).to.deep.equal(VALUE);
+    expect(onChange.called).to.be.false;
+  });
+
+});
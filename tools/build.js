@@ -10,6 +10,7 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
 const del = require('del');
 const rollup = require('rollup');
 const babel = require('rollup-plugin-babel');
@@ -17,6 +18,26 @@ const resolve = require('rollup-plugin-node-resolve');
 const commonjs = require('rollup-plugin-commonjs');
 const pkg = require('../package.json');
 
+const plugins = () => [
+  resolve(),
+  babel(Object.assign(pkg.babel, {
+    babelrc: false,
+    exclude: 'node_modules/**',
+    externalHelpers: false,
+    runtimeHelpers: true,
+    presets: pkg.babel.presets.map(x => (x === 'latest' ? ['latest', { es2015: { modules: false } }] : x)),
+  })),
+  commonjs(),
+];
+
+// The bindings import the library from its own bundle, and their framework
+const core = path.resolve('src/area-selection.js');
+const bindings = {
+  react: ['react'],
+  vue: ['vue'],
+  element: [],
+};
+
 let promise = Promise.resolve();
 
 // Clean up the output directory
@@ -27,17 +48,7 @@ promise = promise.then(() => del(['dist/*']));
   promise = promise.then(() => rollup.rollup({
     input: 'src/index.js',
     external: Object.keys(pkg.dependencies),
-    plugins: [
-      resolve(),
-      babel(Object.assign(pkg.babel, {
-        babelrc: false,
-        exclude: 'node_modules/**',
-        externalHelpers: false,
-        runtimeHelpers: true,
-        presets: pkg.babel.presets.map(x => (x === 'latest' ? ['latest', { es2015: { modules: false } }] : x)),
-      })),
-      commonjs(),
-    ],
+    plugins: plugins(),
   })).then(bundle => bundle.write({
     file: `dist/${format === 'cjs' ? 'area-selection' : `area-selection.${format}`}.js`,
     format,
@@ -46,6 +57,23 @@ promise = promise.then(() => del(['dist/*']));
   }));
 });
 
+// Compile the bindings
+Object.keys(bindings).forEach((name) => {
+  ['es', 'cjs'].forEach((format) => {
+    promise = promise.then(() => rollup.rollup({
+      input: `src/${name}.js`,
+      external: Object.keys(pkg.dependencies).concat(bindings[name], core),
+      plugins: plugins(),
+    })).then(bundle => bundle.write({
+      file: `dist/area-selection.${name}${format === 'es' ? '.es' : ''}.js`,
+      format,
+      exports: 'named',
+      sourceMap: true,
+      paths: { [core]: format === 'es' ? './area-selection.es.js' : './area-selection.js' },
+    }));
+  });
+});
+
 // Copy files
 promise = promise.then(() => {
   fs.writeFileSync('dist/area-selection.css', fs.readFileSync('src/area-selection.css', 'utf-8'), 'utf-8');
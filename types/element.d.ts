@@ -0,0 +1,20 @@
+// Type definitions for area-selection.js/element
+
+import AreaSelection = require('./index');
+
+export interface AreaSelectionElement extends HTMLElement {
+  /** The instance, or null while the element is not in the document */
+  readonly instance: AreaSelection | null;
+
+  /** The options. Setting them calls setOptions */
+  options: AreaSelection.Options;
+
+  /** The value of the selection. Setting it controls the selection, null leaves it to the user */
+  value: AreaSelection.Value | null;
+}
+
+/** Defines the custom element, once, and returns its class */
+export default function defineElement(name?: string): {
+  new (): AreaSelectionElement;
+  prototype: AreaSelectionElement;
+};
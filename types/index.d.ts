@@ -14,8 +14,17 @@ declare class AreaSelection {
   /** @constructor */
   constructor(element: string | HTMLElement, options?: AreaSelection.Options, deferred?: boolean)
 
+  /** Resolves with the instance once it is initialized */
+  readonly ready: Promise<AreaSelection>
+
   /** Gets the value of the crop region */
-  getValue(mode?: 'real' | 'ratio' | 'raw'): AreaSelection.CropValue
+  getValue(mode?: 'real' | 'ratio' | 'raw'): AreaSelection.SelectValue | Array<AreaSelection.RegionValue>
+
+  /** Sets the value of the crop region, as returned by getValue */
+  setValue(value: AreaSelection.InputValue | AreaSelection.PolygonInputValue | Array<AreaSelection.InputValue>, mode?: 'real' | 'ratio' | 'raw'): AreaSelection
+
+  /** Gets the polygon as SVG path data */
+  getPolygonPath(mode?: 'real' | 'ratio' | 'raw'): string | null
 
   /** Changes the image src. */
   setOptions(options: AreaSelection.Options): AreaSelection
@@ -23,6 +32,12 @@ declare class AreaSelection {
   /** Destroys the AreaSelection instance */
   destroy(): void
 
+  /** Changes the source of the target image or video */
+  setImage(src: string, keepSelection?: boolean): Promise<AreaSelection>
+
+  /** Replaces the target with another image or video element */
+  replaceTarget(element: string | HTMLElement, keepSelection?: boolean): Promise<AreaSelection>
+
   /** Moves the crop region to a specified coordinate */
   moveTo(x: number, y: number): AreaSelection
 
@@ -35,34 +50,326 @@ declare class AreaSelection {
   /** Resets the crop region to the initial settings */
   reset(): AreaSelection
 
+  /** Rotates the target clockwise by a multiple of 90 degrees */
+  rotate(deg: number): AreaSelection
+
+  /** Rotates the crop region clockwise around its center */
+  rotateSelection(deg: number): AreaSelection
+
+  /** Mirrors the target horizontally */
+  flipHorizontal(): AreaSelection
+
+  /** Mirrors the target vertically */
+  flipVertical(): AreaSelection
+
+  /** Undoes the last change of the crop regions */
+  undo(): AreaSelection
+
+  /** Redoes the last undone change of the crop regions */
+  redo(): AreaSelection
+
+  /** Checks if there is a change to undo */
+  canUndo(): boolean
+
+  /** Checks if there is a change to redo */
+  canRedo(): boolean
+
+  /** Zooms the target to a level */
+  zoomTo(level: number, center?: [number, number]): AreaSelection
+
+  /** Zooms the target by a factor */
+  zoomBy(factor: number, center?: [number, number]): AreaSelection
+
+  /** Gets the zoom level */
+  getZoom(): number
+
+  /** Draws the crop region onto a new canvas */
+  getCroppedCanvas(options?: AreaSelection.CanvasOptions): HTMLCanvasElement | null
+
+  /** Gets the crop region as a Blob */
+  toBlob(type?: string, quality?: number, options?: AreaSelection.CanvasOptions): Promise<Blob>
+
+  /** Gets the crop region as a data URL */
+  toDataURL(type?: string, quality?: number, options?: AreaSelection.CanvasOptions): string | null
+
+  /** Draws the crop region of the current video frame onto a new canvas */
+  captureFrame(options?: AreaSelection.CanvasOptions): HTMLCanvasElement | null
+
+  /** Stores a keyframe for the active crop region */
+  addKeyframe(time?: number, value?: AreaSelection.SelectValue): AreaSelection
+
+  /** Removes a keyframe of the active crop region */
+  removeKeyframe(time: number): AreaSelection
+
+  /** Removes all keyframes of the active crop region */
+  clearKeyframes(): AreaSelection
+
+  /** Gets the keyframes of the active crop region */
+  getKeyframes(mode?: 'real' | 'ratio' | 'raw'): Array<AreaSelection.KeyframeValue>
+
+  /** Adds a new crop region and makes it the active region */
+  addRegion(value?: AreaSelection.SelectValue, id?: AreaSelection.RegionId): AreaSelection.RegionId
+
+  /** Removes a crop region */
+  removeRegion(id: AreaSelection.RegionId): AreaSelection
+
+  /** Gets the values of all crop regions */
+  getRegions(mode?: 'real' | 'ratio' | 'raw'): Array<AreaSelection.RegionValue>
+
+  /** Makes a crop region the active region */
+  setActiveRegion(id: AreaSelection.RegionId): AreaSelection
+
+  /** Gets the id of the active crop region */
+  getActiveRegion(): AreaSelection.RegionId | null
+
+  /** Changes the aspect ratio, keeping the crop regions */
+  setAspectRatio(ratio: AreaSelection.Ratio | null): AreaSelection
+
+  /** Adds a listener to an event */
+  on<K extends keyof AreaSelection.EventMap>(type: K, listener: (event: AreaSelection.Event<AreaSelection.EventMap[K]>) => void): AreaSelection
+
+  /** Removes a listener from an event, or all listeners */
+  off<K extends keyof AreaSelection.EventMap>(type?: K, listener?: (event: AreaSelection.Event<AreaSelection.EventMap[K]>) => void): AreaSelection
+
+  /** Adds a listener that is removed after it is called once */
+  once<K extends keyof AreaSelection.EventMap>(type: K, listener: (event: AreaSelection.Event<AreaSelection.EventMap[K]>) => void): AreaSelection
+
 }
 
 /*~ Declare type modules */
 declare namespace AreaSelection {
 
   export interface Options {
-    aspectRatio?: number;
+    aspectRatio?: Ratio;
+    aspectRatios?: Array<Ratio>;
     maxSize?: SizeValue;
     minSize?: SizeValue;
     startSize?: SizeValue;
+    bounds?: Bounds;
+    shape?: Shape;
+    rotatable?: boolean;
+    startValue?: InputValue | PolygonInputValue | Array<InputValue>;
+    snap?: boolean | SnapOptions;
+    preview?: string | HTMLElement | Array<string | HTMLElement>;
+    input?: string | InputOptions;
+    handles?: 'all' | 'corners' | 'edges' | 'none' | Array<HandleDirection>;
+    guides?: boolean;
+    crosshair?: boolean;
+    overlayColor?: string;
+    overlayOpacity?: number;
+    renderHandle?(direction: HandleDirection, handleEl: HTMLElement): HTMLElement | void;
     onSelectStart?(data: SelectValue): void;
     onSelectMove?(data: SelectValue): void;
     onSelectEnd?(data: SelectValue): void;
     onInitialize?(instance: AreaSelection): void;
     returnMode?: 'real' | 'ratio' | 'raw';
+    multiple?: boolean;
+    keyboardStep?: number | [number, number];
+    labels?: Labels;
+    touchAction?: string;
+    zoomable?: boolean;
+    zoomOnWheel?: boolean;
+    minZoom?: number;
+    maxZoom?: number;
+    onZoom?(level: number): void;
+    historyLimit?: number;
+    historyKeys?: boolean;
+    onHistoryChange?(state: HistoryState): void;
+    onResize?(size: { width: number, height: number }): void;
   }
 
   export interface SelectValue {
     x: number;
     y: number;
     width: number;
-    height: number
+    height: number;
+    transform?: Transform;
+    shape?: 'ellipse' | 'circle' | 'polygon';
+    center?: Point;
+    angle?: number;
+    closed?: boolean;
+    points?: Array<Point>
+  }
+
+  export interface InputValue {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    angle?: number;
+    mode?: 'real' | 'ratio' | 'raw';
+    id?: RegionId
+  }
+
+  export interface PolygonInputValue {
+    points: Array<Point>;
+    closed?: boolean;
+    mode?: 'real' | 'ratio' | 'raw'
+  }
+
+  export interface Point {
+    x: number;
+    y: number
+  }
+
+  export interface SnapOptions {
+    grid?: number | [number, number];
+    edges?: boolean;
+    guides?: { x?: Array<number>, y?: Array<number> };
+    threshold?: number;
+    disableKey?: 'alt' | 'ctrl' | 'meta' | 'shift'
+  }
+
+  export interface InputOptions {
+    name: string;
+    format?: 'json' | 'fields' | 'string';
+    mode?: 'real' | 'ratio' | 'raw';
+    blob?: string;
+    type?: string;
+    quality?: number
+  }
+
+  export interface Transform {
+    rotate: 0 | 90 | 180 | 270;
+    flipX: boolean;
+    flipY: boolean
+  }
+
+  export interface Labels {
+    container?: string;
+    region?: string;
+    regionRole?: string;
+    handle?: string;
+    directions?: { [direction: string]: string };
+    rotator?: string;
+    announcement?: string;
+  }
+
+  export interface CanvasOptions {
+    width?: number;
+    height?: number;
+    fillColor?: string;
+    imageSmoothingQuality?: 'low' | 'medium' | 'high';
+    shape?: Shape;
+  }
+
+  export interface KeyframeValue extends SelectValue {
+    time: number
+  }
+
+  export interface HistoryState {
+    canUndo: boolean;
+    canRedo: boolean
+  }
+
+  export type RegionId = string | number;
+
+  export type Ratio = number | string | [number, number];
+
+  export type Shape = 'rect' | 'ellipse' | 'circle' | 'polygon';
+
+  export type HandleDirection = 'nw' | 'n' | 'ne' | 'e' | 'se' | 's' | 'sw' | 'w';
+
+  export type Value = SelectValue | Array<RegionValue>;
+
+  export interface Event<T> {
+    type: string;
+    target: AreaSelection;
+    detail: T;
+    cancelable: boolean;
+    defaultPrevented: boolean;
+    preventDefault(): void
+  }
+
+  export interface BeforeChangeDetail {
+    region: RegionId;
+    value: SelectValue;
+    previous: SelectValue
+  }
+
+  export interface EventMap {
+    init: Value;
+    movestart: Value;
+    resize: Value;
+    rotate: Value;
+    change: Value;
+    beforechange: BeforeChangeDetail;
+    destroy: null
+  }
+
+  export interface RegionValue extends SelectValue {
+    id: RegionId
   }
 
   export interface SizeValue extends Array<string | number> {
     0: number,
     1: number,
-    2?: 'px' | '%'
+    2?: 'px' | '%' | 'real'
+  }
+
+  export interface Bounds {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    unit?: 'px' | '%' | 'real'
+  }
+
+  export interface Space {
+    width: number;
+    height: number;
+    naturalWidth?: number;
+    naturalHeight?: number;
+    transform?: Transform
+  }
+
+  export interface ParsedSize {
+    width: number | null;
+    height: number | null;
+    unit: 'px' | '%' | 'real'
+  }
+
+  export interface GeometryOptions {
+    aspectRatio: number | null;
+    aspectRatios: Array<number> | null;
+    shape: Shape;
+    minSize: ParsedSize;
+    maxSize: ParsedSize;
+    startSize: ParsedSize;
+    bounds: Bounds | null
+  }
+
+  export interface Drag {
+    origin?: [number, number];
+    ratio?: number | null;
+    angle?: number;
+    frame?: object | null
+  }
+
+  /** The geometry functions, which constrain boxes without the DOM */
+  export namespace geometry {
+    class Box {
+      constructor(x1: number, y1: number, x2: number, y2: number)
+      x1: number;
+      y1: number;
+      x2: number;
+      y2: number;
+      width(): number
+      height(): number
+    }
+
+    function parseOptions(options?: Options | GeometryOptions): GeometryOptions
+    function initialBox(options: GeometryOptions, space: Space): Box
+    function resizeBox(box: Box, handle: HandleDirection, point: [number, number], options: GeometryOptions, space: Space, drag?: Drag): Box
+    function moveBox(box: Box, delta: [number, number], options: GeometryOptions, space: Space, angle?: number): Box
+    function constrainBox(box: Box, origin: [number, number], options: GeometryOptions, space: Space, angle?: number): Box
+    function fitBox(box: Box, options: GeometryOptions, space: Space, angle?: number): Box
+    function fitToBoundary(box: Box, options: GeometryOptions, space: Space, angle?: number, origin?: [number, number]): Box
+    function moveWithinBoundary(box: Box, options: GeometryOptions, space: Space, angle?: number): Box
+    function isValidBox(box: Box, options: GeometryOptions, space: Space, angle?: number, tolerance?: number): boolean
+    function getBoundary(options: GeometryOptions, space: Space): { x: number, y: number, width: number, height: number }
+    function resolveSize(size: ParsedSize, space: Space): { width: number | null, height: number | null }
+    function getBoxRatio(box: Box, options: GeometryOptions): number | null
   }
 
 }
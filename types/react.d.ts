@@ -0,0 +1,45 @@
+// Type definitions for area-selection.js/react
+
+import { CSSProperties, ForwardRefExoticComponent, RefAttributes, RefObject } from 'react';
+import AreaSelection = require('./index');
+
+export interface AreaSelectionProps {
+  /** The options. Changing them calls setOptions */
+  options?: AreaSelection.Options | null;
+
+  /** The controlled value, as returned by getValue. Null leaves the selection to the user */
+  value?: AreaSelection.Value | null;
+
+  /** Called with the value when the selection changes */
+  onChange?: ((value: AreaSelection.Value) => void) | null;
+
+  /** The source of the target. Changing it calls setImage */
+  src?: string | null;
+}
+
+export interface AreaSelectionComponentProps extends AreaSelectionProps {
+  /** Renders a video instead of an image */
+  video?: boolean;
+
+  /** The alternative text of the image */
+  alt?: string;
+
+  /** The CORS setting of the target */
+  crossOrigin?: '' | 'anonymous' | 'use-credentials';
+
+  /** The class name of the wrapper */
+  className?: string;
+
+  /** The style of the wrapper */
+  style?: CSSProperties;
+}
+
+/** Creates an instance on the image or video of the returned ref */
+export function useAreaSelection<T extends HTMLImageElement | HTMLVideoElement = HTMLImageElement>(
+  props?: AreaSelectionProps
+): [RefObject<T>, AreaSelection | null];
+
+/** Renders an image, or a video, with an instance. Its ref is the instance */
+declare const AreaSelectionComponent: ForwardRefExoticComponent<AreaSelectionComponentProps & RefAttributes<AreaSelection>>;
+
+export default AreaSelectionComponent;
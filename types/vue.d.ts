@@ -0,0 +1,34 @@
+// Type definitions for area-selection.js/vue
+
+import { DefineComponent } from 'vue';
+import AreaSelection = require('./index');
+
+export interface AreaSelectionProps {
+  /** The source of the target. Changing it calls setImage */
+  src?: string | null;
+
+  /** Renders a video instead of an image */
+  video?: boolean;
+
+  /** The options. Changing them calls setOptions */
+  options?: AreaSelection.Options | null;
+
+  /** The value, bound with v-model. Null leaves the selection to the user */
+  modelValue?: AreaSelection.Value | null;
+}
+
+export type AreaSelectionMethods = {
+  /** Gets the AreaSelection instance */
+  getInstance(): AreaSelection | null;
+};
+
+/** Renders an image, or a video, with an instance */
+declare const AreaSelectionComponent: DefineComponent<
+  AreaSelectionProps, {}, {}, {}, AreaSelectionMethods, {}, {},
+  {
+    'update:modelValue': (value: AreaSelection.Value) => void;
+    ready: (instance: AreaSelection) => void;
+  }
+>;
+
+export default AreaSelectionComponent;